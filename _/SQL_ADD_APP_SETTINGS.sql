@@ -0,0 +1,41 @@
+-- ============================================================
+-- App-wide settings (key/value), e.g. admin edits to the
+-- auto-fix mapping lists (key = 'auto_fix_mappings')
+-- Run this in Supabase SQL Editor
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS public.app_settings (
+    key TEXT PRIMARY KEY,
+    value JSONB NOT NULL DEFAULT '{}'::jsonb,
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_by UUID REFERENCES public.profiles(id) DEFAULT auth.uid()
+);
+
+ALTER TABLE public.app_settings ENABLE ROW LEVEL SECURITY;
+
+-- All active users can read settings
+CREATE POLICY "Active users can view app settings" ON public.app_settings
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.profiles
+            WHERE id = auth.uid() AND status = 'active'
+        )
+    );
+
+-- Only admins can create settings
+CREATE POLICY "Admins can create app settings" ON public.app_settings
+    FOR INSERT WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM public.profiles
+            WHERE id = auth.uid() AND role = 'admin' AND status = 'active'
+        )
+    );
+
+-- Only admins can update settings
+CREATE POLICY "Admins can update app settings" ON public.app_settings
+    FOR UPDATE USING (
+        EXISTS (
+            SELECT 1 FROM public.profiles
+            WHERE id = auth.uid() AND role = 'admin' AND status = 'active'
+        )
+    );
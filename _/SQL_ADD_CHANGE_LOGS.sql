@@ -0,0 +1,74 @@
+-- ============================================================
+-- Change log (audit trail) of uploaded data: one session per
+-- validation run, one entry per applied auto-fix, manual edit,
+-- reset or deleted row (written by js/change-log.js)
+-- Run this in Supabase SQL Editor
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS public.change_log_sessions (
+    id TEXT PRIMARY KEY,
+    template_id UUID REFERENCES public.templates(id) ON DELETE SET NULL,
+    template_name TEXT,
+    file_name TEXT,
+    started_at TIMESTAMPTZ NOT NULL,
+    user_id UUID REFERENCES public.profiles(id) DEFAULT auth.uid()
+);
+
+CREATE TABLE IF NOT EXISTS public.change_log_entries (
+    session_id TEXT NOT NULL REFERENCES public.change_log_sessions(id) ON DELETE CASCADE,
+    entry_id INTEGER NOT NULL,
+    logged_at TIMESTAMPTZ NOT NULL,
+    kind TEXT NOT NULL,
+    row_number TEXT,
+    column_name TEXT,
+    before_value TEXT,
+    after_value TEXT,
+    rule TEXT,
+    source TEXT,
+    user_email TEXT,
+    user_id UUID REFERENCES public.profiles(id) DEFAULT auth.uid(),
+    PRIMARY KEY (session_id, entry_id)
+);
+
+ALTER TABLE public.change_log_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.change_log_entries ENABLE ROW LEVEL SECURITY;
+
+-- Active users log their own sessions and changes (no updates or deletes: it's an audit trail)
+CREATE POLICY "Active users can create change log sessions" ON public.change_log_sessions
+    FOR INSERT WITH CHECK (
+        user_id = auth.uid() AND EXISTS (
+            SELECT 1 FROM public.profiles
+            WHERE id = auth.uid() AND status = 'active'
+        )
+    );
+
+CREATE POLICY "Active users can create change log entries" ON public.change_log_entries
+    FOR INSERT WITH CHECK (
+        user_id = auth.uid() AND EXISTS (
+            SELECT 1 FROM public.profiles
+            WHERE id = auth.uid() AND status = 'active'
+        )
+    );
+
+-- Users see their own log, admins see everyone's
+CREATE POLICY "Users can view own change log sessions" ON public.change_log_sessions
+    FOR SELECT USING (user_id = auth.uid());
+
+CREATE POLICY "Users can view own change log entries" ON public.change_log_entries
+    FOR SELECT USING (user_id = auth.uid());
+
+CREATE POLICY "Admins can view change log sessions" ON public.change_log_sessions
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.profiles
+            WHERE id = auth.uid() AND role = 'admin' AND status = 'active'
+        )
+    );
+
+CREATE POLICY "Admins can view change log entries" ON public.change_log_entries
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.profiles
+            WHERE id = auth.uid() AND role = 'admin' AND status = 'active'
+        )
+    );
@@ -317,6 +317,124 @@ function showToast(message, type = 'info') {
     }, 3000);
 }
 
+// ============================================================
+// AUTO-FIX MAPPING LISTS
+// ============================================================
+
+let mappingDraft = {};
+let selectedMappingList = null;
+
+/**
+ * Load the mapping lists (shipped + saved admin edits) into the editor
+ */
+async function loadMappingLists() {
+    await AutoFixMappings.load();
+    mappingDraft = AutoFixMappings.getLists();
+    selectedMappingList = Object.keys(mappingDraft)[0] || null;
+    renderMappingLists();
+}
+
+/**
+ * Render the list picker and the selected list's entries
+ */
+function renderMappingLists() {
+    const select = document.getElementById('mapping-list-select');
+    if (!select) return;
+
+    const labels = Object.fromEntries(AutoFixMappings.getListNames().map(l => [l.name, l.label]));
+    select.innerHTML = Object.keys(mappingDraft).map(name =>
+        `<option value="${escapeHtml(name)}" ${name === selectedMappingList ? 'selected' : ''}>${escapeHtml(labels[name] || name)}</option>`
+    ).join('');
+
+    const list = mappingDraft[selectedMappingList];
+    document.getElementById('mapping-list-description').value = list?.description || '';
+    document.getElementById('mapping-list-entries').value = list ? AutoFixMappings.formatEntries(list.mappings) : '';
+    document.getElementById('mapping-list-status').textContent = list
+        ? `${Object.keys(list.mappings).length} entries`
+        : 'No lists loaded';
+}
+
+/**
+ * Read the editor back into the draft
+ * @returns {boolean} False when a line couldn't be parsed
+ */
+function readMappingEditor() {
+    const list = mappingDraft[selectedMappingList];
+    if (!list) return true;
+
+    const { entries, errors } = AutoFixMappings.parseEntries(document.getElementById('mapping-list-entries').value);
+    if (errors.length > 0) {
+        showToast(errors[0], 'error');
+        return false;
+    }
+
+    list.description = document.getElementById('mapping-list-description').value.trim();
+    list.mappings = entries;
+    return true;
+}
+
+function selectMappingList(name) {
+    if (!readMappingEditor()) {
+        document.getElementById('mapping-list-select').value = selectedMappingList;
+        return;
+    }
+    selectedMappingList = name;
+    renderMappingLists();
+}
+
+function addMappingList() {
+    const name = (prompt('Name for the new list (letters and numbers, e.g. "departments"):') || '').trim();
+    if (!name) return;
+    if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(name)) {
+        showToast('List names use letters, numbers and underscores', 'error');
+        return;
+    }
+    if (mappingDraft[name]) {
+        showToast('A list with that name already exists', 'error');
+        return;
+    }
+    if (!readMappingEditor()) return;
+
+    mappingDraft[name] = { description: '', mappings: {} };
+    selectedMappingList = name;
+    renderMappingLists();
+}
+
+/**
+ * Put the selected list back to the entries shipped with the app
+ */
+function resetMappingList() {
+    const shipped = AutoFixMappings.getShippedLists()[selectedMappingList];
+    if (!shipped) {
+        showToast('This list was added by an admin - there is nothing to reset to', 'info');
+        return;
+    }
+    mappingDraft[selectedMappingList] = shipped;
+    renderMappingLists();
+}
+
+/**
+ * Save every list that differs from the shipped version
+ */
+async function saveMappingLists() {
+    if (!readMappingEditor()) return;
+
+    const shipped = AutoFixMappings.getShippedLists();
+    const edited = {};
+    Object.entries(mappingDraft).forEach(([name, list]) => {
+        if (JSON.stringify(list) !== JSON.stringify(shipped[name])) edited[name] = list;
+    });
+
+    try {
+        await AutoFixMappings.saveOverrides(edited);
+        renderMappingLists();
+        showToast('Mapping lists saved', 'success');
+    } catch (error) {
+        console.error('Failed to save mapping lists:', error);
+        showToast('Failed to save mapping lists', 'error');
+    }
+}
+
 // Event listeners
 document.addEventListener('DOMContentLoaded', () => {
     document.getElementById('search-users')?.addEventListener('input', filterUsers);
@@ -330,3 +448,8 @@ window.approveUser = approveUser;
 window.disableUser = disableUser;
 window.enableUser = enableUser;
 window.updateUserRole = updateUserRole;
+window.loadMappingLists = loadMappingLists;
+window.selectMappingList = selectMappingList;
+window.addMappingList = addMappingList;
+window.resetMappingList = resetMappingList;
+window.saveMappingLists = saveMappingLists;
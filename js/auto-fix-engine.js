@@ -6,6 +6,8 @@
  * Each fix is modular and can be easily added/removed.
  * 
  * UPDATED: Now supports template-based auto-fix settings with toggles
+ * Columns may list their own ordered steps (rule.autoFixes); the toggles are the defaults
+ * for columns that don't.
  */
 
 const AutoFixEngine = (function () {
@@ -13,8 +15,8 @@ const AutoFixEngine = (function () {
 
     // Configuration
     const CONFIG = {
-        FUZZY_THRESHOLD: 0.8, // 80% similarity for fuzzy matching
-        DATE_FORMAT: 'YYYY-MM-DD' // Target format (ISO)
+        FUZZY_SUGGESTION_MIN: 0.6, // Weaker matches are not worth suggesting (never auto-applied)
+        FUZZY_MAX_SUGGESTIONS: 3
     };
 
     // ===== MAIN ENTRY POINT =====
@@ -24,18 +26,29 @@ const AutoFixEngine = (function () {
      * @param {Array<Array>} gridData - 2D array of data (first row = headers)
      * @param {Object} template - Template object with autoFixSettings
      * @param {Object} rules - Validation rules with column definitions
+     * @param {Object} [compiled] - RuleCompiler.compile(rules, { autoFixSettings }) output,
+     *                              to reuse across calls (e.g. per chunk or per edited row)
      * @returns {Object} - { data: fixed data, changes: array of changes made }
+     *                      Each change: { row, col, column, before, after, fixType, source, steps }
+     *                      - fixType/source name the last fix applied (e.g. 'mapping' / 'countries'),
+     *                      steps lists every fix in order
      */
-    function applyAutoFixes(gridData, template, rules) {
+    function applyAutoFixes(gridData, template, rules, compiled) {
         if (!gridData || gridData.length < 2) {
             return { data: gridData, changes: [] };
         }
 
         const settings = template?.autoFixSettings || {};
-        const columns = rules?.columns || [];
+        const compiledRules = compiled || RuleCompiler.compile(rules, { validators: false, autoFixSettings: settings });
         const headers = gridData[0];
         const changes = [];
 
+        // Resolve each header to a compiled column once - check both 'name' and 'fieldName'.
+        // Unknown columns still get the generic fixes (trim, non-printable, ...)
+        const compileAdHoc = (header) => RuleCompiler.compileColumn({ fieldName: header }, -1, compiledRules.options);
+        const columns = headers.map(header => compiledRules.byName.get(header) || compileAdHoc(header));
+        let fallbackColumn = null;
+
         // Create a copy of the data to modify
         const fixedData = gridData.map(row => [...row]);
 
@@ -43,32 +56,30 @@ const AutoFixEngine = (function () {
         for (let rowIdx = 1; rowIdx < fixedData.length; rowIdx++) {
             for (let colIdx = 0; colIdx < fixedData[rowIdx].length; colIdx++) {
                 const originalValue = fixedData[rowIdx][colIdx];
-                let newValue = originalValue;
 
                 // Skip null/undefined values
-                if (newValue === null || newValue === undefined) continue;
-
-                // Convert to string for text operations
-                const valueStr = String(newValue);
+                if (originalValue === null || originalValue === undefined) continue;
 
-                // Get column definition - check both 'name' and 'fieldName'
-                const columnName = headers[colIdx];
-                const columnDef = columns.find(c =>
-                    c.name === columnName || c.fieldName === columnName
-                ) || {};
+                // Rows can be wider than the header row
+                const column = columns[colIdx] || (fallbackColumn = fallbackColumn || compileAdHoc(undefined));
 
-                // Apply fixes based on settings
-                newValue = applySettingsBasedFixes(valueStr, settings, columnDef, columnName);
+                // Apply fixes based on settings (text operations work on strings)
+                const steps = [];
+                const newValue = RuleCompiler.runFixers(column, String(originalValue), steps);
 
-                // If value changed, record it
+                // If value changed, record it with the fixes that changed it
                 if (newValue !== originalValue) {
                     fixedData[rowIdx][colIdx] = newValue;
+                    const last = steps[steps.length - 1];
                     changes.push({
                         row: rowIdx,
                         col: colIdx,
-                        column: columnName,
+                        column: headers[colIdx],
                         before: originalValue,
-                        after: newValue
+                        after: newValue,
+                        fixType: last ? last.fixType : 'format',
+                        source: last ? last.source : null,
+                        steps
                     });
                 }
             }
@@ -81,65 +92,229 @@ const AutoFixEngine = (function () {
      * Apply all enabled fixes to a single value based on template settings
      */
     function applySettingsBasedFixes(value, settings, columnDef, columnName) {
-        let result = value;
-
-        // 1. Trim whitespace (default ON)
-        if (settings.trimWhitespace !== false) {
-            result = trimWhitespace(result);
-        }
-
-        // 2. Normalize line breaks
-        if (settings.normalizeLineBreaks) {
-            result = normalizeLineBreaks(result);
-        }
+        const column = RuleCompiler.compileColumn(
+            { ...columnDef, fieldName: columnName ?? columnDef?.fieldName },
+            -1,
+            { validators: false, autoFixSettings: settings }
+        );
+        return RuleCompiler.runFixers(column, value);
+    }
 
-        // 3. Remove non-printable characters (default ON)
-        if (settings.removeSpecialChars !== false) {
-            result = removeNonPrintable(result);
+    // Steps a column can list in rule.autoFixes ([{ type, ...params }], run in order).
+    // Types match the fixType recorded for each change. build() returns null when
+    // the step can't apply to the column.
+    const FIX_STEPS = {
+        whitespace: { label: 'Trim whitespace', build: () => trimWhitespace },
+        line_breaks: { label: 'Normalize line breaks', build: () => normalizeLineBreaks },
+        non_printable: { label: 'Remove non-printable characters', build: () => removeNonPrintable },
+        uppercase: { label: 'Uppercase', build: () => toUpperCase },
+        title_case: { label: 'Title Case', build: () => toTitleCase },
+        currency: { label: 'Remove currency symbols', build: () => removeCurrencySymbols },
+        thousand_separators: {
+            label: 'Remove thousand separators',
+            build: column => value => removeThousandSeparators(value, column.numberFormat.decimalSeparator)
+        },
+        // k/M/B suffixes, (accounting) negatives, percentages, locale decimals.
+        // Ambiguous values are left for validation to flag.
+        numeric_format: {
+            label: 'Normalize numbers',
+            build: column => value => {
+                const cleaned = cleanNumber(value, column.numberFormat);
+                return cleaned && !cleaned.ambiguous ? cleaned.value : value;
+            }
+        },
+        // Date-time columns keep their time; time columns become HH:mm:ss
+        date_format: {
+            label: 'Standardize date format',
+            params: { format: 'Format (blank = column format)' },
+            build: (column, step) => {
+                if (column.type === 'time') return standardizeTime;
+                const format = step.format || column.dateFormat;
+                const withTime = column.type === 'datetime';
+                return value => standardizeDate(value, format, withTime);
+            }
+        },
+        // Yes → Y, No → N
+        boolean_yn: { label: 'Yes/No to Y/N', build: () => convertYesNo },
+        alternative_label: {
+            label: 'Alternative labels',
+            build: column => column.alternativeLabels && (value => {
+                const target = column.alternativeLabels.get(String(value).trim().toLowerCase());
+                return target !== undefined ? target : value;
+            })
+        },
+        // Mapping lists (countries, US states, ...) - the step's own lists or the column's
+        mapping: {
+            label: 'Map via lookup list',
+            params: { lists: 'Lists (comma separated, blank = column lists)' },
+            build: (column, step, rules) => {
+                const lookup = Array.isArray(step.lists) && step.lists.length > 0 && window.AutoFixMappings
+                    ? AutoFixMappings.buildLookup(step.lists, rules?.mappingEntries)
+                    : column.mappingLookup;
+                if (!lookup) return null;
+
+                const target = { mappingLookup: lookup, allowedLookup: column.allowedLookup };
+                return Object.assign(value => applyMapping(value, target), { source: value => findMapping(value, target)?.source });
+            }
+        },
+        // Transforms - explicit steps only, never inherited
+        replace: {
+            label: 'Find and replace',
+            params: { find: 'Find (exact text)', replace: 'Replace with (blank = remove)' },
+            build: (column, step) => step.find ? value => String(value).split(step.find).join(step.replace ?? '') : null
+        },
+        // "EMP-00123" with ^EMP-(\d+)$ → $1 gives "00123"
+        regex: {
+            label: 'Regex replace',
+            params: { pattern: 'Pattern', replacement: 'Replacement ($1 = first group)', flags: 'Flags (e.g. i)' },
+            build: (column, step) => {
+                const regex = compileStepRegex(step, column);
+                return regex && (value => String(value).replace(regex, step.replacement ?? ''));
+            }
+        },
+        strip_prefix: {
+            label: 'Strip prefix',
+            params: { prefix: 'Prefix (case-insensitive)' },
+            build: (column, step) => step.prefix ? value => stripPrefix(value, step.prefix) : null
+        },
+        // "Acme Inc." with suffix "Inc." gives "Acme"
+        strip_suffix: {
+            label: 'Strip suffix',
+            params: { suffix: 'Suffix (case-insensitive)' },
+            build: (column, step) => step.suffix ? value => stripSuffix(value, step.suffix) : null
+        },
+        pad_left: {
+            label: 'Pad left',
+            params: { length: 'Length', char: 'Pad character (default 0)' },
+            build: (column, step) => {
+                const length = parseInt(step.length, 10);
+                return length > 0 ? value => padLeft(value, length, step.char) : null;
+            }
+        },
+        // "Non-Employee" → "N" when it spells a value's label or alternative label.
+        // Explicit steps only; near misses ("Nonemploye") stay grid suggestions.
+        fuzzy_match: {
+            label: 'Match list value labels',
+            build: column => column.allowedLookup && Object.assign(value => applyLabelMatch(value, column), {
+                source: value => {
+                    const match = findLabelMatch(value, column);
+                    return match ? `${match.display} (label "${match.matched}")` : null;
+                }
+            })
         }
+    };
 
-        // 4. Uppercase country codes
-        if (settings.uppercaseCountryCodes && isCountryCodeColumn(columnName, columnDef)) {
-            result = toUpperCase(result);
-        }
+    /**
+     * Steps a column gets from the template toggles and its own settings
+     * (used when the column doesn't list its own rule.autoFixes)
+     * @param {Object} column - Compiled column
+     * @param {Object} settings - Template autoFixSettings
+     * @returns {Array<Object>} [{ type }]
+     */
+    function getInheritedSteps(column, settings = {}) {
+        const usesCountries = Array.isArray(column.rule.mappings) && column.rule.mappings.includes('countries');
+        const isDateOrTime = column.isDate || column.type === 'time';
+
+        return [
+            // Trim whitespace and non-printable characters are ON unless turned off
+            settings.trimWhitespace !== false && 'whitespace',
+            settings.normalizeLineBreaks && 'line_breaks',
+            settings.removeSpecialChars !== false && 'non_printable',
+            settings.uppercaseCountryCodes && usesCountries && 'uppercase',
+            settings.removeCurrencySymbols && column.isNumeric && 'currency',
+            settings.standardizeDates && isDateOrTime && 'date_format',
+            settings.removeThousandSeparators && column.isNumeric && 'thousand_separators',
+            settings.normalizeNumbers && column.isNumeric && 'numeric_format',
+            // Follow from the column's own configuration
+            (column.isBoolean || column.isYNList) && 'boolean_yn',
+            column.alternativeLabels && 'alternative_label',
+            column.mappingLookup && 'mapping'
+        ].filter(Boolean).map(type => ({ type }));
+    }
 
-        // 5. Remove currency symbols
-        if (settings.removeCurrencySymbols && isNumericColumn(columnDef)) {
-            result = removeCurrencySymbols(result);
-        }
+    // Auto-fix settings saved from now on carry this version (see migrateCountryCodeColumns)
+    const SETTINGS_VERSION = 2;
 
-        // 6. Standardize dates
-        if (settings.standardizeDates && isDateColumn(columnDef)) {
-            result = standardizeDate(result);
-        }
+    /**
+     * Before per-column steps, uppercaseCountryCodes uppercased any column whose name
+     * looked like a country (or whose list had 2-3 letter values). The toggle now only
+     * covers columns using the Countries list, so for templates saved before that, the
+     * columns the old check matched get an explicit uppercase step in rule.autoFixes.
+     * Runs when templates are loaded; settings from before are recognised by their missing version.
+     * @param {Object} template - Template with rules and autoFixSettings (changed in place)
+     * @returns {Array<string>} Fields that were given their own steps
+     */
+    function migrateCountryCodeColumns(template) {
+        const settings = template?.autoFixSettings;
+        const rules = template?.rules;
+        if (!settings?.uppercaseCountryCodes || settings.version >= SETTINGS_VERSION || !rules?.columns || !window.RuleCompiler) return [];
+
+        const migrated = [];
+        rules.columns.forEach((def, index) => {
+            if (Array.isArray(def.autoFixes) || !matchedOldCountryCheck(def)) return;
+
+            const steps = getInheritedSteps(RuleCompiler.compileColumn(def, index, { validators: false }, rules), settings);
+            if (steps.some(step => step.type === 'uppercase')) return; // Uses the Countries list - still covered
+
+            // Where the old pipeline uppercased: right after the character clean-up steps
+            const at = steps.filter(step => ['whitespace', 'line_breaks', 'non_printable'].includes(step.type)).length;
+            steps.splice(at, 0, { type: 'uppercase' });
+            def.autoFixes = steps;
+            migrated.push(def.fieldName);
+        });
+
+        settings.version = SETTINGS_VERSION;
+        return migrated;
+    }
 
-        // 7. Remove thousand separators
-        if (settings.removeThousandSeparators && isNumericColumn(columnDef)) {
-            result = removeThousandSeparators(result);
-        }
+    /**
+     * The country-code column check uppercaseCountryCodes used before SETTINGS_VERSION 2
+     */
+    function matchedOldCountryCheck(def) {
+        const name = String(def.fieldName || def.name || '').toLowerCase();
+        return name.includes('country') ||
+            name.includes('nation') ||
+            name.includes('region') ||
+            name === 'cc' ||
+            name === 'iso' ||
+            (def.type === 'list' && Array.isArray(def.allowedValues) &&
+                def.allowedValues.some(v => String(v).length === 2 || String(v).length === 3));
+    }
 
-        // 8. Y/N boolean conversion (Yes → Y, No → N)
-        // Works for both: boolean type columns AND list columns with Y/N values
-        const isBooleanType = columnDef.type === 'boolean';
-        const isYNList = columnDef.allowedValues &&
-            columnDef.allowedValues.map(v => String(v).toLowerCase()).includes('y') &&
-            columnDef.allowedValues.map(v => String(v).toLowerCase()).includes('n');
+    /**
+     * The column's steps: its own rule.autoFixes when it lists them, otherwise the inherited ones
+     * @returns {Object} { steps, inherited }
+     */
+    function getColumnSteps(column, settings) {
+        return Array.isArray(column.rule.autoFixes)
+            ? { steps: column.rule.autoFixes, inherited: false }
+            : { steps: getInheritedSteps(column, settings), inherited: true };
+    }
 
-        if (isBooleanType || isYNList) {
-            const valLower = String(result).toLowerCase().trim();
-            if (valLower === 'yes') {
-                result = 'Y';
-            } else if (valLower === 'no') {
-                result = 'N';
+    /**
+     * Build the fixer pipeline for a compiled column (called by RuleCompiler).
+     * Which fixes apply is decided here once, instead of for every cell.
+     * Each fixer carries a fixType (and optional source) for the change log.
+     * @param {Object} column - Compiled column
+     * @param {Object} settings - Template autoFixSettings
+     * @param {Object} [rules] - Template rules (mappingEntries for mapping steps)
+     * @returns {Array<Function>} Fixers, each value => value
+     */
+    function buildFixers(column, settings, rules) {
+        const fixers = [];
+
+        getColumnSteps(column, settings).steps.forEach(step => {
+            const definition = FIX_STEPS[step?.type];
+            if (!definition) {
+                console.warn(`⚠️ Unknown auto-fix step "${step?.type}" on ${column.fieldName}`);
+                return;
             }
-        }
 
-        // 9. Apply alternative labels (convert synonyms to canonical values)
-        if (columnDef.alternativeLabels && Object.keys(columnDef.alternativeLabels).length > 0) {
-            result = applyAlternativeLabels(result, columnDef.alternativeLabels);
-        }
+            const fn = definition.build(column, step, rules);
+            if (fn) fixers.push(Object.assign(value => fn(value), { fixType: step.type, source: fn.source }));
+        });
 
-        return result;
+        return fixers;
     }
 
     // ===== INDIVIDUAL FIX FUNCTIONS =====
@@ -194,56 +369,56 @@ const AutoFixEngine = (function () {
     }
 
     /**
-     * Standardize date format to YYYY-MM-DD
+     * Standardize a date to the column's format (MM/DD/YYYY when it doesn't declare one)
+     * Values are read in that same format, so 03/04/2024 stays 3 April in a DD/MM/YYYY column.
+     * Other spellings (15-Mar-2024, March 15 2024, 20240315) are read too; dates whose
+     * day and month order is unclear, and anything that isn't a real date, are left unchanged.
+     * @param {boolean} [withTime] - Append the time as HH:mm:ss (date-time columns)
      */
-    function standardizeDate(value) {
-        const str = String(value).trim();
+    function standardizeDate(value, format, withTime = false) {
+        const target = format || DateUtils.DEFAULT_FORMAT;
+        if (DateUtils.isValidDate(value, target)) {
+            return withTime ? DateUtils.formatDateTime(value, target) : DateUtils.formatDate(value, target);
+        }
 
-        // Try to parse common date formats
-        const patterns = [
-            // MM/DD/YYYY or MM-DD-YYYY
-            { regex: /^(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{4})$/, order: [3, 1, 2] },
-            // YYYY/MM/DD or YYYY-MM-DD (ISO)
-            { regex: /^(\d{4})[\/\-](\d{1,2})[\/\-](\d{1,2})$/, order: [1, 2, 3] },
-            // M/D/YY or M-D-YY
-            { regex: /^(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{2})$/, order: [3, 1, 2], shortYear: true }
-        ];
-
-        for (const pattern of patterns) {
-            const match = str.match(pattern.regex);
-            if (match) {
-                let year = match[pattern.order[0]];
-                let month = match[pattern.order[1]];
-                let day = match[pattern.order[2]];
-
-                // Handle short year (YY -> YYYY)
-                if (pattern.shortYear) {
-                    const shortYear = parseInt(year);
-                    year = shortYear > 50 ? '19' + year : '20' + year.padStart(2, '0');
-                }
+        const loose = readLooseDate(value);
+        return loose?.parts ? formatDateParts(loose.parts, target, withTime) : value;
+    }
 
-                // Pad month and day
-                month = month.padStart(2, '0');
-                day = day.padStart(2, '0');
+    /**
+     * Read a date the column format can't, with the shared month names
+     * @returns {Object|null} DateUtils.parseLooseDate() result
+     */
+    function readLooseDate(value) {
+        const monthNames = window.AutoFixMappings ? AutoFixMappings.getCleaningRules().dateFormats?.monthNames : null;
+        return DateUtils.parseLooseDate(value, monthNames || undefined);
+    }
 
-                // Validate
-                const monthNum = parseInt(month);
-                const dayNum = parseInt(day);
-                if (monthNum >= 1 && monthNum <= 12 && dayNum >= 1 && dayNum <= 31) {
-                    return `${year}-${month}-${day}`;
-                }
-            }
-        }
+    function formatDateParts(parts, format, withTime) {
+        const date = DateUtils.formatParts(parts, format);
+        return withTime ? `${date} ${DateUtils.formatTimeParts(parts)}` : date;
+    }
 
-        // Return original if can't parse
-        return value;
+    /**
+     * Standardize a time of day to HH:mm:ss
+     */
+    function standardizeTime(value) {
+        return DateUtils.isValidTime(value) ? DateUtils.formatTime(value) : value;
     }
 
     /**
      * Remove thousand separators (commas in numbers)
+     * @param {string} [decimalSeparator='.'] - With ',' the separators are dots
+     *                                          and the decimal comma becomes a point (1.234,5 → 1234.5)
      */
-    function removeThousandSeparators(value) {
+    function removeThousandSeparators(value, decimalSeparator = '.') {
         const str = String(value).trim();
+        if (decimalSeparator === ',') {
+            if (/^-?\d{1,3}(\.\d{3})+(,\d+)?$/.test(str)) {
+                return str.replace(/\./g, '').replace(',', '.');
+            }
+            return value;
+        }
         // Only process if it looks like a number with commas
         if (/^-?[\d,]+\.?\d*$/.test(str)) {
             return str.replace(/,/g, '');
@@ -251,6 +426,167 @@ const AutoFixEngine = (function () {
         return value;
     }
 
+    // Used until (or if) the numericCleaning block of auto-fix-mappings.json loads
+    const DEFAULT_NUMERIC_CLEANING = {
+        removePatterns: {
+            currencySymbols: ['$', '€', '£', '¥', '₹', '₽', '₩'],
+            groupingSeparators: [',', ' ', "'"]
+        },
+        suffixMultipliers: { k: 1000, K: 1000, m: 1000000, M: 1000000, b: 1000000000, B: 1000000000 }
+    };
+
+    function getNumericCleaning() {
+        const shared = window.AutoFixMappings ? AutoFixMappings.getCleaningRules().numericCleaning : null;
+        return {
+            currencySymbols: shared?.removePatterns?.currencySymbols || DEFAULT_NUMERIC_CLEANING.removePatterns.currencySymbols,
+            groupingSeparators: shared?.removePatterns?.groupingSeparators || DEFAULT_NUMERIC_CLEANING.removePatterns.groupingSeparators,
+            suffixMultipliers: shared?.suffixMultipliers || DEFAULT_NUMERIC_CLEANING.suffixMultipliers
+        };
+    }
+
+    /**
+     * Read a formatted number: "1.5k" → 1500, "(1,234.50)" → -1234.50, "$12" → 12,
+     * "12%" → 12 or 0.12 (percentFormat 'fraction'), "1.234,56" → 1234.56 (decimalSeparator ',').
+     * Digits are kept as written unless a suffix or percentage changes the value.
+     * @param {*} value - Cell value
+     * @param {Object} [format] - { decimalSeparator: '.' | ',', percentFormat: 'whole' | 'fraction' }
+     * @returns {Object|null} { value, ambiguous } - ambiguous explains why the value
+     *                        was not converted; null when it isn't a number at all
+     */
+    function cleanNumber(value, format = {}) {
+        const cleaning = getNumericCleaning();
+        const decimal = format.decimalSeparator === ',' ? ',' : '.';
+        let text = String(value ?? '').trim();
+        let negative = false;
+
+        cleaning.currencySymbols.forEach(symbol => { text = text.split(symbol).join(''); });
+        text = removeCurrencySymbols(text);
+
+        // Accounting negatives: (1,234.50)
+        const accounting = text.match(/^\((.*)\)$/);
+        if (accounting) {
+            negative = true;
+            text = accounting[1].trim();
+        }
+
+        if (text.startsWith('-')) {
+            if (negative) return null;
+            negative = true;
+            text = text.slice(1).trim();
+        }
+
+        let percent = false;
+        if (text.endsWith('%')) {
+            percent = true;
+            text = text.slice(0, -1).trim();
+        }
+
+        let multiplier = 1;
+        const suffix = text.match(/^(.*\d)\s*([A-Za-z])$/);
+        if (suffix && cleaning.suffixMultipliers[suffix[2]]) {
+            if (percent) return null;
+            multiplier = cleaning.suffixMultipliers[suffix[2]];
+            text = suffix[1];
+        }
+
+        const digits = readDigits(text, decimal, cleaning.groupingSeparators);
+        if (!digits || digits.ambiguous) return digits;
+
+        let result = digits.value;
+        const divisor = percent && format.percentFormat === 'fraction' ? 100 : 1;
+        if (multiplier !== 1 || divisor !== 1) {
+            result = String(parseFloat((Number(result) * multiplier / divisor).toPrecision(15)));
+        }
+
+        return { value: negative && Number(result) !== 0 ? `-${result}` : result, ambiguous: null };
+    }
+
+    /**
+     * Read digits with grouping and decimal separators in the given locale.
+     * Values that only make sense in the other locale (1.234,56 when '.' is the
+     * decimal separator) are ambiguous rather than guessed.
+     */
+    function readDigits(text, decimal, groupingSeparators) {
+        const other = decimal === '.' ? ',' : '.';
+        const groups = groupingSeparators.filter(sep => sep !== decimal && sep !== other);
+
+        const parse = (dec, grp) => {
+            const escape = char => char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const d = escape(dec);
+            if (new RegExp(`^\\d+(${d}\\d+)?$`).test(text)) return text.replace(dec, '.');
+            if (new RegExp(`^${d}\\d+$`).test(text)) return `0${text.replace(dec, '.')}`;
+
+            for (const sep of grp) {
+                const g = escape(sep);
+                if (new RegExp(`^\\d{1,3}(${g}\\d{3})+(${d}\\d+)?$`).test(text)) {
+                    return text.split(sep).join('').replace(dec, '.');
+                }
+            }
+            return null;
+        };
+
+        const value = parse(decimal, decimal === '.' ? [',', ...groups] : ['.', ...groups]);
+        if (value !== null) return { value, ambiguous: null };
+
+        if (parse(other, other === '.' ? [',', ...groups] : ['.', ...groups]) !== null) {
+            return { value: null, ambiguous: `'${other}' is used as the decimal separator, but this template uses '${decimal}'` };
+        }
+        return null;
+    }
+
+    /**
+     * Convert Yes/No to Y/N
+     */
+    function convertYesNo(value) {
+        const valLower = String(value).toLowerCase().trim();
+        if (valLower === 'yes') return 'Y';
+        if (valLower === 'no') return 'N';
+        return value;
+    }
+
+    /**
+     * Compile a regex step's pattern (the global flag is always added)
+     * @returns {RegExp|null} Null (with a warning) when the pattern is invalid
+     */
+    function compileStepRegex(step, column) {
+        if (!step.pattern) return null;
+        try {
+            const flags = String(step.flags || '').replace(/[^imsu]/g, '');
+            return new RegExp(step.pattern, `g${flags}`);
+        } catch (err) {
+            console.warn(`⚠️ Invalid regex on ${column?.fieldName}: ${err.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Remove a leading prefix (case-insensitive) and the whitespace after it
+     */
+    function stripPrefix(value, prefix) {
+        const str = String(value);
+        return str.toLowerCase().startsWith(String(prefix).toLowerCase())
+            ? str.slice(String(prefix).length).trimStart()
+            : value;
+    }
+
+    /**
+     * Remove a trailing suffix (case-insensitive) and the whitespace or comma before it
+     */
+    function stripSuffix(value, suffix) {
+        const str = String(value);
+        return str.toLowerCase().endsWith(String(suffix).toLowerCase())
+            ? str.slice(0, str.length - String(suffix).length).replace(/[\s,]+$/, '')
+            : value;
+    }
+
+    /**
+     * Pad a non-empty value on the left to a length ("123" → "00123")
+     */
+    function padLeft(value, length, char) {
+        const str = String(value);
+        return str === '' ? value : str.padStart(length, char ? String(char)[0] : '0');
+    }
+
     /**
      * Apply alternative labels - convert synonyms to canonical values
      */
@@ -267,47 +603,210 @@ const AutoFixEngine = (function () {
         return value;
     }
 
-    // ===== COLUMN TYPE DETECTION =====
+    /**
+     * Look a value up in the column's mapping lists. List columns only take
+     * replacements that are allowed values (in the list's spelling).
+     * @returns {Object|null} { value, source }
+     */
+    function findMapping(value, column) {
+        const match = column.mappingLookup?.get(String(value).trim().toLowerCase());
+        if (!match) return null;
+        if (!column.allowedLookup) return match;
 
-    function isCountryCodeColumn(columnName, columnDef) {
-        const name = (columnName || '').toLowerCase();
-        return name.includes('country') ||
-            name.includes('nation') ||
-            name.includes('region') ||
-            name === 'cc' ||
-            name === 'iso' ||
-            (columnDef.type === 'list' && columnDef.allowedValues?.some(v => v.length === 2 || v.length === 3));
+        const allowed = column.allowedLookup.get(String(match.value).trim().toLowerCase());
+        return allowed !== undefined ? { value: allowed, source: match.source } : null;
+    }
+
+    /**
+     * Replace a value from the column's mapping lists ("United Kingdom" → "GBR")
+     */
+    function applyMapping(value, column) {
+        const match = findMapping(value, column);
+        return match ? match.value : value;
+    }
+
+    // ===== FUZZY MATCHING =====
+
+    // Candidate strings per compiled column, built on first use
+    const fuzzyCandidates = new WeakMap();
+
+    /**
+     * Lower-case letters and digits only ("Non-Employee" → "nonemployee")
+     */
+    function compact(text) {
+        return String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    /**
+     * Words sorted alphabetically, joined ("Employee Non" → "employeenon")
+     */
+    function sortedTokens(text) {
+        return String(text).toLowerCase().split(/[^a-z0-9]+/).filter(Boolean).sort().join('');
+    }
+
+    /**
+     * Levenshtein edit distance
+     */
+    function editDistance(a, b) {
+        if (a === b) return 0;
+        if (!a.length) return b.length;
+        if (!b.length) return a.length;
+
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    function ratio(a, b) {
+        const longest = Math.max(a.length, b.length);
+        return longest === 0 ? 1 : 1 - editDistance(a, b) / longest;
+    }
+
+    /**
+     * Similarity (0-1) of two strings: the better of the edit-distance ratio
+     * and the ratio with words put in the same order
+     */
+    function similarity(a, b) {
+        const left = compact(a);
+        const right = compact(b);
+        if (left === right) return 1;
+
+        // One- and two-letter codes are too short to compare by spelling
+        if (left.length < 3 || right.length < 3) return 0;
+
+        return Math.max(ratio(left, right), ratio(sortedTokens(a), sortedTokens(b)));
+    }
+
+    /**
+     * Labels written next to the codes in the column description
+     * ("E=Employee, N=Nonemployee") - code -> label
+     */
+    function parseOptionLabels(column) {
+        const labels = new Map();
+        String(column.rule.description || '').split(/[,;]/).forEach(part => {
+            const match = part.match(/^\s*([A-Za-z0-9]+)\s*=\s*(.+?)\s*$/);
+            const code = match && column.allowedLookup.get(match[1].toLowerCase());
+            if (code !== undefined && code !== null && !labels.has(code)) labels.set(code, match[2]);
+        });
+        return labels;
     }
 
-    function isNameColumn(columnName, columnDef) {
-        const name = (columnName || '').toLowerCase();
-        return name.includes('name') ||
-            name.includes('first') ||
-            name.includes('last') ||
-            name.includes('middle') ||
-            name === 'fname' ||
-            name === 'lname' ||
-            name === 'mname';
+    /**
+     * Mostly digits ("10003", "ABC-12346"): such codes sit one keystroke away from
+     * other valid codes, so they are never compared by spelling
+     */
+    function isCodeLike(text) {
+        const chars = compact(text);
+        const digits = chars.replace(/[^0-9]/g, '').length;
+        return digits > 0 && digits * 2 >= chars.length;
     }
 
-    function isNumericColumn(columnDef) {
-        return columnDef.type === 'number' ||
-            columnDef.type === 'decimal' ||
-            columnDef.type === 'integer' ||
-            columnDef.type === 'whole' ||
-            columnDef.type === 'currency';
+    /**
+     * Strings a list value may be matched on: each allowed value, its label,
+     * "code=label", and the column's alternative labels (isLabel: not the code itself)
+     */
+    function getFuzzyCandidates(column) {
+        if (fuzzyCandidates.has(column)) return fuzzyCandidates.get(column);
+
+        const labels = parseOptionLabels(column);
+        const candidates = [];
+        const displayOf = value => labels.has(value) ? `${value}=${labels.get(value)}` : String(value);
+
+        column.allowedValues.forEach(value => {
+            const display = displayOf(value);
+            candidates.push({ text: String(value), value, display, isLabel: false });
+            [labels.get(value), labels.has(value) ? display : null]
+                .filter(text => text !== undefined && text !== null)
+                .forEach(text => candidates.push({ text: String(text), value, display, isLabel: true }));
+        });
+
+        column.alternativeLabels?.forEach((target, alt) => {
+            const value = column.allowedLookup.get(String(target).trim().toLowerCase());
+            if (value !== undefined) candidates.push({ text: alt, value, display: displayOf(value), isLabel: true });
+        });
+
+        fuzzyCandidates.set(column, candidates);
+        return candidates;
     }
 
-    function isDateColumn(columnDef) {
-        return columnDef.type === 'date' || columnDef.type === 'datetime';
+    /**
+     * Rank a list column's values by similarity to a value (suggestions only).
+     * Code-like values and candidates are skipped.
+     * @param {*} value - Cell value
+     * @param {Object} column - Compiled column with allowed values
+     * @returns {Array<Object>} [{ value, display, confidence, matched }], best first,
+     *                          one entry per allowed value
+     */
+    function findFuzzyMatches(value, column) {
+        const text = String(value ?? '').trim();
+        if (!text || !column?.allowedLookup || isCodeLike(text)) return [];
+
+        const best = new Map();
+        getFuzzyCandidates(column).forEach(candidate => {
+            if (isCodeLike(candidate.text)) return;
+            const confidence = similarity(text, candidate.text);
+            if (confidence < CONFIG.FUZZY_SUGGESTION_MIN) return;
+            if (!best.has(candidate.value) || best.get(candidate.value).confidence < confidence) {
+                best.set(candidate.value, {
+                    value: candidate.value,
+                    display: candidate.display,
+                    confidence: Math.round(confidence * 100) / 100,
+                    matched: candidate.text
+                });
+            }
+        });
+
+        return [...best.values()]
+            .sort((a, b) => b.confidence - a.confidence)
+            .slice(0, CONFIG.FUZZY_MAX_SUGGESTIONS);
+    }
+
+    /**
+     * The only match applied automatically: the value spells exactly one allowed
+     * value's label or alternative label, ignoring case, spaces and punctuation.
+     * Values that are already allowed are left alone.
+     * @returns {Object|null} { value, display, confidence: 1, matched }
+     */
+    function findLabelMatch(value, column) {
+        const text = compact(value);
+        if (!text || column.allowedLookup.has(String(value).trim().toLowerCase())) return null;
+
+        const matches = getFuzzyCandidates(column).filter(candidate => candidate.isLabel && compact(candidate.text) === text);
+        if (matches.length === 0 || matches.some(match => match.value !== matches[0].value)) return null;
+
+        const [match] = matches;
+        return { value: match.value, display: match.display, confidence: 1, matched: match.text };
+    }
+
+    /**
+     * Replace a list value with the value its label spells ("Non-Employee" → "N")
+     */
+    function applyLabelMatch(value, column) {
+        const match = findLabelMatch(value, column);
+        return match ? match.value : value;
+    }
+
+    /**
+     * Whether the column opted in to label matching (an explicit fuzzy_match step)
+     */
+    function usesLabelMatching(column) {
+        return Array.isArray(column.rule.autoFixes) && column.rule.autoFixes.some(step => step?.type === 'fuzzy_match');
     }
 
     // ===== LEGACY FUNCTIONS (for backward compatibility) =====
 
     /**
      * Check if a value can be auto-fixed based on the rule (legacy)
+     * @param {Object} [column] - Compiled column, for its mapping lists
      */
-    function checkFixability(value, rule) {
+    function checkFixability(value, rule, column) {
         const result = {
             canFix: false,
             fixedValue: value,
@@ -333,7 +832,7 @@ const AutoFixEngine = (function () {
         // Y/N boolean check - convert Yes/No to Y/N
         // Works for both: boolean type AND list columns with Y/N values
         const isBooleanType = rule.type === 'boolean';
-        const isYNList = rule.allowedValues &&
+        const isYNList = Array.isArray(rule.allowedValues) &&
             rule.allowedValues.map(v => String(v).toLowerCase()).includes('y') &&
             rule.allowedValues.map(v => String(v).toLowerCase()).includes('n');
 
@@ -361,52 +860,72 @@ const AutoFixEngine = (function () {
             case 'whole':
             case 'decimal':
             case 'number':
-                checkNumericFix(result, rule);
+                checkNumericFix(result, rule, column);
                 break;
             case 'date':
+            case 'datetime':
                 checkDateFix(result, rule);
                 break;
             case 'list':
             case 'dropdown':
-                checkDropdownFix(result, rule);
+                checkDropdownFix(result, rule, column);
                 break;
         }
 
+        if (!result.canFix && column?.mappingLookup) {
+            checkMappingFix(result, column);
+        }
+
         return result;
     }
 
-    function checkNumericFix(result, rule) {
-        let val = result.fixedValue;
-        const cleanVal = val.replace(/[$,%]/g, '');
-        if (cleanVal !== val) {
-            if (!isNaN(parseFloat(cleanVal)) && isFinite(cleanVal)) {
-                result.fixedValue = cleanVal;
-                result.canFix = true;
-                result.fixType = 'numeric_format';
-                result.message = 'Format will be standardized';
-            }
+    /**
+     * Formatted numbers (currency, grouping, suffixes, ...) in the column's number format.
+     * Ambiguous ones are returned as result.ambiguous ({ code, params }) instead.
+     */
+    function checkNumericFix(result, rule, column) {
+        const cleaned = cleanNumber(result.fixedValue, column?.numberFormat);
+        if (!cleaned) return;
+
+        if (cleaned.ambiguous) {
+            result.ambiguous = { code: 'ambiguousNumber', params: { reason: cleaned.ambiguous } };
+        } else if (cleaned.value !== result.fixedValue) {
+            result.fixedValue = cleaned.value;
+            result.canFix = true;
+            result.fixType = 'numeric_format';
+            result.message = 'Format will be standardized';
         }
     }
 
+    /**
+     * Dates written another way. When day and month order is unclear both
+     * readings are returned as result.ambiguous instead.
+     */
     function checkDateFix(result, rule) {
         const val = result.fixedValue;
-        const date = new Date(val);
-        if (!isNaN(date.getTime())) {
-            const month = String(date.getMonth() + 1).padStart(2, '0');
-            const day = String(date.getDate()).padStart(2, '0');
-            const year = date.getFullYear();
-            const formatted = `${month}/${day}/${year}`;
-            if (formatted !== val) {
-                result.fixedValue = formatted;
-                result.canFix = true;
-                result.fixType = 'date_format';
-                result.message = 'Date format will be standardized';
-            }
+        const withTime = rule.type === 'datetime';
+        const formatted = standardizeDate(val, rule.dateFormat, withTime);
+        if (formatted !== val) {
+            result.fixedValue = formatted;
+            result.canFix = true;
+            result.fixType = 'date_format';
+            result.message = `Date will be standardized to ${rule.dateFormat || DateUtils.DEFAULT_FORMAT}`;
+            return;
+        }
+
+        const readings = readLooseDate(val)?.readings;
+        if (readings) {
+            const [first, second] = readings.map(parts => formatDateParts(parts, rule.dateFormat || DateUtils.DEFAULT_FORMAT, withTime));
+            result.ambiguous = { code: 'ambiguousDate', params: { first, second } };
         }
     }
 
-    function checkDropdownFix(result, rule) {
-        if (!rule.allowedValues || rule.allowedValues.length === 0) return;
+    /**
+     * Case differences, then label matches for columns that opted in, when the
+     * compiled column is given. Anything else similar is returned as result.suggestions.
+     */
+    function checkDropdownFix(result, rule, column) {
+        if (!Array.isArray(rule.allowedValues) || rule.allowedValues.length === 0) return;
         const val = result.fixedValue.toLowerCase();
         const exactMatch = rule.allowedValues.find(v => v.toLowerCase() === val);
         if (exactMatch) {
@@ -416,6 +935,31 @@ const AutoFixEngine = (function () {
                 result.fixType = 'case_sensitivity';
                 result.message = 'Case will be corrected';
             }
+            return;
+        }
+
+        if (!column?.allowedLookup) return;
+
+        const labelMatch = usesLabelMatching(column) && findLabelMatch(result.fixedValue, column);
+        if (labelMatch) {
+            result.fixedValue = labelMatch.value;
+            result.canFix = true;
+            result.fixType = 'fuzzy_match';
+            result.message = `Will be matched to ${labelMatch.display} by its label`;
+            return;
+        }
+
+        const suggestions = findFuzzyMatches(result.fixedValue, column);
+        if (suggestions.length > 0) result.suggestions = suggestions;
+    }
+
+    function checkMappingFix(result, column) {
+        const match = findMapping(result.fixedValue, column);
+        if (match && match.value !== result.fixedValue) {
+            result.fixedValue = match.value;
+            result.canFix = true;
+            result.fixType = 'mapping';
+            result.message = `Will be standardized from the ${match.source} list`;
         }
     }
 
@@ -425,6 +969,10 @@ const AutoFixEngine = (function () {
         // New template-based API
         applyAutoFixes,
         applySettingsBasedFixes,
+        buildFixers,
+        getInheritedSteps,
+        getColumnSteps,
+        FIX_STEPS,
 
         // Individual fix functions (for testing/direct use)
         trimWhitespace,
@@ -434,8 +982,20 @@ const AutoFixEngine = (function () {
         toTitleCase,
         removeCurrencySymbols,
         standardizeDate,
+        standardizeTime,
         removeThousandSeparators,
+        cleanNumber,
         applyAlternativeLabels,
+        stripPrefix,
+        stripSuffix,
+        padLeft,
+        applyMapping,
+        applyLabelMatch,
+        findLabelMatch,
+        findFuzzyMatches,
+        convertYesNo,
+        migrateCountryCodeColumns,
+        SETTINGS_VERSION,
 
         // Legacy API (backward compatibility)
         checkFixability,
@@ -0,0 +1,267 @@
+/**
+ * Auto-Fix Mappings
+ * Curated lookup lists (data/auto-fix-mappings.json) used by opt-in auto-fix rules
+ *
+ * Lists: countries (name -> ISO alpha-3), usStates, canadianProvinces, commonSynonyms.
+ * Admins can edit any list (or add new ones); their edits are stored in the
+ * app_settings table under "auto_fix_mappings" and replace the shipped entries.
+ * Templates can add entries of their own (rules.mappingEntries).
+ *
+ * Columns opt in with `mappings: ['countries', ...]`; RuleCompiler builds the
+ * column's lookup with buildLookup().
+ *
+ * The same file carries the validation message catalog, which is handed to
+ * ValidationMessages once loaded, and the cleaning rules (numericCleaning,
+ * dateFormats) AutoFixEngine reads with getCleaningRules().
+ */
+
+const AutoFixMappings = (function () {
+    'use strict';
+
+    const CONFIG = {
+        URL: 'data/auto-fix-mappings.json',
+        SETTINGS_KEY: 'auto_fix_mappings'
+    };
+
+    // Display names for the shipped lists
+    const LIST_LABELS = {
+        countries: 'Countries (ISO alpha-3)',
+        usStates: 'US States',
+        canadianProvinces: 'Canadian Provinces',
+        commonSynonyms: 'Common Synonyms'
+    };
+
+    let shipped = {};     // Lists from the JSON file
+    let overrides = {};   // Admin edits (app_settings)
+    let lists = {};       // shipped + overrides
+    let cleaningRules = {}; // numericCleaning / dateFormats blocks
+    let loadPromise = null;
+
+    /**
+     * Load the shipped lists, then the admin edits when signed in.
+     * Failures keep whatever was loaded so far.
+     * @returns {Promise<Object>} Lists in use
+     */
+    function load() {
+        if (loadPromise) return loadPromise;
+
+        loadPromise = fetch(CONFIG.URL)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .then(json => {
+                shipped = pickLists(json);
+                setCleaningRules(json);
+                if (window.ValidationMessages) ValidationMessages.setCatalog(json.validationMessages);
+                console.log(`🗺️ Loaded ${Object.keys(shipped).length} auto-fix mapping lists`);
+            })
+            .catch(err => {
+                console.warn('⚠️ Auto-fix mappings unavailable:', err.message);
+            })
+            .then(() => loadOverrides())
+            .then(() => {
+                rebuild();
+                return getLists();
+            });
+
+        return loadPromise;
+    }
+
+    /**
+     * Read the admin edits from app_settings (skipped when Supabase isn't available)
+     */
+    async function loadOverrides() {
+        if (!window.supabaseClient) return;
+
+        try {
+            const { data, error } = await supabaseClient
+                .from('app_settings')
+                .select('value')
+                .eq('key', CONFIG.SETTINGS_KEY)
+                .maybeSingle();
+
+            if (error) throw error;
+            overrides = pickLists(data?.value);
+        } catch (err) {
+            console.warn('⚠️ Could not load admin mapping edits:', err.message);
+        }
+    }
+
+    /**
+     * Save the admin edits (admins only - enforced by row level security)
+     * @param {Object} edited - List name -> { description, mappings }
+     */
+    async function saveOverrides(edited) {
+        const value = pickLists(edited);
+        const { error } = await supabaseClient
+            .from('app_settings')
+            .upsert({ key: CONFIG.SETTINGS_KEY, value, updated_at: new Date().toISOString() });
+
+        if (error) throw error;
+
+        overrides = value;
+        rebuild();
+        console.log('✅ Auto-fix mapping lists saved');
+    }
+
+    /**
+     * Keep the { description, mappings } entries of an object
+     */
+    function pickLists(source) {
+        const picked = {};
+        Object.entries(source || {}).forEach(([name, list]) => {
+            if (list && typeof list.mappings === 'object' && !Array.isArray(list.mappings)) {
+                picked[name] = { description: list.description || '', mappings: { ...list.mappings } };
+            }
+        });
+        return picked;
+    }
+
+    function rebuild() {
+        lists = { ...shipped, ...overrides };
+    }
+
+    /**
+     * All lists ({ name: { description, mappings } })
+     */
+    function getLists() {
+        return JSON.parse(JSON.stringify(lists));
+    }
+
+    /**
+     * Shipped lists, before admin edits
+     */
+    function getShippedLists() {
+        return JSON.parse(JSON.stringify(shipped));
+    }
+
+    /**
+     * Admin edits only
+     */
+    function getOverrides() {
+        return JSON.parse(JSON.stringify(overrides));
+    }
+
+    /**
+     * Replace the lists in use (the validation worker receives them from the page)
+     */
+    function setLists(source) {
+        shipped = pickLists(source);
+        overrides = {};
+        rebuild();
+    }
+
+    /**
+     * Cleaning rules ({ numericCleaning, dateFormats }) from the shipped file.
+     * Read per cell, so this is the live object - don't modify it.
+     */
+    function getCleaningRules() {
+        return cleaningRules;
+    }
+
+    /**
+     * Replace the cleaning rules (the validation worker receives them from the page)
+     * @param {Object} source - Object with numericCleaning / dateFormats blocks
+     */
+    function setCleaningRules(source) {
+        cleaningRules = {
+            numericCleaning: source?.numericCleaning || null,
+            dateFormats: source?.dateFormats || null
+        };
+    }
+
+    /**
+     * List names with display labels, for pickers
+     * @returns {Array<Object>} [{ name, label, description, size }]
+     */
+    function getListNames() {
+        return Object.entries(lists).map(([name, list]) => ({
+            name,
+            label: LIST_LABELS[name] || name,
+            description: list.description,
+            size: Object.keys(list.mappings).length
+        }));
+    }
+
+    /**
+     * Build a case-insensitive lookup over the chosen lists.
+     * Earlier lists win; template entries win over all of them.
+     * @param {Array<string>} names - List names (column.mappings)
+     * @param {Object} [templateEntries] - rules.mappingEntries ({ list: { from: to } })
+     * @returns {Map|null} lower-case value -> { value, source }, or null when nothing applies
+     */
+    function buildLookup(names, templateEntries) {
+        if (!Array.isArray(names) || names.length === 0) return null;
+
+        const lookup = new Map();
+        const add = (entries, source, replace) => {
+            Object.entries(entries || {}).forEach(([from, to]) => {
+                const key = String(from).trim().toLowerCase();
+                if (key && (replace || !lookup.has(key))) lookup.set(key, { value: to, source });
+            });
+        };
+
+        names.forEach(name => add(lists[name]?.mappings, name, false));
+        names.forEach(name => add(templateEntries?.[name], name, true));
+
+        return lookup.size > 0 ? lookup : null;
+    }
+
+    /**
+     * Parse "from = to" lines into a mappings object (blank lines and # comments skipped)
+     * @returns {Object} { entries, errors: ['Line 3: ...'] }
+     */
+    function parseEntries(text) {
+        const entries = {};
+        const errors = [];
+
+        String(text || '').split(/\r?\n/).forEach((line, i) => {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#')) return;
+
+            const separator = trimmed.lastIndexOf('=');
+            const from = separator > 0 ? trimmed.slice(0, separator).trim() : '';
+            const to = separator > 0 ? trimmed.slice(separator + 1).trim() : '';
+            if (!from || !to) {
+                errors.push(`Line ${i + 1}: expected "value = replacement"`);
+                return;
+            }
+            entries[from.toLowerCase()] = to;
+        });
+
+        return { entries, errors };
+    }
+
+    /**
+     * Format a mappings object as "from = to" lines
+     */
+    function formatEntries(entries) {
+        return Object.entries(entries || {}).map(([from, to]) => `${from} = ${to}`).join('\n');
+    }
+
+    // Public API
+    return {
+        load,
+        saveOverrides,
+        getLists,
+        getShippedLists,
+        getOverrides,
+        setLists,
+        getCleaningRules,
+        setCleaningRules,
+        getListNames,
+        buildLookup,
+        parseEntries,
+        formatEntries
+    };
+
+})();
+
+// Make available globally
+window.AutoFixMappings = AutoFixMappings;
+
+// Load on the page (the worker gets the lists from ValidationRunner)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => AutoFixMappings.load());
+}
@@ -0,0 +1,314 @@
+/**
+ * Auto-Fix Review
+ * Lists proposed auto-fixes before they are applied, so each can be accepted or rejected
+ *
+ * Every change from AutoFixEngine.applyAutoFixes ({ row, col, column, before, after,
+ * fixType, source, steps }) is shown with its row, column, before/after values and the
+ * rule that produced it. Changes are grouped by rule or by column; they can be accepted
+ * or rejected one at a time, per group, or for every change of the same value.
+ * Everything starts accepted, except suggestion-grade changes (list label matches),
+ * which start rejected. Large groups are paged.
+ *
+ * Usage:
+ *   AutoFixReview.open(window.pendingAutoFixes, {
+ *       onApply: (accepted, rejected) => HandsontableGrid.applyAutoFixes(accepted)
+ *   });
+ */
+
+const AutoFixReview = (function () {
+    'use strict';
+
+    const CONFIG = {
+        MODAL_ID: 'autofix-review-modal',
+        ITEMS_PER_PAGE: 100
+    };
+
+    // Fix types that guess at the intended value - start rejected, so they are applied only when picked
+    const SUGGESTION_TYPES = new Set(['fuzzy_match']);
+
+    let items = [];       // [{ id, fix, accepted }]
+    let groups = [];      // Groups on screen: [{ label, items }]
+    let groupBy = 'rule';
+    let pages = new Map(); // Group label -> page shown
+    let onApply = null;
+
+    /**
+     * Open the review panel
+     * @param {Array<Object>} fixes - Proposed changes (window.pendingAutoFixes)
+     * @param {Object} options
+     * @param {Function} options.onApply - Called with (acceptedFixes, rejectedFixes)
+     */
+    function open(fixes, options = {}) {
+        items = (fixes || []).map((fix, id) => ({ id, fix, accepted: !isSuggestion(fix) }));
+        groupBy = 'rule';
+        pages = new Map();
+        onApply = options.onApply || null;
+
+        close();
+        document.body.insertAdjacentHTML('beforeend', `
+            <div id="${CONFIG.MODAL_ID}" class="fixed inset-0 bg-black/50 z-50 flex items-center justify-center">
+                <div class="bg-white rounded-2xl shadow-xl max-w-4xl w-full mx-4 max-h-[90vh] flex flex-col overflow-hidden">
+                    <div class="p-6 bg-gradient-to-r from-amber-500 to-amber-600 text-white">
+                        <h3 class="text-xl font-bold">Review Auto-Fixes</h3>
+                        <p class="text-amber-100 text-sm">Only accepted changes are applied. Rejected cells keep their ⚡ icon. List label matches start rejected.</p>
+                    </div>
+                    <div class="px-6 py-3 border-b flex items-center gap-3 text-sm">
+                        <span class="text-slate-500">Group by</span>
+                        <button data-group-by="rule" onclick="AutoFixReview.setGroupBy('rule')"
+                            class="px-3 py-1 rounded-lg border transition-colors">Rule</button>
+                        <button data-group-by="column" onclick="AutoFixReview.setGroupBy('column')"
+                            class="px-3 py-1 rounded-lg border transition-colors">Column</button>
+                        <span class="flex-1"></span>
+                        <button onclick="AutoFixReview.setAll(true)" class="text-isw-blue-600 hover:text-isw-blue-700">Accept all</button>
+                        <button onclick="AutoFixReview.setAll(false)" class="text-slate-500 hover:text-slate-700">Reject all</button>
+                    </div>
+                    <div id="${CONFIG.MODAL_ID}-groups" class="flex-1 overflow-y-auto p-6 space-y-4">
+                        <!-- Populated by render() -->
+                    </div>
+                    <div class="p-4 bg-slate-50 border-t flex items-center justify-end gap-3">
+                        <span id="${CONFIG.MODAL_ID}-counts" class="flex-1 text-sm text-slate-500"></span>
+                        <button onclick="AutoFixReview.close()"
+                            class="px-4 py-2 bg-slate-200 hover:bg-slate-300 rounded-lg font-medium transition-colors">
+                            Cancel
+                        </button>
+                        <button id="${CONFIG.MODAL_ID}-apply" onclick="AutoFixReview.apply()"
+                            class="px-4 py-2 bg-amber-500 hover:bg-amber-600 text-white rounded-lg font-medium transition-colors disabled:opacity-50">
+                            Apply
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `);
+
+        render();
+    }
+
+    /**
+     * Close the panel without applying anything
+     */
+    function close() {
+        document.getElementById(CONFIG.MODAL_ID)?.remove();
+    }
+
+    /**
+     * Whether any step of the change is suggestion-grade
+     */
+    function isSuggestion(fix) {
+        const steps = fix.steps?.length ? fix.steps : [fix];
+        return steps.some(step => SUGGESTION_TYPES.has(step.fixType));
+    }
+
+    /**
+     * Name of the rule that produced a change, e.g. "Map via lookup list"
+     */
+    function getRuleLabel(fixType) {
+        return window.AutoFixEngine?.FIX_STEPS?.[fixType]?.label || fixType || 'Format';
+    }
+
+    /**
+     * Every fix that ran on the cell, in order, with its source
+     */
+    function describeSteps(fix) {
+        const steps = fix.steps?.length ? fix.steps : [{ fixType: fix.fixType, source: fix.source }];
+        return steps.map(step => getRuleLabel(step.fixType) + (step.source ? ` (${step.source})` : '')).join(' → ');
+    }
+
+    /**
+     * Group the changes by the current grouping, largest group first
+     */
+    function buildGroups() {
+        const byKey = new Map();
+        items.forEach(item => {
+            const key = groupBy === 'column' ? (item.fix.column || 'Unknown') : getRuleLabel(item.fix.fixType);
+            if (!byKey.has(key)) byKey.set(key, []);
+            byKey.get(key).push(item);
+        });
+
+        return Array.from(byKey, ([label, groupItems]) => ({ label, items: groupItems }))
+            .sort((a, b) => b.items.length - a.items.length);
+    }
+
+    /**
+     * Changes are "the same value" when they share column and before-value
+     * ("1" in a yes/no column and "1" in a country column are unrelated)
+     */
+    function sameValueKey(fix) {
+        return `${fix.column || ''}\u0000${String(fix.before)}`;
+    }
+
+    /**
+     * How many changes share each column + before-value
+     */
+    function countBeforeValues() {
+        const counts = new Map();
+        items.forEach(item => {
+            const key = sameValueKey(item.fix);
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+        return counts;
+    }
+
+    function render() {
+        const container = document.getElementById(`${CONFIG.MODAL_ID}-groups`);
+        if (!container) return;
+
+        groups = buildGroups();
+        const beforeCounts = countBeforeValues();
+
+        document.querySelectorAll(`#${CONFIG.MODAL_ID} [data-group-by]`).forEach(button => {
+            const active = button.dataset.groupBy === groupBy;
+            button.classList.toggle('bg-amber-50', active);
+            button.classList.toggle('border-amber-400', active);
+            button.classList.toggle('text-amber-700', active);
+            button.classList.toggle('border-slate-200', !active);
+        });
+
+        container.innerHTML = groups.map((group, groupIdx) => {
+            const accepted = group.items.filter(item => item.accepted).length;
+            const pageCount = Math.ceil(group.items.length / CONFIG.ITEMS_PER_PAGE);
+            const page = Math.min(pages.get(group.label) || 0, pageCount - 1);
+            const first = page * CONFIG.ITEMS_PER_PAGE;
+            const shown = group.items.slice(first, first + CONFIG.ITEMS_PER_PAGE);
+
+            return `
+                <div class="border border-slate-200 rounded-lg overflow-hidden">
+                    <div class="px-4 py-2 bg-slate-50 flex items-center gap-3">
+                        <span class="font-medium text-slate-700">${HtmlUtils.escapeHtml(group.label)}</span>
+                        <span class="text-xs text-slate-500">${accepted} of ${group.items.length} accepted</span>
+                        <span class="flex-1"></span>
+                        <button onclick="AutoFixReview.setGroup(${groupIdx}, true)" class="text-xs text-isw-blue-600 hover:text-isw-blue-700">Accept group</button>
+                        <button onclick="AutoFixReview.setGroup(${groupIdx}, false)" class="text-xs text-slate-500 hover:text-slate-700">Reject group</button>
+                    </div>
+                    <table class="w-full text-sm">
+                        ${shown.map(item => renderItem(item, beforeCounts.get(sameValueKey(item.fix)))).join('')}
+                    </table>
+                    ${pageCount > 1 ? `
+                        <div class="px-4 py-2 border-t border-slate-100 flex items-center justify-end gap-3 text-xs text-slate-500">
+                            <span>${first + 1}-${first + shown.length} of ${group.items.length}</span>
+                            <button onclick="AutoFixReview.setPage(${groupIdx}, ${page - 1})" ${page === 0 ? 'disabled' : ''}
+                                class="text-isw-blue-600 hover:text-isw-blue-700 disabled:text-slate-300">Previous</button>
+                            <button onclick="AutoFixReview.setPage(${groupIdx}, ${page + 1})" ${page === pageCount - 1 ? 'disabled' : ''}
+                                class="text-isw-blue-600 hover:text-isw-blue-700 disabled:text-slate-300">Next</button>
+                        </div>
+                    ` : ''}
+                </div>
+            `;
+        }).join('');
+
+        const acceptedCount = items.filter(item => item.accepted).length;
+        const counts = document.getElementById(`${CONFIG.MODAL_ID}-counts`);
+        if (counts) counts.textContent = `${acceptedCount} accepted, ${items.length - acceptedCount} rejected`;
+
+        const applyButton = document.getElementById(`${CONFIG.MODAL_ID}-apply`);
+        if (applyButton) {
+            applyButton.textContent = `Apply ${acceptedCount} Fix${acceptedCount === 1 ? '' : 'es'}`;
+            applyButton.disabled = acceptedCount === 0;
+        }
+    }
+
+    /**
+     * One change: accept checkbox, row, column, before → after, rule, and
+     * same-value buttons when the before-value occurs more than once in its column
+     */
+    function renderItem(item, sameCount) {
+        const { fix } = item;
+        const sameValue = sameCount > 1 ? `
+            <button onclick="AutoFixReview.setSameValue(${item.id}, true)" class="text-xs text-isw-blue-600 hover:text-isw-blue-700"
+                title="Accept all ${sameCount} changes of this value in ${HtmlUtils.escapeHtml(fix.column || '')}">✓ all ${sameCount}</button>
+            <button onclick="AutoFixReview.setSameValue(${item.id}, false)" class="text-xs text-slate-500 hover:text-slate-700"
+                title="Reject all ${sameCount} changes of this value in ${HtmlUtils.escapeHtml(fix.column || '')}">✗ all ${sameCount}</button>
+        ` : '';
+
+        return `
+            <tr class="border-t border-slate-100 ${item.accepted ? '' : 'bg-slate-50 text-slate-400'}">
+                <td class="pl-4 py-1.5 w-8">
+                    <input type="checkbox" ${item.accepted ? 'checked' : ''}
+                        class="rounded text-amber-500 focus:ring-amber-400"
+                        onchange="AutoFixReview.setItem(${item.id}, this.checked)">
+                </td>
+                <td class="py-1.5 pr-3 whitespace-nowrap text-slate-500">Row ${fix.row}</td>
+                <td class="py-1.5 pr-3 whitespace-nowrap">${HtmlUtils.escapeHtml(fix.column || '')}</td>
+                <td class="py-1.5 pr-3 font-mono break-all">
+                    <span class="${item.accepted ? 'line-through text-slate-400' : ''}">${HtmlUtils.escapeHtml(fix.before)}</span>
+                    → <span class="${item.accepted ? 'text-slate-900' : ''}">${HtmlUtils.escapeHtml(fix.after)}</span>
+                </td>
+                <td class="py-1.5 pr-3 text-xs text-slate-500">${HtmlUtils.escapeHtml(describeSteps(fix))}</td>
+                <td class="py-1.5 pr-4 whitespace-nowrap text-right space-x-1">${sameValue}</td>
+            </tr>
+        `;
+    }
+
+    function setItem(id, accepted) {
+        if (items[id]) items[id].accepted = !!accepted;
+        render();
+    }
+
+    function setGroup(groupIdx, accepted) {
+        (groups[groupIdx]?.items || []).forEach(item => { item.accepted = !!accepted; });
+        render();
+    }
+
+    /**
+     * Accept or reject every change with the given change's column and before-value
+     */
+    function setSameValue(id, accepted) {
+        if (!items[id]) return;
+        const key = sameValueKey(items[id].fix);
+
+        items.forEach(item => {
+            if (sameValueKey(item.fix) === key) item.accepted = !!accepted;
+        });
+        render();
+    }
+
+    function setAll(accepted) {
+        items.forEach(item => { item.accepted = !!accepted; });
+        render();
+    }
+
+    function setGroupBy(value) {
+        groupBy = value === 'column' ? 'column' : 'rule';
+        pages = new Map();
+        render();
+    }
+
+    /**
+     * Show another page of a large group
+     */
+    function setPage(groupIdx, page) {
+        const group = groups[groupIdx];
+        if (!group) return;
+
+        const pageCount = Math.ceil(group.items.length / CONFIG.ITEMS_PER_PAGE);
+        pages.set(group.label, Math.max(0, Math.min(page, pageCount - 1)));
+        render();
+    }
+
+    /**
+     * Close the panel and hand the accepted and rejected changes to onApply
+     */
+    function apply() {
+        const accepted = items.filter(item => item.accepted).map(item => item.fix);
+        const rejected = items.filter(item => !item.accepted).map(item => item.fix);
+
+        close();
+        if (onApply) onApply(accepted, rejected);
+    }
+
+    // Public API
+    return {
+        open,
+        close,
+        apply,
+        setItem,
+        setGroup,
+        setSameValue,
+        setAll,
+        setGroupBy,
+        setPage
+    };
+
+})();
+
+// Make available globally
+window.AutoFixReview = AutoFixReview;
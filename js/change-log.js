@@ -0,0 +1,434 @@
+/**
+ * Change Log
+ * Records every change made to the uploaded data - applied auto-fixes, manual
+ * edits, auto-fix resets and deleted rows - with who made it, when, and which
+ * fix rule produced it.
+ *
+ * One session per validation run (file + template). Every entry is written to
+ * the change_log_sessions / change_log_entries tables (_/SQL_ADD_CHANGE_LOGS.sql)
+ * as the audit trail - in batches, retried until they are saved. Nothing is
+ * dropped: the page keeps every entry of the session and the viewer says when
+ * some are not saved yet.
+ *
+ * Entry: { id, timestamp, kind: 'autofix' | 'manual' | 'reset' | 'delete',
+ *          row, column, before, after, rule, source, user }
+ *
+ * Usage:
+ *   ChangeLog.start({ fileName, templateId, templateName });
+ *   ChangeLog.record([{ kind: 'manual', row: 3, column: 'Country', before: 'usa', after: 'USA' }]);
+ *   DataExport adds ChangeLog.buildSheet() as a "Changes" sheet
+ */
+
+const ChangeLog = (function () {
+    'use strict';
+
+    const CONFIG = {
+        SAVE_DELAY: 1000,     // ms - edits in quick succession are saved in one write
+        RETRY_DELAY: 30000,   // ms - before trying a failed write again
+        BATCH_SIZE: 500,      // Entries per insert
+        MODAL_ID: 'change-log-modal',
+        ROWS_SHOWN: 500       // The viewer lists the newest entries; export has them all
+    };
+
+    const KIND_LABELS = {
+        autofix: 'Auto-fix',
+        manual: 'Manual edit',
+        reset: 'Reset',
+        delete: 'Row deleted'
+    };
+
+    let session = null;          // { id, templateId, fileName, templateName, startedAt, entries, cleared }
+    let currentUser = '';
+    let nextId = 1;
+    let kindFilter = 'all';
+
+    // Audit trail rows waiting to be written (sessions first, then their entries)
+    let unsavedSessions = [];
+    let unsavedEntries = [];
+    let saveTimer = null;
+    let saving = false;
+    let saveError = '';
+
+    /**
+     * Start logging for a new upload. Earlier sessions stay in the audit trail.
+     * @param {Object} info - { fileName, templateId, templateName }
+     */
+    function start(info = {}) {
+        session = {
+            id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+            templateId: info.templateId || null,
+            fileName: info.fileName || '',
+            templateName: info.templateName || '',
+            startedAt: new Date().toISOString(),
+            entries: [],
+            cleared: 0           // Entries cleared from the page (still in the audit trail)
+        };
+        nextId = 1;
+
+        unsavedSessions.push({
+            id: session.id,
+            template_id: session.templateId,
+            template_name: session.templateName,
+            file_name: session.fileName,
+            started_at: session.startedAt
+        });
+        scheduleSave();
+        updateBadge();
+    }
+
+    /**
+     * Empty the log shown on this page (asks first). Saved entries stay in the
+     * audit trail and unsaved ones are still written.
+     */
+    function clear() {
+        if (!confirm('Clear the change log on this page? Changes already logged stay in the audit trail.')) return;
+
+        if (session) {
+            session.cleared += session.entries.length;
+            session.entries = [];
+        }
+        updateBadge();
+    }
+
+    /**
+     * Who is making changes (shown in the log and the export)
+     * @param {string} user - Email or display name
+     */
+    function setUser(user) {
+        currentUser = user || '';
+    }
+
+    /**
+     * Add entries to the current session
+     * @param {Array<Object>} entries - { kind, row, column, before, after, rule?, source? }
+     * @returns {number} Number of entries recorded
+     */
+    function record(entries) {
+        if (!session || !entries?.length) return 0;
+
+        const timestamp = new Date().toISOString();
+        entries.forEach(entry => {
+            const logged = {
+                id: nextId++,
+                timestamp,
+                kind: entry.kind || 'manual',
+                row: entry.row ?? '',
+                column: entry.column || '',
+                before: toText(entry.before),
+                after: toText(entry.after),
+                rule: entry.rule || '',
+                source: entry.source || '',
+                user: currentUser
+            };
+            session.entries.push(logged);
+            unsavedEntries.push(toRow(logged, session.id));
+        });
+
+        scheduleSave();
+        updateBadge();
+        return entries.length;
+    }
+
+    /**
+     * Entries of the current session, oldest first
+     */
+    function getEntries() {
+        return session ? session.entries.slice() : [];
+    }
+
+    /**
+     * Current session details without the entries
+     */
+    function getSession() {
+        if (!session) return null;
+        const { entries, ...info } = session;
+        return { ...info, count: entries.length };
+    }
+
+    /**
+     * How many entries are not in the audit trail yet, and why
+     * @returns {Object} { unsaved, error }
+     */
+    function getSaveStatus() {
+        return { unsaved: unsavedEntries.length, error: saveError };
+    }
+
+    function toText(value) {
+        return value === null || value === undefined ? '' : String(value);
+    }
+
+    // =========================================================================
+    // AUDIT TRAIL
+    // =========================================================================
+
+    function toRow(entry, sessionId) {
+        return {
+            session_id: sessionId,
+            entry_id: entry.id,
+            logged_at: entry.timestamp,
+            kind: entry.kind,
+            row_number: toText(entry.row),
+            column_name: entry.column,
+            before_value: entry.before,
+            after_value: entry.after,
+            rule: entry.rule,
+            source: entry.source,
+            user_email: entry.user
+        };
+    }
+
+    /**
+     * Write the waiting rows once edits settle down
+     */
+    function scheduleSave(delay = CONFIG.SAVE_DELAY) {
+        if (saveTimer) return;
+        saveTimer = setTimeout(save, delay);
+    }
+
+    /**
+     * Write the waiting sessions and entries. Rows leave the queue only once
+     * written; after a failure the rest is tried again later.
+     */
+    async function save() {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+        if (saving || (unsavedSessions.length === 0 && unsavedEntries.length === 0)) return;
+
+        saving = true;
+        try {
+            if (!window.supabaseClient) throw new Error('audit trail storage is not available');
+
+            while (unsavedSessions.length > 0) {
+                const { error } = await supabaseClient
+                    .from('change_log_sessions')
+                    .upsert(unsavedSessions[0], { onConflict: 'id', ignoreDuplicates: true });
+                if (error) throw error;
+                unsavedSessions.shift();
+            }
+
+            while (unsavedEntries.length > 0) {
+                const batch = unsavedEntries.slice(0, CONFIG.BATCH_SIZE);
+                const { error } = await supabaseClient
+                    .from('change_log_entries')
+                    .upsert(batch, { onConflict: 'session_id,entry_id', ignoreDuplicates: true });
+                if (error) throw error;
+                unsavedEntries.splice(0, batch.length);
+            }
+
+            saveError = '';
+        } catch (err) {
+            saveError = err.message || String(err);
+            console.warn(`⚠️ Change log not saved (${unsavedEntries.length} entries waiting), retrying:`, saveError);
+            scheduleSave(CONFIG.RETRY_DELAY);
+        } finally {
+            saving = false;
+        }
+
+        // Entries recorded while this write was running
+        if (!saveError && (unsavedSessions.length > 0 || unsavedEntries.length > 0)) scheduleSave();
+        updateBadge();
+    }
+
+    // Try the last batch when the page goes away, and warn while entries are unsaved
+    if (typeof window !== 'undefined') {
+        window.addEventListener('pagehide', () => { if (unsavedEntries.length > 0) save(); });
+        window.addEventListener('beforeunload', event => {
+            if (unsavedEntries.length === 0) return;
+            save();
+            event.preventDefault();
+            event.returnValue = '';
+        });
+    }
+
+    // =========================================================================
+    // EXPORT
+    // =========================================================================
+
+    /**
+     * One line per change, for the "Changes" sheet. Ends with a note when the
+     * sheet is not the whole trail (cleared or unsaved entries).
+     * @returns {Array<Array>} Sheet rows, header first
+     */
+    function buildSheet() {
+        const notes = [];
+        if (session?.cleared > 0) {
+            notes.push(`${session.cleared} earlier change(s) were cleared from this log - see the audit trail for session ${session.id}`);
+        }
+        if (unsavedEntries.length > 0) {
+            notes.push(`${unsavedEntries.length} change(s) were not saved to the audit trail at export time`);
+        }
+
+        return [
+            ['Timestamp', 'Row', 'Column', 'Change', 'Rule', 'Source', 'User', 'Old Value', 'New Value'],
+            ...getEntries().map(entry => [
+                entry.timestamp,
+                entry.row,
+                entry.column,
+                KIND_LABELS[entry.kind] || entry.kind,
+                entry.rule,
+                entry.source,
+                entry.user,
+                entry.before,
+                entry.after
+            ]),
+            ...notes.map(note => [`Note: ${note}`])
+        ];
+    }
+
+    // =========================================================================
+    // VIEWER
+    // =========================================================================
+
+    /**
+     * Show the change count on the validation page's Change Log button
+     */
+    function updateBadge() {
+        if (typeof document === 'undefined') return;
+        const badge = document.getElementById('change-log-count');
+        if (badge) {
+            badge.textContent = session ? session.entries.length.toLocaleString() : '0';
+            badge.title = unsavedEntries.length > 0 ? `${unsavedEntries.length.toLocaleString()} not saved to the audit trail yet` : '';
+        }
+        if (document.getElementById(CONFIG.MODAL_ID)) render();
+    }
+
+    /**
+     * Open the change log for the current session
+     */
+    function open() {
+        close();
+        kindFilter = 'all';
+
+        const info = session
+            ? `${HtmlUtils.escapeHtml(session.fileName || 'Uploaded file')}${session.templateName ? ' • ' + HtmlUtils.escapeHtml(session.templateName) : ''}`
+            : 'No file validated yet';
+
+        document.body.insertAdjacentHTML('beforeend', `
+            <div id="${CONFIG.MODAL_ID}" class="fixed inset-0 bg-black/50 z-50 flex items-center justify-center">
+                <div class="bg-white rounded-2xl shadow-xl max-w-5xl w-full mx-4 max-h-[90vh] flex flex-col overflow-hidden">
+                    <div class="p-6 bg-gradient-to-r from-isw-blue-600 to-isw-blue-700 text-white">
+                        <h3 class="text-xl font-bold">Change Log</h3>
+                        <p class="text-isw-blue-100 text-sm">${info}</p>
+                    </div>
+                    <div class="px-6 py-3 border-b flex items-center gap-3 text-sm">
+                        <span class="text-slate-500">Show</span>
+                        <select onchange="ChangeLog.setFilter(this.value)"
+                            class="px-3 py-1 border border-slate-300 rounded-lg text-sm text-slate-700 bg-white">
+                            <option value="all">All changes</option>
+                            ${Object.entries(KIND_LABELS).map(([kind, label]) => `<option value="${kind}">${label}s</option>`).join('')}
+                        </select>
+                        <span id="${CONFIG.MODAL_ID}-counts" class="flex-1 text-right text-slate-500"></span>
+                    </div>
+                    <div class="flex-1 overflow-y-auto">
+                        <table class="w-full text-sm">
+                            <thead class="bg-slate-50 text-left text-xs text-slate-500 sticky top-0">
+                                <tr>
+                                    <th class="px-4 py-2">Time</th>
+                                    <th class="py-2 pr-3">Row</th>
+                                    <th class="py-2 pr-3">Column</th>
+                                    <th class="py-2 pr-3">Change</th>
+                                    <th class="py-2 pr-3">Old → New</th>
+                                    <th class="py-2 pr-3">Rule</th>
+                                    <th class="py-2 pr-4">User</th>
+                                </tr>
+                            </thead>
+                            <tbody id="${CONFIG.MODAL_ID}-rows"></tbody>
+                        </table>
+                    </div>
+                    <div class="p-4 bg-slate-50 border-t flex items-center justify-end gap-3">
+                        <p class="flex-1 text-xs text-slate-500">
+                            Exported as a "Changes" sheet with Full XLS exports.
+                            <span id="${CONFIG.MODAL_ID}-saved" class="block"></span>
+                        </p>
+                        <button onclick="ChangeLog.clear()"
+                            class="px-4 py-2 text-red-600 hover:bg-red-50 rounded-lg font-medium transition-colors">
+                            Clear Log
+                        </button>
+                        <button onclick="ChangeLog.close()"
+                            class="px-4 py-2 bg-slate-200 hover:bg-slate-300 rounded-lg font-medium transition-colors">
+                            Close
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `);
+
+        render();
+    }
+
+    function close() {
+        document.getElementById(CONFIG.MODAL_ID)?.remove();
+    }
+
+    function setFilter(kind) {
+        kindFilter = KIND_LABELS[kind] ? kind : 'all';
+        render();
+    }
+
+    function render() {
+        const body = document.getElementById(`${CONFIG.MODAL_ID}-rows`);
+        if (!body) return;
+
+        const entries = getEntries().filter(entry => kindFilter === 'all' || entry.kind === kindFilter);
+        const shown = entries.slice(-CONFIG.ROWS_SHOWN).reverse();
+
+        body.innerHTML = shown.length === 0
+            ? '<tr><td colspan="7" class="px-4 py-8 text-center text-slate-400">No changes recorded</td></tr>'
+            : shown.map(renderEntry).join('');
+
+        const counts = document.getElementById(`${CONFIG.MODAL_ID}-counts`);
+        if (counts) {
+            counts.textContent = entries.length > shown.length
+                ? `Newest ${shown.length.toLocaleString()} of ${entries.length.toLocaleString()} changes`
+                : `${entries.length.toLocaleString()} change${entries.length === 1 ? '' : 's'}`;
+        }
+
+        const saved = document.getElementById(`${CONFIG.MODAL_ID}-saved`);
+        if (saved) {
+            saved.className = unsavedEntries.length > 0 ? 'block text-amber-600 font-medium' : 'block';
+            saved.textContent = unsavedEntries.length > 0
+                ? `⚠️ ${unsavedEntries.length.toLocaleString()} change${unsavedEntries.length === 1 ? '' : 's'} not saved to the audit trail yet${saveError ? ` (${saveError})` : ''} - keep this page open.`
+                : 'All changes are saved to the audit trail.';
+        }
+    }
+
+    function renderEntry(entry) {
+        const time = new Date(entry.timestamp);
+        return `
+            <tr class="border-t border-slate-100">
+                <td class="px-4 py-1.5 whitespace-nowrap text-slate-500" title="${HtmlUtils.escapeHtml(entry.timestamp)}">
+                    ${time.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', second: '2-digit' })}
+                </td>
+                <td class="py-1.5 pr-3 whitespace-nowrap text-slate-500">${HtmlUtils.escapeHtml(entry.row)}</td>
+                <td class="py-1.5 pr-3 whitespace-nowrap">${HtmlUtils.escapeHtml(entry.column)}</td>
+                <td class="py-1.5 pr-3 whitespace-nowrap">${HtmlUtils.escapeHtml(KIND_LABELS[entry.kind] || entry.kind)}</td>
+                <td class="py-1.5 pr-3 font-mono break-all">
+                    <span class="line-through text-slate-400">${HtmlUtils.escapeHtml(entry.before)}</span>
+                    → <span class="text-slate-900">${HtmlUtils.escapeHtml(entry.after)}</span>
+                </td>
+                <td class="py-1.5 pr-3 text-xs text-slate-500">${HtmlUtils.escapeHtml(entry.rule)}${entry.source ? ` (${HtmlUtils.escapeHtml(entry.source)})` : ''}</td>
+                <td class="py-1.5 pr-4 text-xs text-slate-500">${HtmlUtils.escapeHtml(entry.user)}</td>
+            </tr>
+        `;
+    }
+
+    // Public API
+    return {
+        KIND_LABELS,
+        start,
+        setUser,
+        record,
+        clear,
+        getEntries,
+        getSession,
+        getSaveStatus,
+        buildSheet,
+        open,
+        close,
+        setFilter
+    };
+
+})();
+
+// Make available globally
+window.ChangeLog = ChangeLog;
@@ -0,0 +1,214 @@
+/**
+ * Client Script Runner
+ * Runs a template's client-specific validation script after the standard rules
+ *
+ * The script is stored on the template rules as `rules.clientScript = { code, timeoutMs }`
+ * and runs in its own worker (js/client-script-worker.js) with no DOM, network or app state.
+ * It sees:
+ *   rows      - read-only [{ index, number, data: { field: value } }]
+ *   headers   - read-only field names
+ *   addError(row, field, message), addWarning(...), addInfo(...) - row is a row or its index
+ *   log(...)  - captured output, shown when testing the script
+ *
+ * Example:
+ *   rows.forEach(row => {
+ *       if (row.data['Plan'] === 'RSU' && row.data['Strike Price']) {
+ *           addError(row, 'Strike Price', 'RSUs have no strike price');
+ *       }
+ *   });
+ *
+ * Issues are kept on each row as `row.scriptIssues` and re-applied by ValidationEngine
+ * until the script runs again.
+ */
+
+const ClientScriptRunner = (function () {
+    'use strict';
+
+    const CONFIG = {
+        WORKER_URL: 'js/client-script-worker.js',
+        DEFAULT_TIMEOUT_MS: 5000,
+        MAX_TIMEOUT_MS: 60000,
+        MAX_ISSUES: 10000
+    };
+
+    /**
+     * Get the template's client script, if it has one with code
+     * @returns {Object|null} { code, timeoutMs }
+     */
+    function getScript(rules) {
+        const script = rules?.clientScript;
+        if (!script || !String(script.code || '').trim()) return null;
+        return script;
+    }
+
+    /**
+     * Clamp a configured time limit
+     */
+    function getTimeout(script) {
+        const timeoutMs = Number(script?.timeoutMs) || CONFIG.DEFAULT_TIMEOUT_MS;
+        return Math.min(Math.max(timeoutMs, 100), CONFIG.MAX_TIMEOUT_MS);
+    }
+
+    /**
+     * Create a runner error
+     * @param {string} kind - 'timeout', 'script', 'unsupported' or 'worker'
+     */
+    function createError(kind, message, details = {}) {
+        const err = new Error(message);
+        err.kind = kind;
+        Object.assign(err, details);
+        return err;
+    }
+
+    /**
+     * Run a client script against the dataset
+     * @param {Object} data - Structured data ({ rows, headers? })
+     * @param {Object|string} script - rules.clientScript, or raw code
+     * @returns {Promise<Object>} { issues: [{ row, field, severity, message }], logs, truncated, durationMs }
+     *          Rejects with an error whose `kind` is 'timeout', 'script', 'unsupported' or 'worker'
+     */
+    function run(data, script) {
+        const config = typeof script === 'string' ? { code: script } : (script || {});
+        const timeoutMs = getTimeout(config);
+
+        return new Promise((resolve, reject) => {
+            if (typeof Worker === 'undefined' || (typeof location !== 'undefined' && location.protocol === 'file:')) {
+                // Never fall back to the page itself - the whole point is isolation
+                reject(createError('unsupported', 'Client scripts need Web Worker support (serve the app over http)'));
+                return;
+            }
+
+            const rows = data.rows || [];
+            let headers = data.headers || [];
+            if (headers.length === 0 && rows.length > 0 && rows[0].data) {
+                headers = Object.keys(rows[0].data);
+            }
+
+            let worker;
+            try {
+                worker = new Worker(CONFIG.WORKER_URL);
+            } catch (err) {
+                reject(createError('worker', `Could not start client script worker: ${err.message}`));
+                return;
+            }
+
+            const startedAt = Date.now();
+            const finish = (callback) => {
+                clearTimeout(timer);
+                worker.terminate();
+                callback();
+            };
+
+            const timer = setTimeout(() => {
+                finish(() => reject(createError('timeout', `Client script exceeded its ${timeoutMs} ms time limit`, { timeoutMs })));
+            }, timeoutMs);
+
+            worker.onmessage = (event) => {
+                const message = event.data;
+                if (message.type === 'done') {
+                    finish(() => resolve({
+                        issues: sanitizeIssues(message.issues, rows.length, headers),
+                        logs: Array.isArray(message.logs) ? message.logs.slice(0, 100).map(String) : [],
+                        truncated: !!message.truncated,
+                        durationMs: Date.now() - startedAt
+                    }));
+                } else if (message.type === 'error') {
+                    const where = message.line ? ` (line ${message.line})` : '';
+                    finish(() => reject(createError('script', `${message.name}: ${message.message}${where}`, {
+                        scriptError: message.name,
+                        line: message.line
+                    })));
+                }
+            };
+
+            worker.onerror = (event) => {
+                event.preventDefault?.();
+                finish(() => reject(createError('worker', event.message || 'Client script worker failed')));
+            };
+
+            worker.postMessage({
+                type: 'run',
+                code: config.code || '',
+                rows: rows.map(row => row.data || {}),
+                headers,
+                maxIssues: CONFIG.MAX_ISSUES
+            });
+        });
+    }
+
+    /**
+     * Keep only well-formed issues for known rows and fields, up to MAX_ISSUES.
+     * The worker already checks them; this keeps a message that didn't come
+     * through addError/addWarning/addInfo from reaching the grid.
+     */
+    function sanitizeIssues(issues, rowCount, headers) {
+        if (!Array.isArray(issues)) return [];
+
+        const fields = new Set(headers);
+        return issues
+            .filter(issue => issue && Number.isInteger(issue.row) && issue.row >= 0 && issue.row < rowCount &&
+                fields.has(issue.field) && ['error', 'warning', 'info'].includes(issue.severity))
+            .slice(0, CONFIG.MAX_ISSUES)
+            .map(issue => ({ row: issue.row, field: issue.field, severity: issue.severity, message: String(issue.message ?? '') }));
+    }
+
+    /**
+     * Store script issues on their rows (replacing any from a previous run).
+     * The caller re-validates the changed rows so they show up in cell metadata and stats.
+     * @param {Object} data - Structured data
+     * @param {Object} result - From run()
+     * @returns {Object} { errors, warnings, info } counts and changedRows - indices of rows
+     *                   whose script issues differ from the previous run
+     */
+    function applyResults(data, result) {
+        const counts = { errors: 0, warnings: 0, info: 0 };
+        const previous = new Map();
+
+        data.rows.forEach((row, idx) => {
+            if (row.scriptIssues) previous.set(idx, JSON.stringify(row.scriptIssues));
+            delete row.scriptIssues;
+        });
+
+        (result?.issues || []).forEach(issue => {
+            const row = data.rows[issue.row];
+            if (!row) return;
+            if (!row.scriptIssues) row.scriptIssues = [];
+            row.scriptIssues.push({ field: issue.field, severity: issue.severity, message: issue.message });
+
+            if (issue.severity === 'warning') counts.warnings++;
+            else if (issue.severity === 'info') counts.info++;
+            else counts.errors++;
+        });
+
+        const changedRows = [];
+        data.rows.forEach((row, idx) => {
+            const current = row.scriptIssues ? JSON.stringify(row.scriptIssues) : undefined;
+            if (current !== previous.get(idx)) changedRows.push(idx);
+        });
+
+        return { ...counts, changedRows };
+    }
+
+    /**
+     * Remove all script issues (e.g. when the template no longer has a script)
+     * @returns {Array<number>} Indices of the rows that had issues
+     */
+    function clearResults(data) {
+        const changedRows = [];
+        (data?.rows || []).forEach((row, idx) => {
+            if (row.scriptIssues) changedRows.push(idx);
+            delete row.scriptIssues;
+        });
+        return changedRows;
+    }
+
+    return {
+        CONFIG,
+        getScript,
+        run,
+        applyResults,
+        clearResults
+    };
+})();
+
+window.ClientScriptRunner = ClientScriptRunner;
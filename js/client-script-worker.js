@@ -0,0 +1,133 @@
+/**
+ * Client Script Worker
+ * Runs a template's client-specific validation script in isolation for ClientScriptRunner.
+ *
+ * Messages in:  { type: 'run', code, rows, headers, maxIssues }
+ * Messages out: { type: 'done', issues, logs, truncated }
+ *               or { type: 'error', name, message, line }
+ * The time limit is enforced by the main thread, which terminates the worker.
+ */
+
+(function () {
+    'use strict';
+
+    // Our own channel back to the page and code compiler. They only live in this
+    // closure, so the script can't reach them by name.
+    const send = self.postMessage.bind(self);
+    const compile = Function;
+
+    // Everything that could send data out of the worker (network, messaging,
+    // nested workers and the Blob URLs to start them from) is replaced with
+    // undefined on the global object and on every prototype that defines it
+    const BLOCKED_GLOBALS = [
+        'fetch', 'XMLHttpRequest', 'WebSocket', 'WebSocketStream', 'WebTransport', 'EventSource',
+        'importScripts', 'indexedDB', 'caches', 'BroadcastChannel', 'MessageChannel', 'postMessage', 'close',
+        'Worker', 'SharedWorker', 'Blob', 'File', 'FileReaderSync', 'RTCPeerConnection',
+        // Ways to compile more code at run time, which could contain import()
+        'eval', 'Function', 'setTimeout', 'setInterval'
+    ];
+
+    // Dynamic import() is syntax, not a global, so it can't be blocked - scripts
+    // using it are rejected (a comment between `import` and `(` is caught too)
+    const DYNAMIC_IMPORT = /\bimport\s*(?:\(|\/[/*])/;
+
+    function block(target, name) {
+        for (let obj = target; obj && obj !== Object.prototype; obj = Object.getPrototypeOf(obj)) {
+            if (!Object.prototype.hasOwnProperty.call(obj, name)) continue;
+            try {
+                Object.defineProperty(obj, name, { value: undefined, configurable: false, writable: false });
+            } catch (err) {
+                // Non-configurable on this browser - the script is still shadowed below
+            }
+        }
+    }
+
+    BLOCKED_GLOBALS.forEach(name => block(self, name));
+    if (self.URL) block(self.URL, 'createObjectURL');
+
+    // (function () {}).constructor and friends would compile code just like Function
+    [function () {}, async function () {}, function* () {}, async function* () {}]
+        .forEach(fn => block(Object.getPrototypeOf(fn), 'constructor'));
+
+    // Lines `new Function` adds before the script body ("function anonymous(...", ") {", "'use strict';")
+    const HEADER_LINES = 3;
+
+    /**
+     * Freeze an object graph so the script can't change row data
+     */
+    function deepFreeze(value) {
+        if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+            Object.freeze(value);
+            Object.values(value).forEach(deepFreeze);
+        }
+        return value;
+    }
+
+    /**
+     * Find the script line an exception was thrown from (V8 / Firefox stack formats)
+     */
+    function getScriptLine(err) {
+        // V8: "(eval at ..., <anonymous>:5:3)"   Firefox: "... > Function:5:3"
+        const match = String(err?.stack || '').match(/(?:, <anonymous>|> Function):(\d+):\d+/);
+        if (!match) return null;
+        const line = Number(match[1]) - HEADER_LINES;
+        return line > 0 ? line : null;
+    }
+
+    self.onmessage = function (event) {
+        const { type, code, rows, headers, maxIssues } = event.data || {};
+        if (type !== 'run') return;
+
+        const issues = [];
+        const logs = [];
+        let truncated = false;
+
+        const scriptRows = deepFreeze(rows.map((data, index) => ({ index, number: index + 1, data })));
+        const scriptHeaders = deepFreeze([...headers]);
+
+        const reporter = (severity, fnName) => (row, field, message) => {
+            const index = row !== null && typeof row === 'object' ? row.index : Number(row);
+            if (!Number.isInteger(index) || index < 0 || index >= rows.length) {
+                throw new RangeError(`${fnName}: unknown row ${JSON.stringify(row)}`);
+            }
+            if (!headers.includes(field)) {
+                throw new RangeError(`${fnName}: unknown field ${JSON.stringify(field)}`);
+            }
+            if (issues.length >= maxIssues) {
+                truncated = true;
+                return;
+            }
+            issues.push({ row: index, field, severity, message: String(message ?? '') });
+        };
+
+        const log = (...args) => {
+            if (logs.length < 100) logs.push(args.map(arg => typeof arg === 'string' ? arg : JSON.stringify(arg)).join(' '));
+        };
+
+        try {
+            if (DYNAMIC_IMPORT.test(code)) {
+                throw new SyntaxError('import() is not allowed in client scripts');
+            }
+
+            // Globals the script shouldn't reach are shadowed by undefined parameters
+            const script = compile(
+                'rows', 'headers', 'addError', 'addWarning', 'addInfo', 'log',
+                'self', 'globalThis', 'fetch', 'importScripts', 'postMessage', 'XMLHttpRequest', 'WebSocket',
+                'Worker', 'SharedWorker', 'Blob',
+                `'use strict';\n${code}`
+            );
+
+            script(scriptRows, scriptHeaders,
+                reporter('error', 'addError'), reporter('warning', 'addWarning'), reporter('info', 'addInfo'), log);
+
+            send({ type: 'done', issues, logs, truncated });
+        } catch (err) {
+            send({
+                type: 'error',
+                name: err?.name || 'Error',
+                message: err?.message || String(err),
+                line: getScriptLine(err)
+            });
+        }
+    };
+})();
@@ -61,14 +61,38 @@ const ColumnMapper = (function () {
         };
     }
 
+    /**
+     * Write a numeric cell of a date, datetime or time column in the column's format.
+     * Other columns (and serials that aren't a date) keep the cell's formatted text.
+     */
+    function formatSerial(serial, templateCol, formattedText) {
+        if (!window.DateUtils) return formattedText;
+
+        const format = templateCol.dateFormat || DateUtils.DEFAULT_FORMAT;
+        switch (templateCol.type) {
+            case 'date':
+                return DateUtils.serialToParts(serial) ? DateUtils.formatDate(serial, format) : formattedText;
+            case 'datetime':
+                return DateUtils.serialToParts(serial) ? DateUtils.formatDateTime(serial, format) : formattedText;
+            case 'time':
+                // A date-time serial in a time column: the fraction is the time of day
+                return serial >= 0 ? DateUtils.formatTime(serial - Math.floor(serial)) : formattedText;
+            default:
+                return formattedText;
+        }
+    }
+
     /**
      * Apply column mapping to data rows
      * @param {Array<Array>} dataRows - Client file data rows
      * @param {Object} mappingResult - Result from mapColumns()
      * @param {Array<Object>} templateColumns - Template column definitions
+     * @param {Array<Object|null>} [numericCells] - Per row, client column index -> number for
+     *        cells the workbook stores as numbers (DataUpload). Those are Excel serials in
+     *        date, datetime and time columns and are written out in the column's format.
      * @returns {Array<Object>} Mapped row objects
      */
-    function applyMapping(dataRows, mappingResult, templateColumns) {
+    function applyMapping(dataRows, mappingResult, templateColumns, numericCells) {
         return dataRows.map((row, rowIndex) => {
             const mappedData = {};
             const metadata = {};
@@ -79,7 +103,8 @@ const ColumnMapper = (function () {
 
                 if (map) {
                     // Get value from client column by position
-                    const value = row[map.clientColumnIndex];
+                    const serial = numericCells?.[rowIndex]?.[map.clientColumnIndex];
+                    const value = serial === undefined ? row[map.clientColumnIndex] : formatSerial(serial, templateCol, row[map.clientColumnIndex]);
                     // Handle various falsy values properly
                     const normalizedValue = (value === null || value === undefined) ? '' : String(value);
 
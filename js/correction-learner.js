@@ -0,0 +1,272 @@
+/**
+ * Correction Learner
+ * Notices when the same invalid list value is corrected by hand more than once
+ * (e.g. "Employee" → "E") and offers to save it as an alternative label on the
+ * column, so the alternative_label auto-fix handles it on future uploads.
+ *
+ * Saved labels use the rule editor's structure (rule.alternativeLabels: { alt: target })
+ * and are persisted with TemplateAPI.updateTemplate.
+ *
+ * Usage:
+ *   HandsontableGrid passes manual edits in:
+ *   CorrectionLearner.observe([{ column: 'Worker Type', before: 'Employee', after: 'E' }]);
+ */
+
+const CorrectionLearner = (function () {
+    'use strict';
+
+    const CONFIG = {
+        MIN_REPEATS: 2,   // Corrections of the same value before it's offered
+        OFFER_ID: 'correction-learner-offer'
+    };
+
+    // field + lower-case value -> { field, alt, target, count }
+    let corrections = new Map();
+    let dismissed = new Set();   // Keys not to offer again this session
+    let offers = [];             // Keys currently offered
+    let saving = false;          // Offer's save is running
+    let saveError = '';          // Why the last save failed (shown in the offer)
+    let pendingSave = Promise.resolve(); // Saves run one after another
+
+    /**
+     * Forget everything learned (new upload or template)
+     */
+    function reset() {
+        corrections = new Map();
+        dismissed = new Set();
+        offers = [];
+        saveError = '';
+        closeOffer();
+    }
+
+    /**
+     * Record manual edits; corrections of invalid list values are counted and
+     * offered once they repeat
+     * @param {Array<Object>} edits - { column, before, after }
+     */
+    function observe(edits) {
+        const rules = window.currentTemplate?.rules;
+        if (!rules?.columns || !edits?.length || !window.RuleCompiler) return;
+
+        const compiled = new Map();
+        const getColumn = field => {
+            if (!compiled.has(field)) {
+                const index = rules.columns.findIndex(col => col.fieldName === field);
+                compiled.set(field, index === -1
+                    ? null
+                    : RuleCompiler.compileColumn(rules.columns[index], index, { validators: false }, rules));
+            }
+            return compiled.get(field);
+        };
+
+        let changed = false;
+        edits.forEach(edit => {
+            const correction = getCorrection(edit, getColumn(edit.column));
+            if (!correction) return;
+
+            const key = `${correction.field}\u0000${correction.alt.toLowerCase()}`;
+            const known = corrections.get(key);
+
+            // Corrected to something else than before: start counting again
+            if (!known || known.target !== correction.target) {
+                corrections.set(key, { ...correction, count: 1 });
+            } else {
+                known.count++;
+            }
+
+            if (offers.includes(key)) {
+                changed = true; // Count shown in the offer went up
+            } else if (corrections.get(key).count >= CONFIG.MIN_REPEATS && !dismissed.has(key)) {
+                offers.push(key);
+                changed = true;
+            }
+        });
+
+        if (changed) renderOffer();
+    }
+
+    /**
+     * An edit is a correction when it replaces a value the list doesn't accept
+     * (and no alternative label covers yet) with one of the list's values
+     * @returns {Object|null} { field, alt, target }
+     */
+    function getCorrection(edit, column) {
+        if (!column?.allowedLookup) return null;
+
+        const alt = String(edit.before ?? '').trim();
+        const after = String(edit.after ?? '').trim();
+        if (!alt || !after) return null;
+
+        const altKey = alt.toLowerCase();
+        if (column.allowedLookup.has(altKey) || column.alternativeLabels?.has(altKey)) return null;
+
+        const target = column.allowedLookup.get(after.toLowerCase());
+        if (target === undefined) return null;
+
+        return { field: column.fieldName, alt, target: String(target) };
+    }
+
+    /**
+     * Offers currently shown
+     * @returns {Array<Object>} [{ field, alt, target, count }]
+     */
+    function getOffers() {
+        return offers.map(key => ({ ...corrections.get(key) }));
+    }
+
+    // =========================================================================
+    // OFFER
+    // =========================================================================
+
+    function renderOffer() {
+        if (typeof document === 'undefined') return;
+        closeOffer();
+
+        document.body.insertAdjacentHTML('beforeend', `
+            <div id="${CONFIG.OFFER_ID}" class="fixed bottom-4 left-4 z-50 w-96 bg-white rounded-xl shadow-xl border border-slate-200 overflow-hidden">
+                <div class="px-4 py-3 bg-green-50 border-b border-green-100">
+                    <p class="font-semibold text-green-800 text-sm">Remember these corrections?</p>
+                    <p class="text-xs text-green-700">Saved as alternative labels, they are auto-fixed on future uploads.</p>
+                </div>
+                <div class="max-h-60 overflow-y-auto px-4 py-2 space-y-1">
+                    ${getOffers().map((offer, idx) => `
+                        <label class="flex items-start gap-2 text-sm cursor-pointer">
+                            <input type="checkbox" checked data-offer="${idx}"
+                                class="mt-0.5 rounded text-green-600 focus:ring-green-500">
+                            <span>
+                                <span class="font-mono">${HtmlUtils.escapeHtml(offer.alt)}</span> →
+                                <span class="font-mono font-medium">${HtmlUtils.escapeHtml(offer.target)}</span>
+                                <span class="block text-xs text-slate-500">${HtmlUtils.escapeHtml(offer.field)} • corrected ${offer.count}×</span>
+                            </span>
+                        </label>
+                    `).join('')}
+                </div>
+                ${saveError ? `
+                    <p class="px-4 py-2 text-xs text-red-600 bg-red-50 border-t border-red-100">
+                        Not saved: ${HtmlUtils.escapeHtml(saveError)}. Try again or keep correcting by hand.
+                    </p>
+                ` : ''}
+                <div class="px-4 py-3 bg-slate-50 border-t flex justify-end gap-2">
+                    <button onclick="CorrectionLearner.dismiss()" ${saving ? 'disabled' : ''}
+                        class="px-3 py-1.5 text-sm text-slate-600 hover:text-slate-800 disabled:opacity-50 transition-colors">Not now</button>
+                    <button onclick="CorrectionLearner.saveSelected()" ${saving ? 'disabled' : ''}
+                        class="px-3 py-1.5 text-sm bg-green-600 hover:bg-green-700 disabled:opacity-50 text-white rounded-lg font-medium transition-colors">
+                        ${saving ? 'Saving...' : 'Save to Template'}
+                    </button>
+                </div>
+            </div>
+        `);
+    }
+
+    function closeOffer() {
+        if (typeof document === 'undefined') return;
+        document.getElementById(CONFIG.OFFER_ID)?.remove();
+    }
+
+    /**
+     * Hide the offer; these corrections aren't offered again this session
+     */
+    function dismiss() {
+        offers.forEach(key => dismissed.add(key));
+        offers = [];
+        saveError = '';
+        closeOffer();
+    }
+
+    /**
+     * Save the ticked offers. The offer stays open until the save succeeds
+     * (unticked ones are dismissed with it); if it fails it stays offered.
+     * @returns {Promise<number>} Number of labels saved
+     */
+    async function saveSelected() {
+        if (saving) return 0;
+
+        const boxes = document.querySelectorAll(`#${CONFIG.OFFER_ID} [data-offer]`);
+        const selected = new Set(Array.from(boxes).filter(box => box.checked).map(box => Number(box.dataset.offer)));
+        const shown = offers.slice();
+        const keys = shown.filter((key, idx) => selected.has(idx));
+
+        saving = true;
+        saveError = '';
+        renderOffer();
+
+        try {
+            const added = await save(keys.map(key => corrections.get(key)));
+
+            // Offers added while saving stay open
+            shown.forEach(key => dismissed.add(key));
+            offers = offers.filter(key => !shown.includes(key));
+            return added;
+        } catch (err) {
+            saveError = err.message || 'the template could not be updated';
+            return 0;
+        } finally {
+            saving = false;
+            if (offers.length > 0) renderOffer();
+            else closeOffer();
+        }
+    }
+
+    /**
+     * Add alternative labels to the current template and persist it. Waits for
+     * an earlier save still running, so no labels are skipped.
+     * @param {Array<Object>} labels - { field, alt, target }
+     * @returns {Promise<number>} Number of labels added
+     * @throws When the template can't be saved
+     */
+    function save(labels) {
+        const run = pendingSave.then(() => writeLabels(labels));
+        pendingSave = run.catch(() => {});
+        return run;
+    }
+
+    async function writeLabels(labels) {
+        const template = window.currentTemplate;
+        if (!template?.rules?.columns || !labels?.length) return 0;
+
+        let added = 0;
+        labels.forEach(({ field, alt, target }) => {
+            const column = template.rules.columns.find(col => col.fieldName === field);
+            if (!column) return;
+
+            // Same structure as the rule editor's openAddAlternativeModal
+            if (!column.alternativeLabels) column.alternativeLabels = {};
+            column.alternativeLabels[alt] = target;
+            added++;
+        });
+
+        if (added === 0) return 0;
+
+        template.updatedAt = new Date().toISOString();
+        window.templateStore?.set(template.id, template);
+
+        // New labels apply to the cells still waiting for the same correction
+        window.HandsontableGrid?.updateRules(template.rules);
+
+        try {
+            await TemplateAPI.updateTemplate(template.id, { rules: template.rules });
+        } catch (err) {
+            console.warn('Failed to sync learned labels to cloud:', err);
+            window.showToast?.('Alternative labels were not saved to the template. Please try again.', 'error');
+            throw err;
+        }
+
+        console.log(`✅ Saved ${added} learned alternative label(s) to template`);
+        window.showToast?.(`Saved ${added} alternative label${added === 1 ? '' : 's'} to ${template.name || 'the template'}`, 'success');
+        return added;
+    }
+
+    // Public API
+    return {
+        reset,
+        observe,
+        getOffers,
+        dismiss,
+        saveSelected,
+        save
+    };
+
+})();
+
+// Make available globally
+window.CorrectionLearner = CorrectionLearner;
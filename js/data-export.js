@@ -87,8 +87,14 @@ const DataExport = (function () {
         const requirementCheckbox = document.getElementById('export-include-requirement');
         const statusCheckbox = document.getElementById('export-include-status');
 
+        const changesCheckbox = document.getElementById('export-include-changes');
+
         // Apply common options
         if (statusCheckbox) statusCheckbox.checked = settings.includeStatus || false;
+        if (changesCheckbox) {
+            changesCheckbox.checked = (window.ChangeLog?.getEntries().length || 0) > 0;
+            changesCheckbox.disabled = type === 'txt'; // Tab-delimited files have one sheet
+        }
 
         // Get format-specific settings
         let formatSettings;
@@ -152,6 +158,7 @@ const DataExport = (function () {
         const includeHeader = document.getElementById('export-include-header')?.checked ?? true;
         const includeRequirementRow = document.getElementById('export-include-requirement')?.checked ?? true;
         const includeStatus = document.getElementById('export-include-status')?.checked ?? false;
+        const includeChanges = document.getElementById('export-include-changes')?.checked ?? false;
 
         // Filter rows based on export type
         let rowsToExport = data.rows;
@@ -181,7 +188,7 @@ const DataExport = (function () {
         if (includeHeader) {
             const headerRow = [...headers];
             if (includeStatus) {
-                headerRow.unshift('Validation Status');
+                headerRow.unshift('Validation Status', 'Validation Issues');
             }
             exportData.push(headerRow);
         }
@@ -212,7 +219,7 @@ const DataExport = (function () {
                 return 'Optional';
             });
             if (includeStatus) {
-                requirementRow.unshift(''); // Empty cell for status column
+                requirementRow.unshift('', ''); // Empty cells for the status columns
             }
             exportData.push(requirementRow);
         }
@@ -221,7 +228,8 @@ const DataExport = (function () {
         rowsToExport.forEach(row => {
             const rowData = headers.map(h => row.data[h] ?? '');
             if (includeStatus) {
-                rowData.unshift(row.rowStatus || 'pending');
+                const issues = ValidationEngine.collectIssues([row]);
+                rowData.unshift(row.rowStatus || 'pending', issues.map(i => `${i.field}: ${i.message}`).join('; '));
             }
             exportData.push(rowData);
         });
@@ -231,7 +239,9 @@ const DataExport = (function () {
             if (currentExportType === 'txt') {
                 exportToTabDelimited(exportData, filename);
             } else {
-                exportToExcel(exportData, filename);
+                const issueSheet = includeStatus ? buildIssueSheet(rowsToExport) : null;
+                const changeSheet = includeChanges && window.ChangeLog ? ChangeLog.buildSheet() : null;
+                exportToExcel(exportData, filename, issueSheet, changeSheet);
             }
 
             closeModal('export');
@@ -242,10 +252,32 @@ const DataExport = (function () {
         }
     }
 
+    /**
+     * One line per validation issue (row, field, severity, code, message)
+     * @param {Array} rows - Exported rows
+     * @returns {Array<Array>} Sheet rows, header first
+     */
+    function buildIssueSheet(rows) {
+        const issues = ValidationEngine.collectIssues(rows);
+        return [
+            ['Row', 'Field', 'Severity', 'Code', 'Rule', 'Message'],
+            ...issues.map(issue => [
+                issue.row,
+                issue.field,
+                issue.severity,
+                issue.code,
+                issue.rule?.name || issue.rule?.check || issue.rule?.kind || '',
+                issue.message
+            ])
+        ];
+    }
+
     /**
      * Export to Excel using SheetJS
+     * @param {Array<Array>} [issueSheet] - Added as an "Issues" sheet when given
+     * @param {Array<Array>} [changeSheet] - Added as a "Changes" sheet when given (ChangeLog.buildSheet)
      */
-    function exportToExcel(data, filename) {
+    function exportToExcel(data, filename, issueSheet, changeSheet) {
         // Create workbook
         const wb = XLSX.utils.book_new();
 
@@ -255,6 +287,14 @@ const DataExport = (function () {
         // Add worksheet to workbook
         XLSX.utils.book_append_sheet(wb, ws, 'Data');
 
+        if (issueSheet) {
+            XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(issueSheet), 'Issues');
+        }
+
+        if (changeSheet) {
+            XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(changeSheet), 'Changes');
+        }
+
         // Generate file and trigger download
         XLSX.writeFile(wb, `${filename}.xlsx`);
     }
@@ -49,6 +49,9 @@ const DataUpload = (function () {
                     throw new Error(`Unsupported file type: ${fileExtension}`);
             }
 
+            // Serial dates in this file follow its date system
+            if (window.DateUtils) DateUtils.setDateSystem(data.dateSystem);
+
             parsedData = data;
             return data;
 
@@ -58,6 +61,22 @@ const DataUpload = (function () {
         }
     }
 
+    /**
+     * Numeric cells of a raw (SheetJS-typed) row - plain numbers and date/time
+     * cells alike, which the workbook stores as serials
+     * @param {Array} rawRow - Row from sheet_to_json with raw: true
+     * @returns {Object|null} Column index -> number, or null when the row has none
+     */
+    function getNumericCells(rawRow) {
+        let cells = null;
+        (rawRow || []).forEach((value, colIndex) => {
+            if (typeof value !== 'number') return;
+            if (!cells) cells = {};
+            cells[colIndex] = value;
+        });
+        return cells;
+    }
+
     /**
      * Parse Excel file using SheetJS
      * @param {File} file - Excel file
@@ -70,7 +89,15 @@ const DataUpload = (function () {
             reader.onload = (e) => {
                 try {
                     const data = new Uint8Array(e.target.result);
-                    const workbook = XLSX.read(data, { type: 'array', cellDates: true });
+                    // No cellDates: date cells must stay serial numbers so the raw pass below
+                    // picks them up (getNumericCells); the formatted pass shows them as Excel does
+                    const workbook = XLSX.read(data, { type: 'array' });
+
+                    // Mac-era workbooks count serial dates from 1904-01-01 instead of 1900-01-01
+                    const dateSystem = workbook.Workbook?.WBProps?.date1904 ? '1904' : '1900';
+                    if (dateSystem === '1904') {
+                        console.log('📅 Workbook uses the 1904 date system');
+                    }
 
                     // Get first sheet
                     const sheetName = workbook.SheetNames[0];
@@ -88,6 +115,15 @@ const DataUpload = (function () {
                         return;
                     }
 
+                    // Same cells as SheetJS typed them: numbers stay numbers, so a real
+                    // numeric cell (an Excel serial in a date column) can be told apart
+                    // from digits typed as text
+                    const rawData = XLSX.utils.sheet_to_json(worksheet, {
+                        header: 1,
+                        raw: true,
+                        defval: ''
+                    });
+
                     // Extract headers and clean them
                     // Handle reversed format: if Row 1 is metadata, swap with Row 2
                     let rawHeaders = jsonData[0];
@@ -104,29 +140,37 @@ const DataUpload = (function () {
 
                     const headers = cleanHeaders(rawHeaders);
 
-                    // Extract data rows
-                    let allDataRows = jsonData.slice(1);
+                    // Data starts after the header row
+                    let dataStart = 1;
 
                     // Skip metadata row if it's in the data rows
                     if (metadataRow) {
                         // Metadata was in row 1, headers in row 2, so data starts at row 3
-                        allDataRows = jsonData.slice(2);
-                    } else if (allDataRows.length > 0 && isMetadataRow(allDataRows[0])) {
+                        dataStart = 2;
+                    } else if (jsonData.length > 1 && isMetadataRow(jsonData[1])) {
                         // Standard format: headers in row 1, metadata in row 2
-                        console.log('Skipping metadata row:', allDataRows[0]);
-                        allDataRows = allDataRows.slice(1);
+                        console.log('Skipping metadata row:', jsonData[1]);
+                        dataStart = 2;
                     }
 
-                    // Filter out empty rows
-                    const dataRows = allDataRows.filter(row => isRowNotEmpty(row));
+                    // Filter out empty rows, keeping each row's numeric cells alongside it
+                    const dataRows = [];
+                    const numericCells = [];
+                    jsonData.slice(dataStart).forEach((row, idx) => {
+                        if (!isRowNotEmpty(row)) return;
+                        dataRows.push(row);
+                        numericCells.push(getNumericCells(rawData[dataStart + idx]));
+                    });
 
                     const result = {
                         fileName: file.name,
                         fileSize: file.size,
                         fileType: 'excel',
                         sheetName: sheetName,
+                        dateSystem: dateSystem,
                         headers: headers,
                         rows: dataRows,
+                        numericCells: numericCells,
                         rowCount: dataRows.length,
                         columnCount: headers.length,
                         uploadedAt: new Date().toISOString()
@@ -423,6 +467,7 @@ const DataUpload = (function () {
             fileType: parsedData.fileType,
             headers: parsedData.headers,
             headerMap: headerMap,
+            dateSystem: parsedData.dateSystem || '1900',
             rows: structuredRows,
             totalRows: structuredRows.length,
             columnCount: parsedData.headers.length,
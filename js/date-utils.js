@@ -1,88 +1,490 @@
 /**
  * Date Utilities
- * Helper functions for date validation and formatting
+ * Format-aware date, date-time and time parsing, validation and formatting
+ *
+ * Columns may declare a `dateFormat` (e.g. "DD/MM/YYYY", "YYYY-MM-DD"); day/month
+ * order is read from it, so a UK client's 03/04/2024 is 3 April. Columns without
+ * one use MM/DD/YYYY. ISO dates are accepted in any column, and so are Excel serial
+ * numbers when the cell really is numeric (passed as a number - ColumnMapper converts
+ * numeric cells of date columns). Digits typed as text ("2024", "240315") aren't a date.
+ *
+ * parseLooseDate() reads other ways of writing a date (month names, YYYYMMDD) for the
+ * auto-fixer, and returns both readings when day and month order can't be told apart.
+ *
+ * Serial numbers follow the uploaded workbook's date system (1900 or 1904), which
+ * DataUpload sets with setDateSystem(). Times are kept as written (no time zone shift).
  */
 
 const DateUtils = (function () {
     'use strict';
 
+    // Format assumed when a column doesn't declare one
+    const DEFAULT_FORMAT = 'MM/DD/YYYY';
+
+    // Formats offered in the rule editor
+    const FORMATS = ['MM/DD/YYYY', 'DD/MM/YYYY', 'YYYY-MM-DD', 'MM-DD-YYYY', 'DD-MM-YYYY', 'DD.MM.YYYY', 'YYYY/MM/DD'];
+
+    // Serial of 1970-01-01 in each date system. The 1900 system counts a fictitious
+    // 1900-02-29 (serial 60), so serials before it are one day closer to the epoch
+    const UNIX_EPOCH_1900 = 25569;
+    const UNIX_EPOCH_1900_BEFORE_LEAP_DAY = 25568;
+    const UNIX_EPOCH_1904 = 24107;
+    const LOTUS_LEAP_DAY = 60;
+    const MAX_SERIAL = 2958465; // 9999-12-31 in the 1900 system
+
+    // English month names, used when the caller doesn't pass its own
+    // (AutoFixEngine passes dateFormats.monthNames from auto-fix-mappings.json)
+    const MONTH_NAMES = {
+        jan: 1, january: 1, feb: 2, february: 2, mar: 3, march: 3, apr: 4, april: 4,
+        may: 5, jun: 6, june: 6, jul: 7, july: 7, aug: 8, august: 8,
+        sep: 9, sept: 9, september: 9, oct: 10, october: 10, nov: 11, november: 11, dec: 12, december: 12
+    };
+
+    // Skipped in "Fri, March 15, 2024"
+    const WEEKDAY_NAMES = new Set([
+        'mon', 'monday', 'tue', 'tues', 'tuesday', 'wed', 'wednesday', 'thu', 'thur', 'thurs', 'thursday',
+        'fri', 'friday', 'sat', 'saturday', 'sun', 'sunday'
+    ]);
+
+    // Date system of the workbook being validated
+    let dateSystem = '1900';
+
+    const formatCache = new Map();
+
     /**
-     * Convert Excel date serial, ISO date, or any date format to MM/DD/YYYY with 4-digit year
-     * Based on prototype's excelDateToJSDate function
+     * Parse a format string into its parts
+     * @param {string} [format] - e.g. "DD/MM/YYYY"; invalid or missing formats fall back to MM/DD/YYYY
+     * @returns {Object} { format, tokens: ['DD','MM','YYYY'], order: ['D','M','Y'] }
      */
-    function excelDateToJSDate(serial) {
-        if (!serial) return "";
+    function parseFormat(format) {
+        // Only the date part of a date-time format ("MM/DD/YYYY HH:MM") is used
+        const key = String(format || DEFAULT_FORMAT).trim().split(/\s+/)[0].toUpperCase();
+        if (formatCache.has(key)) return formatCache.get(key);
 
-        // Ensure serial is a string for pattern matching
-        const serialStr = String(serial);
+        const tokens = key.match(/Y+|M+|D+/g) || [];
+        const order = tokens.map(token => token[0]);
+        const isValid = tokens.length === 3 && new Set(order).size === 3;
 
-        // Helper for padding
-        const pad = (num) => String(num).padStart(2, '0');
+        const parsed = isValid ? { format: key, tokens, order } : parseFormat(DEFAULT_FORMAT);
+        formatCache.set(key, parsed);
+        return parsed;
+    }
 
-        // 1. Check for standard MM/DD/YYYY or M/D/YYYY string inputs
-        if (serialStr.match(/^\d{1,2}\/\d{1,2}\/\d{2,4}$/)) {
-            const [m, d, y] = serialStr.split('/').map(Number);
-            if (!isNaN(m) && !isNaN(d) && !isNaN(y)) {
-                // Handle 2-digit years: 00-29 = 2000-2029, 30-99 = 1930-1999
-                let fullYear = y;
-                if (y < 100) {
-                    fullYear = y < 30 ? 2000 + y : 1900 + y;
-                }
-                return `${pad(m)}/${pad(d)}/${fullYear}`;
-            }
+    /**
+     * Set the date system used for serial numbers
+     * @param {string|boolean} system - '1904' (or true) for workbooks using the 1904 date system
+     */
+    function setDateSystem(system) {
+        dateSystem = system === true || String(system) === '1904' ? '1904' : '1900';
+    }
+
+    function getDateSystem() {
+        return dateSystem;
+    }
+
+    /**
+     * Build { year, month, day, hour, minute, second, hasTime } if it is a real calendar date
+     */
+    function makeParts(year, month, day, time = null) {
+        if (!Number.isInteger(year) || !Number.isInteger(month) || !Number.isInteger(day)) return null;
+        if (year < 1 || year > 9999 || month < 1 || month > 12 || day < 1) return null;
+
+        const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+        if (day > daysInMonth) return null;
+
+        return {
+            year, month, day,
+            hour: time ? time.hour : 0,
+            minute: time ? time.minute : 0,
+            second: time ? time.second : 0,
+            hasTime: !!time
+        };
+    }
+
+    /**
+     * Parse a time of day: "14:30", "14:30:15", "2:30 PM", "09:30:00.000Z".
+     * A trailing time zone is ignored - the time is kept as written.
+     * @returns {Object|null} { hour, minute, second }
+     */
+    function parseTime(text) {
+        const match = String(text).trim()
+            .match(/^(\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?\s*([AaPp][Mm])?\s*(?:Z|[+-]\d{2}:?\d{2})?$/);
+        if (!match) return null;
+
+        let hour = Number(match[1]);
+        const minute = Number(match[2]);
+        const second = Number(match[3] || 0);
+        const meridiem = match[4]?.toUpperCase();
+
+        if (meridiem) {
+            if (hour < 1 || hour > 12) return null;
+            hour = (hour % 12) + (meridiem === 'PM' ? 12 : 0);
         }
+        if (hour > 23 || minute > 59 || second > 59) return null;
 
-        // 2. Handle ISO dates passed as string (e.g., YYYY-MM-DD from parser)
-        if (serialStr.match(/^\d{4}-\d{2}-\d{2}/)) {
-            const d = new Date(serialStr);
-            if (!isNaN(d.getTime())) {
-                return `${pad(d.getMonth() + 1)}/${pad(d.getDate())}/${d.getFullYear()}`;
-            }
+        return { hour, minute, second };
+    }
+
+    /**
+     * Split a day fraction (0.5 = 12:00) into a time of day, rounded to the second
+     */
+    function fractionToTime(fraction) {
+        const seconds = Math.round(fraction * 86400);
+        return { hour: Math.floor(seconds / 3600), minute: Math.floor(seconds / 60) % 60, second: seconds % 60 };
+    }
+
+    /**
+     * Expand a 2-digit year: 00-29 = 2000-2029, 30-99 = 1930-1999
+     */
+    function expandYear(text) {
+        const year = Number(text);
+        if (text.length === 2) return year < 30 ? 2000 + year : 1900 + year;
+        return text.length === 4 ? year : NaN;
+    }
+
+    /**
+     * Convert an Excel serial number (days, with the time as a fraction) to date parts
+     * @param {number} serial
+     * @param {string} [system] - '1900' or '1904' (default: the current workbook's)
+     * @returns {Object|null} Null outside the system's range and for the 1900 system's
+     *                        non-existent 1900-02-29 (serial 60, kept by Excel for Lotus 1-2-3)
+     */
+    function serialToParts(serial, system = dateSystem) {
+        if (!Number.isFinite(serial) || serial < 0 || serial >= MAX_SERIAL + 1) return null;
+
+        let days = Math.floor(serial);
+        let time = fractionToTime(serial - days);
+        if (time.hour === 24) {
+            days += 1;
+            time = { hour: 0, minute: 0, second: 0 };
+        }
+
+        let offset;
+        if (system === '1904') {
+            offset = UNIX_EPOCH_1904;
+        } else {
+            // Serial 0 is "January 0, 1900"
+            if (days < 1 || days === LOTUS_LEAP_DAY) return null;
+            offset = days < LOTUS_LEAP_DAY ? UNIX_EPOCH_1900_BEFORE_LEAP_DAY : UNIX_EPOCH_1900;
+        }
+
+        const date = new Date((days - offset) * 86400 * 1000);
+        const hasTime = serial !== Math.floor(serial);
+        return makeParts(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), hasTime ? time : null);
+    }
+
+    /**
+     * Read a serial stored as text (Excel data-validation date bounds) as a number,
+     * so parseDate() treats it as a serial. Other values are returned unchanged.
+     */
+    function fromSerialText(value) {
+        return typeof value === 'string' && /^\d+(\.\d+)?$/.test(value.trim()) ? Number(value) : value;
+    }
+
+    /**
+     * Parse a date (optionally with a time) using the column's format for day/month order
+     * Accepts Date objects, Excel serial numbers (as numbers), ISO dates (YYYY-MM-DD, optionally with a time)
+     * and dates separated by / - or . in the format's order (1-2 digit day and month,
+     * 2 or 4 digit year), optionally followed by a time ("01/15/2024 9:30 AM").
+     * Impossible dates such as 02/31 and invalid times are rejected.
+     * @param {*} value - Cell value
+     * @param {string} [format] - Column dateFormat (default MM/DD/YYYY)
+     * @returns {Object|null} { year, month, day, hour, minute, second, hasTime } with month 1-12, or null
+     */
+    function parseDate(value, format) {
+        if (value === null || value === undefined) return null;
+
+        if (value instanceof Date) {
+            if (isNaN(value.getTime())) return null;
+            const time = { hour: value.getHours(), minute: value.getMinutes(), second: value.getSeconds() };
+            const hasTime = time.hour + time.minute + time.second > 0;
+            return makeParts(value.getFullYear(), value.getMonth() + 1, value.getDate(), hasTime ? time : null);
+        }
+
+        // Excel serial number - only from numeric cells
+        if (typeof value === 'number') return serialToParts(value);
+
+        const text = String(value).trim();
+        if (!text) return null;
+
+        // Digits typed as text are a year, an ID or a compact date (parseLooseDate) - not a serial
+        if (/^\d+(\.\d+)?$/.test(text)) return null;
+
+        // Split off a time: "2024-01-15T09:30:00Z", "01/15/2024 9:30 AM"
+        const [, datePart, timePart] = text.match(/^([^\sT]+)(?:(?:T|\s+)(.+))?$/) || [];
+        if (!datePart) return null;
+
+        let time = null;
+        if (timePart) {
+            time = parseTime(timePart);
+            if (!time) return null;
+        }
+
+        // ISO (and other year-first dates) are unambiguous in any column
+        const yearFirst = datePart.match(/^(\d{4})[\/\-.](\d{1,2})[\/\-.](\d{1,2})$/);
+        if (yearFirst) {
+            return makeParts(Number(yearFirst[1]), Number(yearFirst[2]), Number(yearFirst[3]), time);
+        }
+
+        // Separated date in the column's order
+        const match = datePart.match(/^(\d{1,2}|\d{4})[\/\-.](\d{1,2})[\/\-.](\d{1,2}|\d{4})$/);
+        if (!match) return null;
+
+        const { order } = parseFormat(format);
+        const parts = {};
+        order.forEach((part, idx) => { parts[part] = match[idx + 1]; });
+
+        // Day and month are at most 2 digits; the year 2 or 4
+        if (parts.D.length > 2 || parts.M.length > 2) return null;
+
+        return makeParts(expandYear(parts.Y), Number(parts.M), Number(parts.D), time);
+    }
+
+    /**
+     * Parse a date written some other way than the column format expects:
+     * month names (15-Mar-2024, March 15, 2024, Fri 15 March 2024), compact YYYYMMDD
+     * (20240315), and D/M/Y dates in whichever order makes them a real date.
+     * An optional time may follow. Used by the auto-fixer once parseDate() has failed.
+     * @param {*} value - Cell value
+     * @param {Object} [monthNames] - Lower-case month name -> month number (1-12)
+     * @returns {Object|null} { parts } for a single reading; { readings: [monthFirst, dayFirst] }
+     *                        when day and month could be either way round; null if it isn't a date
+     */
+    function parseLooseDate(value, monthNames = MONTH_NAMES) {
+        const text = String(value ?? '').trim();
+        if (!text) return null;
+
+        // Split off a trailing time: "March 15, 2024 9:30 AM"
+        let datePart = text;
+        let time = null;
+        const timed = text.match(/^(.*?)(?:T|\s+)(\d{1,2}:\d{2}(?::\d{2}(?:\.\d+)?)?\s*(?:[AaPp][Mm])?\s*(?:Z|[+-]\d{2}:?\d{2})?)$/);
+        if (timed) {
+            time = parseTime(timed[2]);
+            if (!time) return null;
+            datePart = timed[1].replace(/,\s*$/, '');
         }
 
-        // 3. Handle Excel Serial Number (the numeric value)
-        const num = Number(serial);
-        // Only attempt conversion if it looks like a valid serial number (e.g., 30000-60000 range)
-        if (!isNaN(num) && num > 30000 && num < 60000) {
-            // Excel serial starts counting from 1/1/1900 (25569 days offset from Unix epoch)
-            const utc_days = Math.floor(num - 25569);
-            const utc_value = utc_days * 86400;
-            const date_info = new Date(utc_value * 1000);
+        const single = parts => parts ? { parts } : null;
 
-            return `${pad(date_info.getMonth() + 1)}/${pad(date_info.getDate())}/${date_info.getFullYear()}`;
+        // Compact YYYYMMDD
+        const compact = datePart.match(/^(\d{4})(\d{2})(\d{2})$/);
+        if (compact) {
+            return single(makeParts(Number(compact[1]), Number(compact[2]), Number(compact[3]), time));
         }
 
-        return serialStr; // Return original if all else fails
+        // Month name plus day and year, in any order the day comes before the year
+        // (15-Mar-2024, Mar 15 2024, 15 March 24) or year first (2024 Mar 15)
+        const tokens = datePart.toLowerCase().split(/[\s,\/\-.]+/).filter(token => token && !WEEKDAY_NAMES.has(token));
+        const monthToken = tokens.find(token => monthNames[token] !== undefined);
+        if (monthToken) {
+            const numbers = tokens.filter(token => token !== monthToken).map(token => token.replace(/(st|nd|rd|th)$/, ''));
+            if (tokens.length !== 3 || !numbers.every(token => /^\d+$/.test(token))) return null;
+
+            const [yearText, dayText] = numbers[0].length === 4 ? numbers : [numbers[1], numbers[0]];
+            if (dayText.length > 2) return null;
+            return single(makeParts(expandYear(yearText), Number(monthNames[monthToken]), Number(dayText), time));
+        }
+
+        // Numeric D/M/Y with day and month either way round
+        const numeric = datePart.match(/^(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{2}|\d{4})$/);
+        if (!numeric) return null;
+
+        const year = expandYear(numeric[3]);
+        const monthFirst = makeParts(year, Number(numeric[1]), Number(numeric[2]), time);
+        const dayFirst = makeParts(year, Number(numeric[2]), Number(numeric[1]), time);
+        if (monthFirst && dayFirst && monthFirst.month !== dayFirst.month) {
+            return { readings: [monthFirst, dayFirst] };
+        }
+        return single(monthFirst || dayFirst);
     }
 
     /**
-     * Check if a value is a valid date
+     * Parse a time-of-day value: a time string, a day fraction (0.5 = 12:00),
+     * or a date-time (its time part is used)
+     * @returns {Object|null} { hour, minute, second }
      */
-    function isValidDate(value) {
-        if (!value) return false;
+    function parseTimeValue(value) {
+        if (value === null || value === undefined) return null;
 
-        // First normalize it
-        const normalized = excelDateToJSDate(value);
+        const text = String(value).trim();
+        if (!text) return null;
 
-        // Check if it matches MM/DD/YYYY format
-        if (normalized.match(/^\d{2}\/\d{2}\/\d{4}$/)) {
-            const date = new Date(normalized);
-            return !isNaN(date.getTime());
+        if (/^\d*\.?\d+$/.test(text)) {
+            const fraction = Number(text);
+            if (fraction >= 1) return null;
+            const time = fractionToTime(fraction);
+            return time.hour === 24 ? { hour: 0, minute: 0, second: 0 } : time;
         }
 
-        return false;
+        const time = parseTime(text);
+        if (time) return time;
+
+        const parts = parseDate(text);
+        return parts?.hasTime ? { hour: parts.hour, minute: parts.minute, second: parts.second } : null;
+    }
+
+    /**
+     * Format date parts in a format ("YYYY", "YY", "MM", "M", "DD", "D" tokens)
+     */
+    function formatParts(parts, format) {
+        const pad = (num) => String(num).padStart(2, '0');
+        const { format: pattern } = parseFormat(format);
+
+        return pattern.replace(/Y+|M+|D+/g, token => {
+            switch (token) {
+                case 'YY': return pad(parts.year % 100);
+                case 'MM': return pad(parts.month);
+                case 'M': return String(parts.month);
+                case 'DD': return pad(parts.day);
+                case 'D': return String(parts.day);
+                default: return String(parts.year).padStart(4, '0');
+            }
+        });
+    }
+
+    /**
+     * Format a time of day as HH:mm:ss
+     */
+    function formatTimeParts(time) {
+        const pad = (num) => String(num).padStart(2, '0');
+        return `${pad(time.hour)}:${pad(time.minute)}:${pad(time.second)}`;
+    }
+
+    /**
+     * Check if a value is a valid date in the given format
+     * @param {*} value - Cell value
+     * @param {string} [format] - Column dateFormat (default MM/DD/YYYY)
+     */
+    function isValidDate(value, format) {
+        return parseDate(value, format) !== null;
+    }
+
+    /**
+     * Check if a value is a valid date-time (a date alone counts as midnight)
+     */
+    function isValidDateTime(value, format) {
+        return parseDate(value, format) !== null;
+    }
+
+    /**
+     * Check if a value is a valid time of day
+     */
+    function isValidTime(value) {
+        return parseTimeValue(value) !== null;
+    }
+
+    /**
+     * Format a date value in the target format
+     * @param {*} value - Cell value
+     * @param {string} [format] - Output format (default MM/DD/YYYY)
+     * @param {string} [inputFormat] - Format used to read the value (default: same as output)
+     * @returns {string} Formatted date, or the original value as text if it isn't a date
+     */
+    function formatDate(value, format, inputFormat) {
+        if (value === null || value === undefined || value === '') return '';
+
+        const parts = parseDate(value, inputFormat || format);
+        return parts ? formatParts(parts, format) : String(value);
+    }
+
+    /**
+     * Format a date-time value as "<date in format> HH:mm:ss"
+     * @returns {string} Formatted date-time, or the original value as text if it isn't a date
+     */
+    function formatDateTime(value, format, inputFormat) {
+        if (value === null || value === undefined || value === '') return '';
+
+        const parts = parseDate(value, inputFormat || format);
+        return parts ? `${formatParts(parts, format)} ${formatTimeParts(parts)}` : String(value);
+    }
+
+    /**
+     * Format a time-of-day value as HH:mm:ss
+     * @returns {string} Formatted time, or the original value as text if it isn't a time
+     */
+    function formatTime(value) {
+        if (value === null || value === undefined || value === '') return '';
+
+        const time = parseTimeValue(value);
+        return time ? formatTimeParts(time) : String(value);
+    }
+
+    /**
+     * Convert a date value to a UTC timestamp (including its time, if any)
+     * @returns {number|null} Null if the value isn't a date
+     */
+    function toTimestamp(value, format) {
+        const parts = parseDate(value, format);
+        return parts
+            ? Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+            : null;
     }
 
     /**
-     * Format date to MM/DD/YYYY (just calls excelDateToJSDate now)
+     * Add days, months or years to a UTC day timestamp.
+     * Month and year steps keep the day of month where possible (Jan 31 + 1 month = Feb 28/29).
+     * @param {number} ts - UTC timestamp (midnight)
+     * @param {number} amount - May be negative
+     * @param {string} unit - 'days', 'months' or 'years'
      */
-    function formatDate(value) {
-        return excelDateToJSDate(value);
+    function addInterval(ts, amount, unit) {
+        if (!amount) return ts;
+        if (unit !== 'months' && unit !== 'years') return ts + amount * 86400 * 1000;
+
+        const d = new Date(ts);
+        const month = d.getUTCMonth() + (unit === 'years' ? amount * 12 : amount);
+        const lastDay = new Date(Date.UTC(d.getUTCFullYear(), month + 1, 0)).getUTCDate();
+        return Date.UTC(d.getUTCFullYear(), month, Math.min(d.getUTCDate(), lastDay));
+    }
+
+    /**
+     * Today's date (local calendar day) as a UTC day timestamp
+     */
+    function today() {
+        const now = new Date();
+        return Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+    }
+
+    /**
+     * Format a UTC timestamp in the given format
+     */
+    function formatTimestamp(ts, format) {
+        const d = new Date(ts);
+        return formatParts({ year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() }, format);
+    }
+
+    /**
+     * Convert Excel date serial, ISO date, or any date format to MM/DD/YYYY (or the given format)
+     * Kept for existing callers - same as formatDate
+     */
+    function excelDateToJSDate(serial, format) {
+        if (!serial) return "";
+        return formatDate(fromSerialText(serial), format);
     }
 
     return {
+        DEFAULT_FORMAT,
+        FORMATS,
+        setDateSystem,
+        getDateSystem,
+        parseFormat,
+        parseDate,
+        parseLooseDate,
+        parseTimeValue,
+        serialToParts,
+        fromSerialText,
+        formatParts,
+        formatTimeParts,
         isValidDate,
+        isValidDateTime,
+        isValidTime,
         formatDate,
+        formatDateTime,
+        formatTime,
+        toTimestamp,
+        addInterval,
+        today,
+        formatTimestamp,
         excelDateToJSDate
     };
 })();
@@ -58,6 +58,7 @@ function parseWorkbook(workbook) {
         dataValidations: [],
         conditionalRules: [],
         lookupTables: {},
+        namedRanges: LookupResolver.getWorkbookNames(workbook),
         colorCoding: {
             valid: '#C6EFCE',      // Light green
             warning: '#FFEB9C',    // Light yellow  
@@ -77,6 +78,9 @@ function parseWorkbook(workbook) {
     // Parse data validations
     result.dataValidations = parseDataValidations(mainSheet);
 
+    // Resolve list validations that point at ranges / named ranges
+    const listSheets = resolveListValidations(result.dataValidations, workbook, mainSheetName);
+
     // Apply data validations to columns
     applyValidationsToColumns(result.columns, result.dataValidations);
 
@@ -86,9 +90,9 @@ function parseWorkbook(workbook) {
     // Apply CF rules to columns (populates conditionalRequirement)
     applyConditionalRulesToColumns(result.columns, result.conditionalRules);
 
-    // Parse lookup tables from other sheets
+    // Parse lookup tables from other sheets (including any sheet a dropdown points at)
     for (const sheetName of workbook.SheetNames) {
-        if (sheetName !== mainSheetName && isLookupTable(sheetName)) {
+        if (sheetName !== mainSheetName && (isLookupTable(sheetName) || listSheets.has(sheetName))) {
             result.lookupTables[sheetName] = parseLookupTable(workbook.Sheets[sheetName]);
         }
     }
@@ -181,7 +185,9 @@ function parseHeader(headerText) {
         /mm-dd-yyyy/i,
         /dd\/mm\/yyyy/i,
         /yyyy-mm-dd/i,
-        /\bdate\b/i
+        /\bdate\b/i,
+        /\bdatetime\b/i,
+        /\btimestamp\b/i
     ];
 
     for (const pattern of datePatterns) {
@@ -196,6 +202,11 @@ function parseHeader(headerText) {
         }
     }
 
+    // Dates that carry a time ("Execution Date/Time", "Trade Timestamp", "MM/DD/YYYY HH:MM")
+    if (type === 'date' && /\btime\b|\bdatetime\b|\btimestamp\b|hh:mm/i.test(fullText)) {
+        type = 'datetime';
+    }
+
     return {
         fieldName: fieldName,
         description: description,
@@ -287,6 +298,34 @@ function parseDataValidations(sheet) {
     return validations;
 }
 
+/**
+ * Resolve list validations whose formula references a range or named range
+ * into the actual values from the workbook.
+ * @returns {Set<string>} Names of the sheets the lists were read from
+ */
+function resolveListValidations(validations, workbook, mainSheetName) {
+    const listSheets = new Set();
+
+    for (const validation of validations) {
+        if (validation.type !== 'list' || typeof validation.allowedValues !== 'string') continue;
+
+        validation.listSource = validation.formula1;
+        const resolved = LookupResolver.resolveFromWorkbook(validation.formula1, workbook, mainSheetName);
+
+        if (resolved) {
+            validation.allowedValues = resolved.values;
+            listSheets.add(resolved.sheet);
+            console.log(`📋 Resolved list ${validation.formula1} → ${resolved.values.length} values`);
+        } else {
+            // Keep the formula as the source; it can't be used as allowed values
+            validation.allowedValues = null;
+            console.warn('⚠️ Could not resolve list source:', validation.formula1);
+        }
+    }
+
+    return listSheets;
+}
+
 function parseRanges(sqref) {
     if (!sqref) return [];
     return String(sqref).split(' ').map(range => {
@@ -352,6 +391,13 @@ function applyValidationsToColumns(columns, validations) {
                         allowBlank: validation.allowBlank,
                         errorTitle: validation.errorTitle
                     };
+                    if (validation.listSource) {
+                        column.listSource = validation.listSource;
+                    }
+                    // Author's input prompt and custom error text (shown in the grid / used in messages)
+                    ['promptTitle', 'promptMessage', 'errorTitle', 'errorMessage'].forEach(key => {
+                        if (validation[key]) column[key] = validation[key];
+                    });
                 }
             }
         }
@@ -619,9 +665,11 @@ function isLookupTable(sheetName) {
 }
 
 function parseLookupTable(sheet) {
-    const data = XLSX.utils.sheet_to_json(sheet, { header: 1 });
+    // Keep blank rows so cell positions still line up with range references
+    const data = XLSX.utils.sheet_to_json(sheet, { header: 1, blankrows: true, defval: '', raw: false });
+    const range = XLSX.utils.decode_range(sheet['!ref'] || 'A1');
 
-    if (data.length < 2) return { headers: [], values: [] };
+    if (data.length < 2) return { headers: [], values: [], rows: data, origin: { row: range.s.r, col: range.s.c } };
 
     const headers = data[0] || [];
     const values = data.slice(1).filter(row => row.some(cell => cell !== '' && cell != null));
@@ -639,8 +687,10 @@ function parseLookupTable(sheet) {
     return {
         headers: headers,
         rowCount: values.length,
-        values: values.slice(0, 10), // Sample for display
-        lookupMap: lookupMap
+        values: values.slice(0, 10), // Sample for display - the full table is in rows
+        lookupMap: lookupMap,
+        rows: data,                                 // Full grid, used to resolve range references
+        origin: { row: range.s.r, col: range.s.c }  // Sheet position of rows[0][0]
     };
 }
 
@@ -751,7 +801,7 @@ function generateRuleSummary(rules) {
         listValidations: rules.columns.filter(c => c.type === 'list').length,
         dateValidations: rules.columns.filter(c => c.type === 'date').length,
         lookupTables: Object.keys(rules.lookupTables).length,
-        complexRules: rules.complexRules.length
+        complexRules: (rules.complexRules || []).length
     };
 
     return summary;
@@ -0,0 +1,417 @@
+/**
+ * Formula Evaluator
+ * Parses and evaluates the row formulas used by `formula` cross-field rules
+ *
+ * Formulas reference fields in square brackets and never run as JavaScript:
+ *   [Shares Vested] + [Shares Unvested] = [Shares Granted]
+ *   [Exercise Price] > 0
+ *   [Purchase Price] = 85% * min([Offering FMV], [Purchase FMV])
+ *   [Award Type] = "ISO" and not [Plan] = "ESPP"
+ *
+ * Supported: numbers (85% = 0.85), "text", + - * / and parentheses,
+ * = != <> < <= > >=, and / or / not, min(), max(), abs(), round(x, digits).
+ * Text only supports = and != (case-insensitive).
+ *
+ * Usage:
+ *   const formula = FormulaEvaluator.compile('[A] + [B] = [C]');   // throws on syntax errors
+ *   const result = FormulaEvaluator.evaluate(formula, field => row.data[field], { tolerance: 0.01 });
+ *   // { passed: true | false | null (a field was empty / not a number), left, right, operator, values }
+ */
+
+const FormulaEvaluator = (function () {
+    'use strict';
+
+    const FUNCTIONS = {
+        min: { minArgs: 1, fn: (...args) => Math.min(...args) },
+        max: { minArgs: 1, fn: (...args) => Math.max(...args) },
+        abs: { minArgs: 1, maxArgs: 1, fn: (x) => Math.abs(x) },
+        round: { minArgs: 1, maxArgs: 2, fn: (x, digits = 0) => Number(Math.round(Number(`${x}e${digits}`)) + `e-${digits}`) }
+    };
+
+    const COMPARISONS = new Set(['=', '!=', '<', '<=', '>', '>=']);
+
+    // Thrown while evaluating when a field can't be used as a number - the row is skipped
+    const NOT_EVALUABLE = Symbol('not evaluable');
+
+    // Absorbs floating-point noise (0.1 + 0.2 = 0.3) when no tolerance is configured
+    const EPSILON = 1e-9;
+
+    // =========================================================================
+    // TOKENIZER
+    // =========================================================================
+
+    /**
+     * Split a formula into tokens
+     * @returns {Array} [{ type: 'number'|'string'|'field'|'name'|'op', value, pos }]
+     */
+    function tokenize(text) {
+        const tokens = [];
+        let pos = 0;
+
+        while (pos < text.length) {
+            const ch = text[pos];
+
+            if (/\s/.test(ch)) {
+                pos++;
+                continue;
+            }
+
+            if (ch === '[') {
+                const end = text.indexOf(']', pos);
+                if (end === -1) throw syntaxError('Missing "]"', pos);
+                const name = text.slice(pos + 1, end).trim();
+                if (!name) throw syntaxError('Empty field reference', pos);
+                tokens.push({ type: 'field', value: name, pos });
+                pos = end + 1;
+                continue;
+            }
+
+            if (ch === '"' || ch === "'") {
+                const end = text.indexOf(ch, pos + 1);
+                if (end === -1) throw syntaxError('Unterminated text', pos);
+                tokens.push({ type: 'string', value: text.slice(pos + 1, end), pos });
+                pos = end + 1;
+                continue;
+            }
+
+            const number = text.slice(pos).match(/^(\d+\.?\d*|\.\d+)(%?)/);
+            if (number) {
+                const value = parseFloat(number[1]);
+                tokens.push({ type: 'number', value: number[2] ? value / 100 : value, pos });
+                pos += number[0].length;
+                continue;
+            }
+
+            const name = text.slice(pos).match(/^[A-Za-z_]\w*/);
+            if (name) {
+                tokens.push({ type: 'name', value: name[0].toLowerCase(), pos });
+                pos += name[0].length;
+                continue;
+            }
+
+            const op = text.slice(pos).match(/^(<=|>=|<>|!=|==|[=<>+\-*/(),])/);
+            if (op) {
+                const value = op[0] === '<>' ? '!=' : (op[0] === '==' ? '=' : op[0]);
+                tokens.push({ type: 'op', value, pos });
+                pos += op[0].length;
+                continue;
+            }
+
+            throw syntaxError(`Unexpected "${ch}"`, pos);
+        }
+
+        return tokens;
+    }
+
+    function syntaxError(message, pos) {
+        const err = new SyntaxError(`${message} at position ${pos + 1}`);
+        err.position = pos;
+        return err;
+    }
+
+    // =========================================================================
+    // PARSER (recursive descent)
+    // =========================================================================
+
+    /**
+     * Compile a formula
+     * @param {string} expression
+     * @returns {Object} { expression, ast, fields } - fields are the referenced field names
+     * @throws {SyntaxError} With a `position` for invalid formulas
+     */
+    function compile(expression) {
+        const text = String(expression ?? '').trim();
+        if (!text) throw syntaxError('Formula is empty', 0);
+
+        const tokens = tokenize(text);
+        const fields = [];
+        let index = 0;
+
+        const peek = () => tokens[index];
+        const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+        const isName = (value) => peek()?.type === 'name' && peek().value === value;
+        const next = () => tokens[index++];
+        const expect = (value) => {
+            if (!isOp(value)) {
+                const token = peek();
+                throw syntaxError(`Expected "${value}"`, token ? token.pos : text.length);
+            }
+            return next();
+        };
+
+        function parseOr() {
+            let node = parseAnd();
+            while (isName('or')) {
+                next();
+                node = { type: 'logic', op: 'or', left: node, right: parseAnd() };
+            }
+            return node;
+        }
+
+        function parseAnd() {
+            let node = parseNot();
+            while (isName('and')) {
+                next();
+                node = { type: 'logic', op: 'and', left: node, right: parseNot() };
+            }
+            return node;
+        }
+
+        function parseNot() {
+            if (isName('not')) {
+                next();
+                return { type: 'not', arg: parseNot() };
+            }
+            return parseComparison();
+        }
+
+        function parseComparison() {
+            const left = parseAdditive();
+            const token = peek();
+            if (token?.type === 'op' && COMPARISONS.has(token.value)) {
+                next();
+                return { type: 'compare', op: token.value, left, right: parseAdditive() };
+            }
+            return left;
+        }
+
+        function parseAdditive() {
+            let node = parseTerm();
+            while (isOp('+') || isOp('-')) {
+                node = { type: 'binary', op: next().value, left: node, right: parseTerm() };
+            }
+            return node;
+        }
+
+        function parseTerm() {
+            let node = parseUnary();
+            while (isOp('*') || isOp('/')) {
+                node = { type: 'binary', op: next().value, left: node, right: parseUnary() };
+            }
+            return node;
+        }
+
+        function parseUnary() {
+            if (isOp('-')) {
+                next();
+                return { type: 'negate', arg: parseUnary() };
+            }
+            if (isOp('+')) {
+                next();
+                return parseUnary();
+            }
+            return parsePrimary();
+        }
+
+        function parsePrimary() {
+            const token = next();
+            if (!token) throw syntaxError('Unexpected end of formula', text.length);
+
+            switch (token.type) {
+                case 'number':
+                case 'string':
+                    return { type: 'literal', value: token.value };
+                case 'field':
+                    if (!fields.includes(token.value)) fields.push(token.value);
+                    return { type: 'field', name: token.value };
+                case 'name': {
+                    const fn = FUNCTIONS[token.value];
+                    if (!fn) throw syntaxError(`Unknown function "${token.value}"`, token.pos);
+                    expect('(');
+                    const args = [];
+                    if (!isOp(')')) {
+                        args.push(parseAdditive());
+                        while (isOp(',')) {
+                            next();
+                            args.push(parseAdditive());
+                        }
+                    }
+                    expect(')');
+                    if (args.length < fn.minArgs || args.length > (fn.maxArgs ?? Infinity)) {
+                        throw syntaxError(`Wrong number of arguments for ${token.value}()`, token.pos);
+                    }
+                    return { type: 'call', fn: token.value, args };
+                }
+                case 'op':
+                    if (token.value === '(') {
+                        const node = parseOr();
+                        expect(')');
+                        return node;
+                    }
+                    throw syntaxError(`Unexpected "${token.value}"`, token.pos);
+            }
+            throw syntaxError('Unexpected token', token.pos);
+        }
+
+        const ast = parseOr();
+        if (index < tokens.length) {
+            throw syntaxError(`Unexpected "${tokens[index].value}"`, tokens[index].pos);
+        }
+
+        return { expression: text, ast, fields };
+    }
+
+    // =========================================================================
+    // EVALUATION
+    // =========================================================================
+
+    /**
+     * Read a value as a number ("$1,234.50" = 1234.5); empty or non-numeric values end evaluation
+     */
+    function toNumber(value) {
+        if (typeof value === 'number') return value;
+        if (typeof value === 'boolean') throw NOT_EVALUABLE;
+
+        const text = String(value ?? '').replace(/[$€£¥,\s]/g, '');
+        if (text === '' || !isFinite(text)) throw NOT_EVALUABLE;
+        return parseFloat(text);
+    }
+
+    function isNumeric(value) {
+        if (typeof value === 'number') return true;
+        const text = String(value ?? '').replace(/[$€£¥,\s]/g, '');
+        return text !== '' && isFinite(text);
+    }
+
+    function isBlank(value) {
+        return String(value ?? '').trim() === '';
+    }
+
+    /**
+     * Compare two values - numerically when both are numbers, otherwise as text (= and != only)
+     */
+    function compareValues(op, left, right, tolerance) {
+        if (isNumeric(left) && isNumeric(right)) {
+            const diff = toNumber(left) - toNumber(right);
+            switch (op) {
+                case '=': return Math.abs(diff) <= tolerance;
+                case '!=': return Math.abs(diff) > tolerance;
+                case '<': return diff < 0;
+                case '<=': return diff <= tolerance;
+                case '>': return diff > 0;
+                case '>=': return diff >= -tolerance;
+            }
+        }
+
+        // Empty values can't be ordered, or compared with a number
+        if (op !== '=' && op !== '!=') throw NOT_EVALUABLE;
+        if (isNumeric(left) !== isNumeric(right) && (isBlank(left) || isBlank(right))) throw NOT_EVALUABLE;
+
+        const equal = String(left ?? '').trim().toLowerCase() === String(right ?? '').trim().toLowerCase();
+        return op === '=' ? equal : !equal;
+    }
+
+    function evaluateNode(node, getValue, tolerance) {
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+            case 'field':
+                return getValue(node.name);
+            case 'negate':
+                return -toNumber(evaluateNode(node.arg, getValue, tolerance));
+            case 'binary': {
+                const left = toNumber(evaluateNode(node.left, getValue, tolerance));
+                const right = toNumber(evaluateNode(node.right, getValue, tolerance));
+                switch (node.op) {
+                    case '+': return left + right;
+                    case '-': return left - right;
+                    case '*': return left * right;
+                    default:
+                        if (right === 0) throw NOT_EVALUABLE;
+                        return left / right;
+                }
+            }
+            case 'call': {
+                const args = node.args.map(arg => toNumber(evaluateNode(arg, getValue, tolerance)));
+                return FUNCTIONS[node.fn].fn(...args);
+            }
+            case 'compare':
+                return compareValues(node.op,
+                    evaluateNode(node.left, getValue, tolerance),
+                    evaluateNode(node.right, getValue, tolerance),
+                    tolerance);
+            case 'logic': {
+                const left = toBoolean(evaluateNode(node.left, getValue, tolerance));
+                if (node.op === 'and' && !left) return false;
+                if (node.op === 'or' && left) return true;
+                return toBoolean(evaluateNode(node.right, getValue, tolerance));
+            }
+            case 'not':
+                return !toBoolean(evaluateNode(node.arg, getValue, tolerance));
+        }
+        throw NOT_EVALUABLE;
+    }
+
+    function toBoolean(value) {
+        if (typeof value === 'boolean') return value;
+        // A bare number or field counts as true when it is non-zero / non-empty
+        return isNumeric(value) ? toNumber(value) !== 0 : String(value ?? '').trim() !== '';
+    }
+
+    /**
+     * Evaluate a compiled formula against one row
+     * @param {Object} formula - From compile()
+     * @param {Function} getValue - field name => cell value
+     * @param {Object} [options]
+     * @param {number} [options.tolerance=0] - Allowed difference for =, !=, <= and >=
+     * @returns {Object} { passed, left, right, operator, values }
+     *   passed   - true / false, or null when a field is empty or not a number
+     *   left/right/operator - the computed sides when the formula is a single comparison
+     *   values   - field name -> value as read from the row
+     */
+    function evaluate(formula, getValue, options = {}) {
+        const tolerance = Math.max(Number(options.tolerance) || 0, EPSILON);
+        const values = {};
+        const read = (field) => {
+            if (!(field in values)) values[field] = getValue(field);
+            return values[field];
+        };
+
+        const result = { passed: null, left: undefined, right: undefined, operator: null, values };
+
+        try {
+            const { ast } = formula;
+            if (ast.type === 'compare') {
+                result.left = evaluateNode(ast.left, read, tolerance);
+                result.right = evaluateNode(ast.right, read, tolerance);
+                result.operator = ast.op;
+                result.passed = compareValues(ast.op, result.left, result.right, tolerance);
+            } else {
+                result.passed = toBoolean(evaluateNode(ast, read, tolerance));
+            }
+        } catch (err) {
+            if (err !== NOT_EVALUABLE) throw err;
+            result.passed = null;
+        }
+
+        return result;
+    }
+
+    /**
+     * Format a computed value for messages (drops floating-point noise)
+     */
+    function formatValue(value) {
+        if (typeof value === 'number') return String(Number(value.toFixed(6)));
+        if (value === null || value === undefined || value === '') return '(empty)';
+        return String(value);
+    }
+
+    /**
+     * Rename a field reference inside a formula ([Old Name] -> [New Name])
+     */
+    function renameField(expression, oldName, newName) {
+        if (!expression || !oldName) return expression;
+        return String(expression).replace(/\[([^\]]*)\]/g, (match, name) =>
+            name.trim() === oldName ? `[${newName}]` : match
+        );
+    }
+
+    return {
+        compile,
+        evaluate,
+        formatValue,
+        renameField
+    };
+})();
+
+window.FormulaEvaluator = FormulaEvaluator;
@@ -15,8 +15,14 @@ const HandsontableGrid = (function () {
     let hotInstance = null;
     let currentData = null;
     let currentRules = null;
-    let columnMapping = [];
+    let compiledRules = null;      // RuleCompiler output, indexed like the data columns
+    let fixRules = null;           // Same, with the template's auto-fix settings (built on first use)
+    let pendingFixIndex = { source: null, length: 0, byRow: null };
     let tooltipEl = null;
+    let gridSourceData = null;
+    let renderScheduled = false;
+    let validationContext = null;  // ValidationEngine context reused for incremental edits
+    let gridOptions = {};
 
     // Configuration
     const CONFIG = {
@@ -29,8 +35,13 @@ const HandsontableGrid = (function () {
 
     /**
      * Initialize the grid
+     * @param {string} containerId - Container element ID
+     * @param {Object} data - Structured data
+     * @param {Object} rules - Template rules
+     * @param {Object} [options] - { deferValidation: true } when ValidationRunner streams results in,
+     *                             { onEdit(rowIndices) } called after user edits are re-validated
      */
-    function initializeGrid(containerId, data, rules) {
+    function initializeGrid(containerId, data, rules, options = {}) {
         const container = document.getElementById(containerId);
         if (!container) {
             console.error('❌ Container not found:', containerId);
@@ -44,57 +55,27 @@ const HandsontableGrid = (function () {
         // Cleanup previous instance
         destroy();
 
-        // Store references
+        // Store references (compiling also resolves range/named-range list sources)
         currentData = data;
         currentRules = rules;
-        columnMapping = [...rules.columns];
-
-        // DETECT auto-fixable cells (but don't apply yet)
-        // Fixes are applied when user clicks "Auto-Fix Data" button
-        if (window.AutoFixEngine && window.currentTemplate) {
-            try {
-                // Headers may be in data.headers OR we extract from first row's keys
-                let headers = data.headers || [];
-                const rows = data.rows || [];
-
-                // If no headers array but we have rows, extract from first row's data keys
-                if (headers.length === 0 && rows.length > 0 && rows[0].data) {
-                    headers = Object.keys(rows[0].data);
-                }
-
-                if (headers.length > 0 && rows.length > 0) {
-                    const rowsArray = rows.map(r =>
-                        headers.map(h => r.data?.[h] || '')
-                    );
-                    const gridArray = [headers, ...rowsArray];
-
-                    // Preview what would be fixed (don't apply)
-                    const result = AutoFixEngine.applyAutoFixes(gridArray, window.currentTemplate, rules);
-
-                    // Store pending fixes and mark cells as fixable
-                    window.pendingAutoFixes = result.changes || [];
-
-                    if (result.changes && result.changes.length > 0) {
-                        result.changes.forEach(change => {
-                            const dataRowIndex = change.row - 1;
-                            const header = change.column || headers[change.col];
-                            if (data.rows[dataRowIndex]?.metadata?.[header]) {
-                                data.rows[dataRowIndex].metadata[header].isFixable = true;
-                                data.rows[dataRowIndex].metadata[header].suggestedFix = change.after;
-                            }
-                        });
-                    }
-                }
-            } catch (err) {
-                console.warn('Auto-fix detection error:', err);
-            }
+        compiledRules = RuleCompiler.compile(rules, { validators: false });
+        fixRules = null;
+        gridOptions = options;
+
+        // Validation and auto-fix detection may already be running in the background
+        // (ValidationRunner) - results then arrive through applyValidationChunk()
+        if (!options.deferValidation) {
+            // DETECT auto-fixable cells (but don't apply yet)
+            // Fixes are applied when user clicks "Auto-Fix Data" button
+            detectAutoFixes();
+
+            // Initial validation
+            validateAllRows();
         }
 
-        // Initial validation
-        validateAllRows();
-
         // Prepare data and columns
         const gridData = prepareGridData(data);
+        gridSourceData = gridData;
         const columns = buildColumns(rules);
         const colHeaders = buildHeaders(rules);
 
@@ -133,8 +114,20 @@ const HandsontableGrid = (function () {
             renderAllRows: false,
             viewportRowRenderingOffset: 20,
 
-            // Context menu
-            contextMenu: ['row_above', 'row_below', 'remove_row', '---------', 'copy', 'cut'],
+            // Context menu - rows are only removed through deleteRow, which keeps
+            // currentData, the change log and duplicate checks in step (no inserts:
+            // a new row has no source row to validate or export against)
+            contextMenu: {
+                items: {
+                    delete_rows: {
+                        name: 'Delete row(s)',
+                        callback: (key, selection) => deleteRows(getSelectedRows(selection))
+                    },
+                    separator: '---------',
+                    copy: {},
+                    cut: {}
+                }
+            },
 
             // Enable hidden rows for filtering
             hiddenRows: {
@@ -148,7 +141,9 @@ const HandsontableGrid = (function () {
             // Hooks
             afterChange: onAfterChange,
             afterOnCellMouseOver: onCellMouseOver,
-            afterOnCellMouseOut: onCellMouseOut
+            afterOnCellMouseOut: onCellMouseOut,
+            afterSelectionEnd: onAfterSelectionEnd,
+            afterDeselect: hideColumnHelp
         });
 
         // Update stats
@@ -207,7 +202,7 @@ const HandsontableGrid = (function () {
 
             switch (colType) {
                 case 'list':
-                    if (col.allowedValues && col.allowedValues.length > 0) {
+                    if (Array.isArray(col.allowedValues) && col.allowedValues.length > 0) {
                         colConfig.type = 'dropdown';
                         colConfig.source = col.allowedValues;
                         colConfig.strict = false;
@@ -227,10 +222,16 @@ const HandsontableGrid = (function () {
 
                 case 'date':
                     colConfig.type = 'date';
-                    colConfig.dateFormat = 'MM/DD/YYYY';
+                    colConfig.dateFormat = col.dateFormat || 'MM/DD/YYYY';
                     colConfig.correctFormat = true;
                     break;
 
+                case 'datetime':
+                case 'time':
+                    // The date picker has no time - edit as text, the renderer formats the value
+                    colConfig.type = 'text';
+                    break;
+
                 case 'integer':
                 case 'whole':
                     colConfig.type = 'numeric';
@@ -377,15 +378,15 @@ const HandsontableGrid = (function () {
 
         // Get validation status
         const ruleIndex = col - 2;
-        if (ruleIndex < 0 || ruleIndex >= columnMapping.length) return td;
+        const column = compiledRules?.columns[ruleIndex];
+        if (!column) return td;
 
-        const colRule = columnMapping[ruleIndex];
-        const fieldName = colRule.fieldName;
+        const fieldName = column.fieldName;
         const rowData = currentData?.rows?.[row];
         const cellMeta = rowData?.metadata?.[fieldName];
 
         // Clear existing validation classes and icons
-        td.classList.remove('cell-valid', 'cell-warning', 'cell-error');
+        td.classList.remove('cell-valid', 'cell-warning', 'cell-error', 'cell-info');
         td.removeAttribute('data-error-msg');
 
         // Remove any existing fixable icon
@@ -397,15 +398,22 @@ const HandsontableGrid = (function () {
             if (cellMeta.wasAutoFixed) {
                 // Already fixed - show as valid with indicator
                 td.classList.add('cell-valid');
-                td.dataset.errorMsg = `Auto-fixed from: "${cellMeta.originalValue}"`;
-            } else if (cellMeta.errors && cellMeta.errors.length > 0) {
-                td.classList.add('cell-error');
-                td.dataset.errorMsg = cellMeta.errors.join('; ');
-            } else if (cellMeta.warnings && cellMeta.warnings.length > 0) {
-                td.classList.add('cell-warning');
-                td.dataset.errorMsg = cellMeta.warnings.join('; ');
-            } else if (rowData?.rowStatus === 'valid') {
-                td.classList.add('cell-valid');
+                td.dataset.errorMsg = `Auto-fixed from: "${cellMeta.originalValue}"` +
+                    (cellMeta.autoFixRule ? ` (${cellMeta.autoFixRule})` : '');
+            } else {
+                // Status follows the most severe message; info never changes it
+                if (cellMeta.errors && cellMeta.errors.length > 0) {
+                    td.classList.add('cell-error');
+                } else if (cellMeta.warnings && cellMeta.warnings.length > 0) {
+                    td.classList.add('cell-warning');
+                } else if (cellMeta.info && cellMeta.info.length > 0) {
+                    td.classList.add('cell-info');
+                } else if (rowData?.rowStatus === 'valid') {
+                    td.classList.add('cell-valid');
+                }
+
+                const messages = formatCellMessages(cellMeta);
+                if (messages) td.dataset.errorMsg = messages;
             }
 
             // Check if cell is fixable - first check metadata flag, then check pendingAutoFixes
@@ -415,28 +423,17 @@ const HandsontableGrid = (function () {
             // Fallback: check pendingAutoFixes array directly
             if (!isFixable && window.pendingAutoFixes && window.pendingAutoFixes.length > 0) {
                 // Try multiple matching strategies
-                const pendingFix = window.pendingAutoFixes.find(fix => {
-                    // Row: fix.row is 1-indexed (row 1 = first data row since headers are row 0)
-                    // In grid: row 0 = first data row
-                    // So fix.row - 1 === row
-                    const rowMatch = (fix.row - 1) === row;
-
+                const pendingFix = getPendingFixesForRow(row).find(fix => {
                     // Column: try both column name and index matching
-                    const colByName = fix.column && fix.column.toLowerCase() === fieldName.toLowerCase();
+                    const colByName = fix.column && fix.column.toLowerCase() === column.key;
                     const colByIndex = fix.col === (col - 2);
 
-                    // Debug: log potential matches
-                    if (rowMatch) {
-                        console.log(`🔍 Row ${row} matches fix.row ${fix.row}. Checking column: fix.column="${fix.column}" vs fieldName="${fieldName}", fix.col=${fix.col} vs col-2=${col - 2}`);
-                    }
-
-                    return rowMatch && (colByName || colByIndex);
+                    return colByName || colByIndex;
                 });
 
                 if (pendingFix) {
                     isFixable = true;
                     suggestedFix = pendingFix.after;
-                    console.log('✅ Found pending fix:', pendingFix, 'for row:', row, 'col:', col, 'fieldName:', fieldName);
                 }
             }
 
@@ -455,14 +452,50 @@ const HandsontableGrid = (function () {
             }
         }
 
-        // Format dates if using DateUtils
-        if (colRule.type === 'date' && value && window.DateUtils) {
-            td.textContent = DateUtils.excelDateToJSDate(value) || value;
+        // Format dates and times if using DateUtils
+        if (value && window.DateUtils) {
+            if (column.type === 'date') {
+                td.textContent = DateUtils.formatDate(value, column.dateFormat) || value;
+            } else if (column.type === 'datetime') {
+                td.textContent = DateUtils.formatDateTime(value, column.dateFormat) || value;
+            } else if (column.type === 'time') {
+                td.textContent = DateUtils.formatTime(value) || value;
+            }
         }
 
         return td;
     }
 
+    const SEVERITY_LABELS = { error: 'Error', warning: 'Warning', info: 'Info' };
+
+    /**
+     * Tooltip text for a cell - one line per issue, labelled with its severity
+     */
+    function formatCellMessages(cellMeta) {
+        return ValidationEngine.getCellIssues(cellMeta)
+            .map(issue => `${SEVERITY_LABELS[issue.severity] || 'Error'}: ${issue.message}`)
+            .join('\n');
+    }
+
+    /**
+     * Pending auto-fixes for a grid row, indexed once per pendingAutoFixes update
+     * instead of scanning every fix for every rendered cell
+     */
+    function getPendingFixesForRow(row) {
+        const fixes = window.pendingAutoFixes;
+        if (pendingFixIndex.source !== fixes || pendingFixIndex.length !== fixes.length) {
+            const byRow = new Map();
+            fixes.forEach(fix => {
+                // fix.row is 1-indexed (row 1 = first data row since headers are row 0)
+                const gridRow = fix.row - 1;
+                if (!byRow.has(gridRow)) byRow.set(gridRow, []);
+                byRow.get(gridRow).push(fix);
+            });
+            pendingFixIndex = { source: fixes, length: fixes.length, byRow };
+        }
+        return pendingFixIndex.byRow.get(row) || [];
+    }
+
     // =========================================================================
     // VALIDATION
     // =========================================================================
@@ -471,10 +504,29 @@ const HandsontableGrid = (function () {
         if (!currentData || !currentRules) return;
 
         if (window.ValidationEngine) {
-            ValidationEngine.validateDataset(currentData, currentRules);
+            validationContext = ValidationEngine.prepareDataset(currentData, currentRules);
+            ValidationEngine.validateRows(currentData, validationContext, 0, currentData.rows.length);
+            ValidationEngine.finalizeDataset(currentData);
         }
     }
 
+    /**
+     * Re-validate only the rows an edit can affect (edited rows + unique-key partners)
+     * @param {Array<number>} rowIndices - Edited rows
+     * @param {Array<string>} fields - Edited field names
+     */
+    function revalidateEditedRows(rowIndices, fields) {
+        if (!currentData || !currentRules || !window.ValidationEngine) return;
+
+        // No context yet (e.g. a cancelled background run) - one full pass builds it
+        if (!validationContext) {
+            validateAllRows();
+            return;
+        }
+
+        ValidationEngine.revalidateRows(currentData, validationContext, rowIndices, fields);
+    }
+
     function getRowStatus(row) {
         return currentData?.rows?.[row]?.rowStatus || 'pending';
     }
@@ -486,6 +538,20 @@ const HandsontableGrid = (function () {
     function onAfterChange(changes, source) {
         if (!changes || source === 'loadData') return;
 
+        // Auto-fixes and resets update currentData themselves, come in one batch
+        // and are followed by a single full pass - nothing to do per change
+        if (source === 'autofix' || source === 'reset') return;
+
+        // Results streamed in from the background runner: index the pre-edit state
+        // (cheap, no validation) so the incremental pass knows which rows collided before
+        if (!validationContext && currentData?.stats && currentRules && window.ValidationEngine) {
+            validationContext = ValidationEngine.prepareDataset(currentData, currentRules);
+        }
+
+        const editedRows = new Set();
+        const editedFields = new Set();
+        const manualEdits = [];
+
         changes.forEach(([row, prop, oldValue, newValue]) => {
             if (oldValue === newValue) return;
 
@@ -493,24 +559,57 @@ const HandsontableGrid = (function () {
             if (currentData?.rows?.[row] && typeof prop === 'string' && !prop.startsWith('_')) {
                 currentData.rows[row].data[prop] = newValue;
 
+                manualEdits.push({
+                    kind: 'manual',
+                    row: currentData.rows[row].rowNumber ?? row + 1,
+                    column: prop,
+                    before: oldValue,
+                    after: newValue,
+                    source
+                });
+
                 if (currentData.rows[row].metadata[prop]) {
                     currentData.rows[row].metadata[prop].currentValue = newValue;
                     currentData.rows[row].metadata[prop].isModified = true;
                 }
+
+                editedRows.add(row);
+                editedFields.add(prop);
             }
         });
 
-        // Re-validate and update UI
-        validateAllRows();
+        if (editedRows.size === 0) return;
 
-        // Re-detect auto-fix opportunities for new values
-        detectAutoFixes();
+        window.ChangeLog?.record(manualEdits);
+        window.CorrectionLearner?.observe(manualEdits);
+
+        // Re-validate only the affected rows and update UI
+        revalidateEditedRows(Array.from(editedRows), Array.from(editedFields));
+
+        // Re-detect auto-fix opportunities for the new values
+        detectAutoFixesForRows(Array.from(editedRows));
 
         updateStatistics();
 
         if (hotInstance) {
             hotInstance.render();
         }
+
+        gridOptions.onEdit?.(Array.from(editedRows));
+    }
+
+    /**
+     * Rules compiled with the template's auto-fix settings, reused by every
+     * detection pass until the rules change (updateRules)
+     */
+    function getFixRules() {
+        if (!fixRules) {
+            fixRules = RuleCompiler.compile(currentRules, {
+                validators: false,
+                autoFixSettings: window.currentTemplate?.autoFixSettings || {}
+            });
+        }
+        return fixRules;
     }
 
     /**
@@ -540,7 +639,7 @@ const HandsontableGrid = (function () {
             const gridArray = [headers, ...rowsArray];
 
             // Preview what would be fixed
-            const result = AutoFixEngine.applyAutoFixes(gridArray, window.currentTemplate, currentRules);
+            const result = AutoFixEngine.applyAutoFixes(gridArray, window.currentTemplate, currentRules, getFixRules());
 
             // Clear old fixable flags
             rows.forEach(row => {
@@ -570,6 +669,55 @@ const HandsontableGrid = (function () {
         }
     }
 
+    /**
+     * Re-detect auto-fixable cells for specific rows only
+     * Called after cell edits - auto-fixes are per cell, so other rows can't change
+     * @param {Array<number>} rowIndices - 0-based data row indices
+     */
+    function detectAutoFixesForRows(rowIndices) {
+        if (!window.AutoFixEngine || !window.currentTemplate || !currentData || !currentRules) {
+            return;
+        }
+
+        try {
+            let headers = currentData.headers || [];
+            if (headers.length === 0 && currentData.rows[0]?.data) {
+                headers = Object.keys(currentData.rows[0].data);
+            }
+            if (headers.length === 0) return;
+
+            // Drop stale fixes for these rows (fix.row is 1-based)
+            const fixRows = new Set(rowIndices.map(idx => idx + 1));
+            const fixRules = getFixRules();
+            window.pendingAutoFixes = (window.pendingAutoFixes || []).filter(fix => !fixRows.has(fix.row));
+
+            rowIndices.forEach(idx => {
+                const row = currentData.rows[idx];
+                if (!row) return;
+
+                Object.values(row.metadata || {}).forEach(cellMeta => {
+                    cellMeta.isFixable = false;
+                    cellMeta.suggestedFix = null;
+                });
+
+                const rowArray = headers.map(h => row.data?.[h] || row.metadata?.[h]?.currentValue || '');
+                const result = AutoFixEngine.applyAutoFixes([headers, rowArray], window.currentTemplate, currentRules, fixRules);
+
+                (result.changes || []).forEach(change => {
+                    window.pendingAutoFixes.push({ ...change, row: idx + 1 });
+
+                    const cellMeta = row.metadata?.[change.column || headers[change.col]];
+                    if (cellMeta) {
+                        cellMeta.isFixable = true;
+                        cellMeta.suggestedFix = change.after;
+                    }
+                });
+            });
+        } catch (err) {
+            console.warn('Auto-fix re-detection error:', err);
+        }
+    }
+
     function onCellMouseOver(event, coords, td) {
         if (coords.row < 0) return;
 
@@ -583,6 +731,39 @@ const HandsontableGrid = (function () {
         hideTooltip();
     }
 
+    // =========================================================================
+    // COLUMN HELP (data-validation input prompt)
+    // =========================================================================
+
+    /**
+     * Show the selected column's input prompt (column.promptTitle / promptMessage)
+     */
+    function onAfterSelectionEnd(row, col) {
+        const ruleIndex = hotInstance?.getSettings().columns[col]?._ruleIndex;
+        const rule = ruleIndex === undefined ? null : currentRules?.columns?.[ruleIndex];
+        showColumnHelp(rule);
+    }
+
+    function showColumnHelp(rule) {
+        const el = document.getElementById('column-help');
+        if (!el) return;
+
+        const title = String(rule?.promptTitle ?? '').trim();
+        const message = String(rule?.promptMessage ?? '').trim();
+        if (!title && !message) {
+            hideColumnHelp();
+            return;
+        }
+
+        document.getElementById('column-help-title').textContent = title || rule.fieldName;
+        document.getElementById('column-help-message').textContent = message;
+        el.classList.remove('hidden');
+    }
+
+    function hideColumnHelp() {
+        document.getElementById('column-help')?.classList.add('hidden');
+    }
+
     // =========================================================================
     // TOOLTIP
     // =========================================================================
@@ -618,18 +799,57 @@ const HandsontableGrid = (function () {
     // =========================================================================
 
     function deleteRow(rowIndex) {
+        deleteRows([rowIndex]);
+    }
+
+    /**
+     * Row indices covered by a context-menu selection
+     */
+    function getSelectedRows(selection) {
+        const rows = [];
+        (selection || []).forEach(({ start, end }) => {
+            for (let row = Math.min(start.row, end.row); row <= Math.max(start.row, end.row); row++) rows.push(row);
+        });
+        return rows;
+    }
+
+    /**
+     * Remove rows from the grid and the data, then re-validate
+     * @param {Array<number>} rowIndices - Grid row indices
+     */
+    function deleteRows(rowIndices) {
         if (!hotInstance || !currentData) return;
 
-        if (!confirm(`Delete row ${rowIndex + 1}?`)) return;
+        const indices = Array.from(new Set(rowIndices))
+            .filter(idx => idx >= 0 && idx < currentData.rows.length)
+            .sort((a, b) => b - a);   // Bottom up, so earlier indices stay valid
+        if (indices.length === 0) return;
+
+        const prompt = indices.length === 1 ? `Delete row ${indices[0] + 1}?` : `Delete ${indices.length} rows?`;
+        if (!confirm(prompt)) return;
 
-        currentData.rows.splice(rowIndex, 1);
-        hotInstance.alter('remove_row', rowIndex);
+        const logged = [];
+        indices.forEach(rowIndex => {
+            const [removed] = currentData.rows.splice(rowIndex, 1);
+            hotInstance.alter('remove_row', rowIndex);
+
+            logged.unshift({
+                kind: 'delete',
+                row: removed?.rowNumber ?? rowIndex + 1,
+                before: Object.values(removed?.data || {}).join(' | ')
+            });
+        });
+
+        window.ChangeLog?.record(logged);
 
         // Re-index rows
         currentData.rows.forEach((row, idx) => {
             row.rowIndex = idx;
         });
 
+        // Row numbers shift, so duplicate references and stats need a full pass
+        validateAllRows();
+        hotInstance.render();
         updateStatistics();
     }
 
@@ -653,13 +873,21 @@ const HandsontableGrid = (function () {
         const total = currentData.rows.length;
         let valid = 0, warnings = 0, errors = 0;
 
-        currentData.rows.forEach(row => {
-            switch (row.rowStatus) {
-                case 'valid': valid++; break;
-                case 'warning': warnings++; break;
-                case 'error': errors++; break;
-            }
-        });
+        if (currentData.stats) {
+            // Kept current by ValidationEngine (recounted on full passes, diffed on edits)
+            valid = currentData.stats.validRows;
+            warnings = currentData.stats.warningRows;
+            errors = currentData.stats.errorRows;
+        } else {
+            // Still streaming in from the background runner
+            currentData.rows.forEach(row => {
+                switch (row.rowStatus) {
+                    case 'valid': valid++; break;
+                    case 'warning': warnings++; break;
+                    case 'error': errors++; break;
+                }
+            });
+        }
 
         const pct = (n) => total > 0 ? ((n / total) * 100).toFixed(1) : '0';
         const completion = total > 0 ? Math.round(((valid + warnings) / total) * 100) : 0;
@@ -713,7 +941,8 @@ const HandsontableGrid = (function () {
 
         // Update stored rules
         currentRules = newRules;
-        columnMapping = [...newRules.columns];
+        compiledRules = RuleCompiler.compile(newRules, { validators: false });
+        fixRules = null; // Auto-fix settings may have changed with the rules
 
         // Rebuild columns with new configuration (including updated allowedValues)
         const columns = buildColumns(newRules);
@@ -725,6 +954,9 @@ const HandsontableGrid = (function () {
             colHeaders: colHeaders
         });
 
+        // New rules can fix more (or fewer) cells, e.g. alternative labels just added
+        detectAutoFixes();
+
         // Re-validate all rows with new rules
         validateAllRows();
 
@@ -735,6 +967,23 @@ const HandsontableGrid = (function () {
         console.log('✅ Grid updated with new rules');
     }
 
+    /**
+     * Re-validate some rows (e.g. new client script results) and adjust the
+     * statistics by difference instead of a full pass
+     * @param {Array<number>} rowIndices - 0-based data row indices
+     */
+    function revalidateRows(rowIndices) {
+        if (!hotInstance || !currentData || !rowIndices?.length) return;
+
+        if (!validationContext && currentData.stats && currentRules && window.ValidationEngine) {
+            validationContext = ValidationEngine.prepareDataset(currentData, currentRules);
+        }
+
+        revalidateEditedRows(rowIndices, []);
+        hotInstance.render();
+        updateStatistics();
+    }
+
     function refresh() {
         if (hotInstance) {
             validateAllRows();
@@ -754,6 +1003,9 @@ const HandsontableGrid = (function () {
         }
 
         let appliedCount = 0;
+        const logged = [];
+        const cellChanges = [];   // [row, col, value] for one setDataAtCell batch
+        const fixedRows = new Set();
 
         fixes.forEach(fix => {
             const dataRowIndex = fix.row - 1; // fix.row is 1-indexed (skipping header)
@@ -777,28 +1029,60 @@ const HandsontableGrid = (function () {
                 rowData.metadata[header].currentValue = fix.after;
                 rowData.metadata[header].wasAutoFixed = true;
                 rowData.metadata[header].isFixable = false;
+                rowData.metadata[header].autoFixRule = describeFixRule(fix);
 
-                // Also update Handsontable's data source directly
-                // Find the column index in columnMapping
-                const colIndex = columnMapping.findIndex(c => c.fieldName === header);
-                if (colIndex !== -1) {
-                    const hotRowIndex = dataRowIndex;
-                    const hotColIndex = colIndex + 2; // +2 for row number and status columns
-                    hotInstance.setDataAtCell(hotRowIndex, hotColIndex, fix.after, 'autofix');
+                // Also update Handsontable's data source (one batch below)
+                const column = compiledRules?.byName.get(header);
+                if (column) {
+                    cellChanges.push([dataRowIndex, column.index + 2, fix.after]); // +2 for row number and status columns
                 }
-
+                fixedRows.add(dataRowIndex);
+
+                logged.push({
+                    kind: 'autofix',
+                    row: rowData.rowNumber ?? fix.row,
+                    column: header,
+                    before: fix.before,
+                    after: fix.after,
+                    rule: rowData.metadata[header].autoFixRule,
+                    source: getFixSources(fix)
+                });
                 appliedCount++;
             }
         });
 
+        if (cellChanges.length > 0) {
+            hotInstance.setDataAtCell(cellChanges, 'autofix');
+        }
+
+        window.ChangeLog?.record(logged);
+
         // Re-validate and re-render
         validateAllRows();
         hotInstance.render();
         updateStatistics();
 
+        if (fixedRows.size > 0) gridOptions.onEdit?.(Array.from(fixedRows));
+
         return appliedCount;
     }
 
+    /**
+     * Fix rule ids that changed a cell, in order (e.g. "whitespace → mapping")
+     */
+    function describeFixRule(fix) {
+        const steps = fix.steps?.length ? fix.steps : [{ fixType: fix.fixType }];
+        return steps.map(step => step.fixType).filter(Boolean).join(' → ');
+    }
+
+    /**
+     * Lookup lists / sources the fix rules used, if any
+     */
+    function getFixSources(fix) {
+        const steps = fix.steps?.length ? fix.steps : [fix];
+        return Array.from(new Set(steps.map(step => step.source).filter(Boolean))).join(', ');
+    }
+
     /**
      * Reset all auto-fixed cells to their original values
      * @returns {number} Number of cells reset
@@ -809,6 +1093,9 @@ const HandsontableGrid = (function () {
         }
 
         let resetCount = 0;
+        const logged = [];
+        const cellChanges = [];   // [row, col, value] for one setDataAtCell batch
+        const resetRows = new Set();
 
         currentData.rows.forEach((rowData, dataRowIndex) => {
             Object.keys(rowData.metadata).forEach(header => {
@@ -818,19 +1105,29 @@ const HandsontableGrid = (function () {
                 if (cellMeta.wasAutoFixed && cellMeta.originalValue !== undefined) {
                     const originalValue = cellMeta.originalValue;
 
+                    logged.push({
+                        kind: 'reset',
+                        row: rowData.rowNumber ?? dataRowIndex + 1,
+                        column: header,
+                        before: rowData.data[header],
+                        after: originalValue,
+                        rule: cellMeta.autoFixRule
+                    });
+
                     // Update internal data
                     rowData.data[header] = originalValue;
                     cellMeta.currentValue = originalValue;
                     cellMeta.wasAutoFixed = false;
                     cellMeta.isFixable = true; // Mark as fixable again
                     delete cellMeta.originalValue; // Clear original value storage
+                    delete cellMeta.autoFixRule;
 
-                    // Update Handsontable's data source directly
-                    const colIndex = columnMapping.findIndex(c => c.fieldName === header);
-                    if (colIndex !== -1) {
-                        const hotColIndex = colIndex + 2; // +2 for row number and status columns
-                        hotInstance.setDataAtCell(dataRowIndex, hotColIndex, originalValue, 'reset');
+                    // Update Handsontable's data source (one batch below)
+                    const column = compiledRules?.byName.get(header);
+                    if (column) {
+                        cellChanges.push([dataRowIndex, column.index + 2, originalValue]); // +2 for row number and status columns
                     }
+                    resetRows.add(dataRowIndex);
 
                     resetCount++;
                 }
@@ -838,6 +1135,9 @@ const HandsontableGrid = (function () {
         });
 
         if (resetCount > 0) {
+            if (cellChanges.length > 0) hotInstance.setDataAtCell(cellChanges, 'reset');
+            window.ChangeLog?.record(logged);
+
             // Re-validate and re-render
             validateAllRows();
             hotInstance.render();
@@ -845,6 +1145,8 @@ const HandsontableGrid = (function () {
 
             // Re-detect auto-fixes for the reset cells
             redetectAutoFixes();
+
+            gridOptions.onEdit?.(Array.from(resetRows));
         }
 
         return resetCount;
@@ -874,7 +1176,7 @@ const HandsontableGrid = (function () {
             const gridArray = [headers, ...rowsArray];
 
             // Run detection
-            const result = AutoFixEngine.applyAutoFixes(gridArray, window.currentTemplate, currentRules);
+            const result = AutoFixEngine.applyAutoFixes(gridArray, window.currentTemplate, currentRules, getFixRules());
 
             // Store pending fixes and mark cells as fixable
             window.pendingAutoFixes = result.changes || [];
@@ -899,7 +1201,47 @@ const HandsontableGrid = (function () {
         return hotInstance;
     }
 
+    /**
+     * Merge a finished validation chunk (from ValidationRunner) into the grid.
+     * The runner has already replaced the rows in the dataset; this refreshes statuses
+     * and schedules a render.
+     * @param {Object} chunk - { start, end, rows, changes }
+     */
+    function applyValidationChunk(chunk) {
+        if (!hotInstance || !currentData) return;
+
+        // Rows were replaced - any incremental context is stale
+        validationContext = null;
+
+        for (let i = chunk.start; i < chunk.end; i++) {
+            if (gridSourceData?.[i]) {
+                gridSourceData[i]._rowStatus = currentData.rows[i]?.rowStatus || 'pending';
+            }
+        }
+
+        // Chunks can arrive faster than the grid can paint - render at most once per frame
+        if (renderScheduled) return;
+        renderScheduled = true;
+        requestAnimationFrame(() => {
+            renderScheduled = false;
+            if (hotInstance) {
+                hotInstance.render();
+                updateStatistics();
+            }
+        });
+    }
+
+    /**
+     * Lock editing while a background validation run is in progress
+     */
+    function setBusy(busy) {
+        if (hotInstance) {
+            hotInstance.updateSettings({ readOnly: !!busy });
+        }
+    }
+
     function destroy() {
+        hideColumnHelp();
         if (tooltipEl) {
             tooltipEl.remove();
             tooltipEl = null;
@@ -910,7 +1252,11 @@ const HandsontableGrid = (function () {
         }
         currentData = null;
         currentRules = null;
-        columnMapping = [];
+        compiledRules = null;
+        pendingFixIndex = { source: null, length: 0, byRow: null };
+        gridOptions = {};
+        gridSourceData = null;
+        validationContext = null;
     }
 
     function getData() {
@@ -960,6 +1306,7 @@ const HandsontableGrid = (function () {
         deleteRow,
         jumpToRow,
         refresh,
+        revalidateRows,
         getInstance,
         destroy,
         getData,
@@ -967,7 +1314,9 @@ const HandsontableGrid = (function () {
         updateStatistics,
         filterByStatus,
         applyAutoFixes,
-        resetAutoFixes
+        resetAutoFixes,
+        applyValidationChunk,
+        setBusy
     };
 
 })();
@@ -0,0 +1,30 @@
+/**
+ * HTML Utilities
+ * Helpers shared by the modules that build their UI from template strings
+ *
+ * Usage:
+ *   `<span>${HtmlUtils.escapeHtml(value)}</span>`
+ */
+
+const HtmlUtils = (function () {
+    'use strict';
+
+    const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+    /**
+     * Escape text for use in HTML - element content and quoted attributes
+     * @param {*} text - Any value; null and undefined become ''
+     * @returns {string} Escaped text
+     */
+    function escapeHtml(text) {
+        if (text === null || text === undefined) return '';
+        return String(text).replace(/[&<>"']/g, char => ENTITIES[char]);
+    }
+
+    // Public API
+    return {
+        escapeHtml
+    };
+})();
+
+window.HtmlUtils = HtmlUtils;
@@ -0,0 +1,206 @@
+/**
+ * Lookup Resolver
+ * Resolves list data-validation sources (sheet ranges, named ranges) into value lists
+ *
+ * Smart Template dropdowns often point at a lookup sheet, e.g.
+ * `'Country Table'!$A$2:$A$250` or a named range like `Countries`.
+ * At extraction time these are resolved against the workbook; templates saved
+ * earlier are resolved at run time against `rules.lookupTables`.
+ */
+
+const LookupResolver = (function () {
+    'use strict';
+
+    /**
+     * Convert column letters to a 0-based index (A = 0, AA = 26)
+     */
+    function decodeColumn(letters) {
+        let index = 0;
+        for (const ch of letters.toUpperCase()) {
+            index = index * 26 + (ch.charCodeAt(0) - 64);
+        }
+        return index - 1;
+    }
+
+    /**
+     * Parse a single A1 reference part ("$A$2", "A", "12")
+     * @returns {Object|null} { row, col } - either may be null for whole rows/columns
+     */
+    function parseCellRef(ref) {
+        const match = String(ref).replace(/\$/g, '').toUpperCase().match(/^([A-Z]{1,3})?(\d+)?$/);
+        if (!match || (!match[1] && !match[2])) return null;
+        return {
+            col: match[1] ? decodeColumn(match[1]) : null,
+            row: match[2] ? parseInt(match[2], 10) - 1 : null
+        };
+    }
+
+    /**
+     * Parse a list formula into a reference
+     * @param {string} formula - e.g. "'Country Table'!$A$2:$A$250", "$B$2:$B$9", "Countries"
+     * @returns {Object|null} { sheet, start, end } for ranges, { name } for named ranges,
+     *                        null for inline lists and anything else
+     */
+    function parseReference(formula) {
+        if (!formula || typeof formula !== 'string') return null;
+
+        let text = formula.trim().replace(/^=/, '');
+        if (!text || text.startsWith('"')) return null;
+
+        let sheet = null;
+        const bang = text.lastIndexOf('!');
+        if (bang !== -1) {
+            sheet = text.slice(0, bang).replace(/^'(.*)'$/, '$1').replace(/''/g, "'");
+            text = text.slice(bang + 1);
+        }
+
+        const [startText, endText] = text.split(':');
+        const start = parseCellRef(startText);
+        const end = endText !== undefined ? parseCellRef(endText) : start;
+        // Without a colon only a full cell reference counts ("USA" is a name, not column USA)
+        const isCell = endText !== undefined || (start && start.row !== null && start.col !== null);
+
+        if (start && end && isCell) {
+            return { sheet, start, end };
+        }
+
+        // Named range: a plain identifier (no commas, spaces or functions)
+        if (!sheet && /^[A-Za-z_][\w.]*$/.test(text)) {
+            return { name: text };
+        }
+
+        return null;
+    }
+
+    /**
+     * Collect distinct, non-empty values from a reference using a cell getter
+     * @param {Object} ref - Parsed range reference
+     * @param {Object} bounds - { rows, cols } used for whole-column/whole-row references
+     * @param {Function} getCell - (row, col) => value
+     */
+    function collectValues(ref, bounds, getCell) {
+        const rowStart = ref.start.row ?? 0;
+        const rowEnd = Math.min(ref.end.row ?? bounds.rows - 1, bounds.rows - 1);
+        const colStart = ref.start.col ?? 0;
+        const colEnd = Math.min(ref.end.col ?? bounds.cols - 1, bounds.cols - 1);
+
+        const values = [];
+        const seen = new Set();
+
+        for (let r = rowStart; r <= rowEnd; r++) {
+            for (let c = colStart; c <= colEnd; c++) {
+                const value = getCell(r, c);
+                if (value === null || value === undefined) continue;
+
+                const text = String(value).trim();
+                if (text === '' || seen.has(text)) continue;
+
+                seen.add(text);
+                values.push(text);
+            }
+        }
+
+        return values;
+    }
+
+    /**
+     * Read defined names from a SheetJS workbook
+     * @returns {Object} Map of name -> reference formula
+     */
+    function getWorkbookNames(workbook) {
+        const names = {};
+        (workbook?.Workbook?.Names || []).forEach(entry => {
+            if (entry?.Name && entry.Ref && !entry.Name.startsWith('_xlnm.')) {
+                names[entry.Name] = entry.Ref;
+            }
+        });
+        return names;
+    }
+
+    /**
+     * Resolve a list formula against a SheetJS workbook (extraction time)
+     * @param {string} formula - List validation formula1
+     * @param {Object} workbook - SheetJS workbook
+     * @param {string} defaultSheet - Sheet used for unqualified ranges (the data sheet)
+     * @returns {Object|null} { values, sheet } or null if the formula isn't a resolvable reference
+     */
+    function resolveFromWorkbook(formula, workbook, defaultSheet) {
+        let ref = parseReference(formula);
+        if (ref?.name) {
+            ref = parseReference(getWorkbookNames(workbook)[ref.name]);
+        }
+        if (!ref || ref.name) return null;
+
+        const sheetName = ref.sheet || defaultSheet;
+        const sheet = workbook.Sheets[sheetName];
+        if (!sheet || !sheet['!ref']) return null;
+
+        const range = XLSX.utils.decode_range(sheet['!ref']);
+        const values = collectValues(ref, { rows: range.e.r + 1, cols: range.e.c + 1 }, (r, c) => {
+            const cell = sheet[XLSX.utils.encode_cell({ r, c })];
+            if (!cell) return null;
+            return cell.w !== undefined ? cell.w : cell.v;
+        });
+
+        return { values, sheet: sheetName };
+    }
+
+    /**
+     * Resolve a list formula against the lookup tables stored in template rules (run time)
+     * @param {string} formula - List validation formula
+     * @param {Object} rules - Template rules ({ lookupTables, namedRanges, metadata })
+     * @returns {Array|null} Values, or null if the reference can't be resolved
+     */
+    function resolveFromRules(formula, rules) {
+        let ref = parseReference(formula);
+        if (ref?.name) {
+            ref = parseReference(rules?.namedRanges?.[ref.name]);
+        }
+        if (!ref || ref.name) return null;
+
+        const table = rules?.lookupTables?.[ref.sheet || rules?.metadata?.mainSheet];
+        // Older templates only kept a sample of each table, without cell positions
+        if (!table || !Array.isArray(table.rows)) return null;
+
+        const origin = table.origin || { row: 0, col: 0 };
+        const width = table.rows.reduce((max, row) => Math.max(max, row.length), 0);
+
+        return collectValues(ref, { rows: origin.row + table.rows.length, cols: origin.col + width }, (r, c) => {
+            const row = table.rows[r - origin.row];
+            return row ? row[c - origin.col] : null;
+        });
+    }
+
+    /**
+     * Replace unresolved list formulas on rule columns with real value lists.
+     * The original formula is kept in `column.listSource`. Safe to call repeatedly.
+     * @param {Object} rules - Template rules (modified in place)
+     * @returns {Object} The same rules object
+     */
+    function resolveColumnLists(rules) {
+        (rules?.columns || []).forEach(column => {
+            if (typeof column.allowedValues !== 'string') return;
+
+            const formula = column.allowedValues;
+            const values = resolveFromRules(formula, rules);
+
+            column.listSource = formula;
+            column.allowedValues = values;
+
+            if (!values) {
+                console.warn(`⚠️ Could not resolve list source for "${column.fieldName}": ${formula}`);
+            }
+        });
+        return rules;
+    }
+
+    return {
+        parseReference,
+        getWorkbookNames,
+        resolveFromWorkbook,
+        resolveFromRules,
+        resolveColumnLists
+    };
+})();
+
+window.LookupResolver = LookupResolver;
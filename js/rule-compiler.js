@@ -0,0 +1,159 @@
+/**
+ * Rule Compiler
+ * Turns template rules into per-column validator and fixer pipelines, once per run
+ *
+ * Column lookups, lower-casing, list sets and data-validation bounds are worked out
+ * here instead of for every cell. ValidationEngine, AutoFixEngine and the grid
+ * renderer all read the compiled form.
+ *
+ * Usage:
+ *   const compiled = RuleCompiler.compile(rules, { autoFixSettings });
+ *   const column = compiled.getColumn(header);          // case-insensitive
+ *   column.validators.forEach(check => check(value, cellMeta, row));
+ *   const fixed = RuleCompiler.runFixers(column, value);
+ *
+ * Compiled column:
+ *   { index, fieldName, key, rule, type, isNumeric, isDate, dateFormat, isBoolean, isYNList,
+ *     numberFormat, allowedValues, allowedLookup, alternativeLabels, mappingLookup, validators, fixers }
+ */
+
+const RuleCompiler = (function () {
+    'use strict';
+
+    const NUMERIC_TYPES = new Set(['number', 'decimal', 'integer', 'whole', 'currency']);
+    const DATE_TYPES = new Set(['date', 'datetime']);
+
+    /**
+     * Compile template rules
+     * @param {Object} rules - Template rules ({ columns })
+     * @param {Object} [options]
+     * @param {boolean} [options.validators=true] - Build ValidationEngine checks
+     * @param {Object} [options.autoFixSettings] - Build AutoFixEngine fixers with these settings
+     * @returns {Object} { columns, byKey, byName, getColumn(header), options }
+     *   columns   - compiled columns by rules.columns index
+     *   byKey     - lower-case fieldName -> column (validation lookups)
+     *   byName    - exact name / fieldName -> column (auto-fix lookups)
+     */
+    function compile(rules, options = {}) {
+        if (window.LookupResolver && rules) LookupResolver.resolveColumnLists(rules);
+
+        const columns = (rules?.columns || []).map((def, index) => compileColumn(def, index, options, rules));
+        const byKey = new Map();
+        const byName = new Map();
+
+        columns.forEach(column => {
+            // First column wins, like the Array.find lookups this replaces
+            if (!byKey.has(column.key)) byKey.set(column.key, column);
+            [column.rule.name, column.fieldName].forEach(name => {
+                if (name && !byName.has(name)) byName.set(name, column);
+            });
+        });
+
+        // Headers repeat on every row - remember each case-insensitive lookup
+        const headerCache = new Map();
+        function getColumn(header) {
+            if (!headerCache.has(header)) {
+                headerCache.set(header, byKey.get(String(header).toLowerCase()) || null);
+            }
+            return headerCache.get(header);
+        }
+
+        return { columns, byKey, byName, getColumn, options };
+    }
+
+    /**
+     * Compile a single column definition
+     * @param {Object} def - Column rule ({ fieldName, type, allowedValues, ... })
+     * @param {number} index - Index in rules.columns (-1 for ad-hoc columns)
+     * @param {Object} [options] - Same as compile()
+     * @param {Object} [rules] - Template rules the column belongs to (template-level settings)
+     * @returns {Object} Compiled column
+     */
+    function compileColumn(def, index, options = {}, rules = null) {
+        const rule = def || {};
+        const fieldName = rule.fieldName || rule.name || '';
+        const allowedValues = Array.isArray(rule.allowedValues) ? rule.allowedValues : null;
+
+        let allowedLookup = null;
+        if (allowedValues) {
+            allowedLookup = new Map();
+            allowedValues.forEach(value => {
+                const key = String(value).trim().toLowerCase();
+                if (!allowedLookup.has(key)) allowedLookup.set(key, value);
+            });
+        }
+
+        let alternativeLabels = null;
+        if (rule.alternativeLabels && Object.keys(rule.alternativeLabels).length > 0) {
+            alternativeLabels = new Map();
+            Object.entries(rule.alternativeLabels).forEach(([alt, target]) => {
+                const key = alt.toLowerCase();
+                if (!alternativeLabels.has(key)) alternativeLabels.set(key, target);
+            });
+        }
+
+        // Opt-in mapping lists (AutoFixMappings) plus the template's own entries
+        const mappingLookup = window.AutoFixMappings
+            ? AutoFixMappings.buildLookup(rule.mappings, rules?.mappingEntries)
+            : null;
+
+        const column = {
+            index,
+            fieldName,
+            key: fieldName.toLowerCase(),
+            rule,
+            type: rule.type,
+            isNumeric: NUMERIC_TYPES.has(rule.type),
+            isDate: DATE_TYPES.has(rule.type),
+            dateFormat: rule.dateFormat || (window.DateUtils ? DateUtils.DEFAULT_FORMAT : 'MM/DD/YYYY'),
+            isBoolean: rule.type === 'boolean',
+            isYNList: !!allowedLookup && allowedLookup.has('y') && allowedLookup.has('n'),
+            // Decimal separator is set per template (rules.decimalSeparator), percentages per column
+            numberFormat: {
+                decimalSeparator: rules?.decimalSeparator === ',' ? ',' : '.',
+                percentFormat: rule.percentFormat === 'fraction' ? 'fraction' : 'whole'
+            },
+            allowedValues,
+            allowedLookup,
+            alternativeLabels,
+            mappingLookup,
+            validators: [],
+            fixers: []
+        };
+
+        if (options.validators !== false && window.ValidationEngine) {
+            column.validators = ValidationEngine.buildValidators(column, rules);
+        }
+        if (options.autoFixSettings && window.AutoFixEngine) {
+            column.fixers = AutoFixEngine.buildFixers(column, options.autoFixSettings, rules);
+        }
+
+        return column;
+    }
+
+    /**
+     * Run a compiled column's fixer pipeline over a value
+     * @param {Array} [steps] - When given, receives { fixType, source, before, after }
+     *                          for every fixer that changed the value
+     */
+    function runFixers(column, value, steps) {
+        let result = value;
+        for (const fix of column.fixers) {
+            const before = result;
+            result = fix(result);
+            if (steps && result !== before) {
+                const source = typeof fix.source === 'function' ? fix.source(before) : fix.source;
+                steps.push({ fixType: fix.fixType || 'custom', source: source || null, before, after: result });
+            }
+        }
+        return result;
+    }
+
+    return {
+        compile,
+        compileColumn,
+        runFixers
+    };
+})();
+
+window.RuleCompiler = RuleCompiler;
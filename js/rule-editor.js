@@ -37,6 +37,18 @@
         // Render field list
         renderFieldList();
 
+        // Render cross-field rules
+        renderComplexRules();
+
+        // Render template-level severity defaults and message overrides
+        renderDefaultSeverities();
+        renderDefaultMessages();
+        renderTemplateMappings();
+        renderDecimalSeparator();
+
+        // Fill the client script editor
+        renderClientScript();
+
         // Show empty state
         showEmptyState();
     };
@@ -199,6 +211,19 @@
             renderListValues(field);
         }
 
+        // Date format, percent format, length and value limits
+        renderDateFormat(field);
+        renderPercentFormat(field);
+        renderValidationLimits(field);
+
+        const uniqueCheck = document.getElementById('modal-rule-unique');
+        if (uniqueCheck) uniqueCheck.checked = !!field.unique;
+
+        renderFieldSeverities(field);
+        renderFieldHelp(field);
+        renderFieldMappings(field);
+        renderFieldAutoFixes(field);
+
         // Re-render field list to update selection
         renderFieldList();
     };
@@ -252,15 +277,22 @@
     window.updateFieldProperty = function (prop, value) {
         if (selectedFieldIndex === null || !currentRules?.columns) return;
 
+        const previousValue = currentRules.columns[selectedFieldIndex][prop];
         currentRules.columns[selectedFieldIndex][prop] = value;
 
         // Update header if field name changed
         if (prop === 'fieldName') {
             document.getElementById('modal-edit-field-title').textContent = value;
+            renameComplexRuleField(previousValue, value);
             renderFieldList();
         }
         if (prop === 'type') {
             document.getElementById('modal-edit-field-subtitle').textContent = `Type: ${value}`;
+            syncValidationLimitType(currentRules.columns[selectedFieldIndex]);
+            renderDateFormat(currentRules.columns[selectedFieldIndex]);
+            renderPercentFormat(currentRules.columns[selectedFieldIndex]);
+            renderValidationLimits(currentRules.columns[selectedFieldIndex]);
+            renderFieldAutoFixes(currentRules.columns[selectedFieldIndex]);
             renderFieldList();
         }
         if (prop === 'requirement') {
@@ -269,305 +301,1168 @@
         }
     };
 
-    /**
-     * Render conditions for conditional requirement
-     */
-    function renderConditions(field) {
-        const container = document.getElementById('modal-condition-builder');
-        if (!container) return;
+    // =========================================================================
+    // SEVERITY
+    // =========================================================================
 
-        const conditions = field.conditionalRequirement?.conditions || [];
-        const operator = field.conditionalRequirement?.operator || 'AND';
+    // Column checks whose severity can be configured (keys match ValidationEngine.DEFAULT_SEVERITIES)
+    const SEVERITY_CHECKS = [
+        { key: 'required', label: 'Missing required value' },
+        { key: 'type', label: 'Wrong data type' },
+        { key: 'list', label: 'Value not in list' },
+        { key: 'maxLength', label: 'Exceeds max length' },
+        { key: 'limit', label: 'Outside value limit' },
+        { key: 'fixable', label: 'Auto-fixable mismatch' }
+    ];
 
-        // Update operator toggle buttons
-        updateOperatorToggle(operator);
+    const SEVERITY_LABELS = { error: 'Error', warning: 'Warning', info: 'Info' };
 
-        if (conditions.length === 0) {
-            container.innerHTML = `
-                <p class="text-sm text-red-600">No conditions defined yet.</p>
-            `;
-            return;
-        }
+    /**
+     * Severity used when neither the template nor the field sets one
+     */
+    function getBuiltInSeverity(check) {
+        return window.ValidationEngine?.DEFAULT_SEVERITIES?.[check] || 'error';
+    }
 
-        container.innerHTML = conditions.map((cond, idx) => {
-            // Determine if value input should be shown
-            const hideValue = cond.operator === 'is_empty' || cond.operator === 'is_not_empty';
+    /**
+     * Render one labelled severity select per check
+     * @param {Function} getValue - check => selected value ('' for inherit)
+     * @param {Function} getInherited - check => inherited severity, or null for no inherit option
+     * @param {string} onchange - Global handler name, called with (check, value)
+     */
+    function renderSeveritySelects(getValue, getInherited, onchange) {
+        return SEVERITY_CHECKS.map(({ key, label }) => {
+            const value = getValue(key);
+            const inherited = getInherited(key);
+            const options = Object.entries(SEVERITY_LABELS).map(([severity, text]) =>
+                `<option value="${severity}" ${value === severity ? 'selected' : ''}>${text}</option>`
+            ).join('');
 
             return `
-            <div class="flex items-center gap-2 bg-white p-3 rounded-lg border border-warning-200 shadow-sm">
-                <select class="flex-1 px-2 py-1.5 text-sm border border-slate-300 rounded-lg bg-slate-50 focus:bg-white focus:border-warning-400 focus:outline-none" 
-                    onchange="updateCondition(${idx}, 'field', this.value)">
-                    ${getFieldOptions(cond.field)}
-                </select>
-                <select class="px-2 py-1.5 text-sm border border-slate-300 rounded-lg bg-slate-50 focus:bg-white focus:border-warning-400 focus:outline-none"
-                    onchange="updateConditionOperator(${idx}, this.value)">
-                    <option value="equals" ${cond.operator === 'equals' ? 'selected' : ''}>equals</option>
-                    <option value="not_equals" ${cond.operator === 'not_equals' ? 'selected' : ''}>does not equal</option>
-                    <option value="contains" ${cond.operator === 'contains' ? 'selected' : ''}>contains</option>
-                    <option value="is_empty" ${cond.operator === 'is_empty' ? 'selected' : ''}>is empty</option>
-                    <option value="is_not_empty" ${cond.operator === 'is_not_empty' ? 'selected' : ''}>is not empty</option>
-                </select>
-                ${hideValue ? '' : `
-                <input type="text" value="${cond.value || ''}" placeholder="Value"
-                    class="flex-1 px-2 py-1.5 text-sm border border-slate-300 rounded-lg bg-slate-50 focus:bg-white focus:border-warning-400 focus:outline-none"
-                    onchange="updateCondition(${idx}, 'value', this.value)">
-                `}
-                <button onclick="removeConditionInModal(${idx})" class="p-1.5 text-slate-400 hover:text-error-600 hover:bg-error-50 rounded-lg transition-colors">
-                    <svg class="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2">
-                        <path stroke-linecap="round" stroke-linejoin="round" d="M6 18L18 6M6 6l12 12"/>
-                    </svg>
-                </button>
-            </div>
-        `;
+                <div class="flex items-center justify-between gap-3">
+                    <span class="text-sm text-slate-600">${label}</span>
+                    <select class="w-44 px-2 py-1 text-sm border border-slate-300 rounded-lg bg-white focus:border-isw-blue-500 focus:outline-none"
+                        onchange="${onchange}('${key}', this.value)">
+                        ${inherited ? `<option value="" ${!value ? 'selected' : ''}>Template default (${SEVERITY_LABELS[inherited]})</option>` : ''}
+                        ${options}
+                    </select>
+                </div>
+            `;
         }).join('');
     }
 
     /**
-     * Get field options for condition dropdown
+     * Render the template-level defaults (rules.severities)
      */
-    function getFieldOptions(selectedField) {
-        if (!currentRules?.columns) return '';
-        return currentRules.columns.map(col =>
-            `<option value="${col.fieldName}" ${col.fieldName === selectedField ? 'selected' : ''}>${col.fieldName}</option>`
-        ).join('');
+    function renderDefaultSeverities() {
+        const container = document.getElementById('modal-default-severities');
+        if (!container || !currentRules) return;
+
+        container.innerHTML = renderSeveritySelects(
+            check => currentRules.severities?.[check] || getBuiltInSeverity(check),
+            () => null,
+            'updateDefaultSeverity'
+        );
     }
 
     /**
-     * Update the AND/OR toggle buttons to reflect current state
+     * Render a field's severity overrides (column.severities)
      */
-    function updateOperatorToggle(operator) {
-        const andBtn = document.getElementById('operator-and-btn');
-        const orBtn = document.getElementById('operator-or-btn');
-        const description = document.getElementById('operator-description');
-
-        if (andBtn && orBtn) {
-            if (operator === 'OR') {
-                // OR is active
-                andBtn.classList.remove('bg-blue-600', 'text-white');
-                andBtn.classList.add('text-blue-700', 'hover:bg-blue-100');
-                orBtn.classList.remove('text-blue-700', 'hover:bg-blue-100');
-                orBtn.classList.add('bg-blue-600', 'text-white');
-            } else {
-                // AND is active (default)
-                orBtn.classList.remove('bg-blue-600', 'text-white');
-                orBtn.classList.add('text-blue-700', 'hover:bg-blue-100');
-                andBtn.classList.remove('text-blue-700', 'hover:bg-blue-100');
-                andBtn.classList.add('bg-blue-600', 'text-white');
-            }
-        }
+    function renderFieldSeverities(field) {
+        const container = document.getElementById('modal-rule-severities');
+        if (!container) return;
 
-        if (description) {
-            if (operator === 'OR') {
-                description.innerHTML = 'Field is required when <strong>any</strong> condition below is met.';
-            } else {
-                description.innerHTML = 'Field is required when <strong>all</strong> conditions below are met.';
-            }
-        }
+        container.innerHTML = renderSeveritySelects(
+            check => field.severities?.[check] || '',
+            check => currentRules.severities?.[check] || getBuiltInSeverity(check),
+            'updateFieldSeverity'
+        );
     }
 
     /**
-     * Set the condition operator (AND/OR)
+     * Set a template-level default severity
      */
-    window.setConditionOperator = function (operator) {
-        if (selectedFieldIndex === null) return;
+    window.updateDefaultSeverity = function (check, severity) {
+        if (!currentRules) return;
 
-        const field = currentRules.columns[selectedFieldIndex];
-        if (!field.conditionalRequirement) {
-            field.conditionalRequirement = { operator: operator, conditions: [] };
+        if (!currentRules.severities) currentRules.severities = {};
+        if (severity === getBuiltInSeverity(check)) {
+            delete currentRules.severities[check];
         } else {
-            field.conditionalRequirement.operator = operator;
+            currentRules.severities[check] = severity;
         }
-
-        updateOperatorToggle(operator);
+        if (Object.keys(currentRules.severities).length === 0) delete currentRules.severities;
     };
 
     /**
-     * Add a condition
+     * Set (or clear, with '') the selected field's severity for a check
      */
-    window.addConditionInModal = function () {
+    window.updateFieldSeverity = function (check, severity) {
         if (selectedFieldIndex === null) return;
-
         const field = currentRules.columns[selectedFieldIndex];
-        if (!field.conditionalRequirement) {
-            field.conditionalRequirement = { operator: 'AND', conditions: [] };
-        }
 
-        field.conditionalRequirement.conditions.push({
-            field: currentRules.columns[0]?.fieldName || '',
-            operator: 'equals',
-            value: ''
-        });
-
-        renderConditions(field);
+        if (!field.severities) field.severities = {};
+        if (severity) {
+            field.severities[check] = severity;
+        } else {
+            delete field.severities[check];
+        }
+        if (Object.keys(field.severities).length === 0) delete field.severities;
     };
 
+    // =========================================================================
+    // MAPPING LISTS
+    // =========================================================================
+
     /**
-     * Update a condition property
+     * Render a checkbox per mapping list the field can opt into (field.mappings)
      */
-    window.updateCondition = function (idx, prop, value) {
-        if (selectedFieldIndex === null) return;
-        const field = currentRules.columns[selectedFieldIndex];
-        if (field.conditionalRequirement?.conditions?.[idx]) {
-            field.conditionalRequirement.conditions[idx][prop] = value;
+    function renderFieldMappings(field) {
+        const container = document.getElementById('modal-rule-mappings');
+        if (!container) return;
+
+        const lists = window.AutoFixMappings ? AutoFixMappings.getListNames() : [];
+        if (lists.length === 0) {
+            container.innerHTML = '<p class="text-sm text-slate-400 col-span-2">No mapping lists loaded</p>';
+            return;
         }
-    };
+
+        const selected = new Set(field.mappings || []);
+        container.innerHTML = lists.map(list => `
+            <label class="flex items-center gap-2 text-sm text-slate-700" title="${escapeHtml(list.description)}">
+                <input type="checkbox" class="rounded text-isw-blue-600 focus:ring-isw-blue-500"
+                    ${selected.has(list.name) ? 'checked' : ''}
+                    onchange="toggleFieldMapping('${escapeHtml(list.name)}', this.checked)">
+                ${escapeHtml(list.label)} <span class="text-slate-400">(${list.size})</span>
+            </label>
+        `).join('');
+    }
 
     /**
-     * Update condition operator (triggers re-render to show/hide value field)
+     * Opt the selected field in or out of a mapping list
      */
-    window.updateConditionOperator = function (idx, value) {
+    window.toggleFieldMapping = function (name, enabled) {
         if (selectedFieldIndex === null) return;
         const field = currentRules.columns[selectedFieldIndex];
-        if (field.conditionalRequirement?.conditions?.[idx]) {
-            field.conditionalRequirement.conditions[idx].operator = value;
-            // Clear value when switching to is_empty/is_not_empty
-            if (value === 'is_empty' || value === 'is_not_empty') {
-                field.conditionalRequirement.conditions[idx].value = '';
-            }
-            renderConditions(field);
-        }
+
+        const mappings = new Set(field.mappings || []);
+        if (enabled) mappings.add(name);
+        else mappings.delete(name);
+
+        if (mappings.size > 0) field.mappings = Array.from(mappings);
+        else delete field.mappings;
+
+        // Inherited steps depend on the lists
+        renderFieldAutoFixes(field);
     };
 
     /**
-     * Remove a condition
+     * Render the template's additions (rules.mappingEntries) for one list
+     * @param {string} [name] - List to show (defaults to the first)
      */
-    window.removeConditionInModal = function (idx) {
-        if (selectedFieldIndex === null) return;
-        const field = currentRules.columns[selectedFieldIndex];
-        if (field.conditionalRequirement?.conditions) {
-            field.conditionalRequirement.conditions.splice(idx, 1);
-            renderConditions(field);
+    function renderTemplateMappings(name) {
+        const select = document.getElementById('modal-mapping-additions-list');
+        const textarea = document.getElementById('modal-mapping-additions');
+        if (!select || !textarea || !currentRules) return;
+
+        const lists = window.AutoFixMappings ? AutoFixMappings.getListNames() : [];
+        const current = name || select.value || lists[0]?.name || '';
+
+        select.innerHTML = lists.map(list =>
+            `<option value="${escapeHtml(list.name)}" ${list.name === current ? 'selected' : ''}>${escapeHtml(list.label)}</option>`
+        ).join('');
+        textarea.value = window.AutoFixMappings
+            ? AutoFixMappings.formatEntries(currentRules.mappingEntries?.[current])
+            : '';
+        document.getElementById('modal-mapping-additions-error')?.classList.add('hidden');
+    }
+    window.renderTemplateMappings = renderTemplateMappings;
+
+    /**
+     * Save the template's additions for the list shown
+     */
+    window.updateTemplateMappings = function (text) {
+        const name = document.getElementById('modal-mapping-additions-list')?.value;
+        if (!currentRules || !name) return;
+
+        const { entries, errors } = AutoFixMappings.parseEntries(text);
+        const errorEl = document.getElementById('modal-mapping-additions-error');
+        if (errorEl) {
+            errorEl.textContent = errors.join('; ');
+            errorEl.classList.toggle('hidden', errors.length === 0);
+        }
+        if (errors.length > 0) return;
+
+        if (!currentRules.mappingEntries) currentRules.mappingEntries = {};
+        if (Object.keys(entries).length > 0) {
+            currentRules.mappingEntries[name] = entries;
+        } else {
+            delete currentRules.mappingEntries[name];
         }
+        if (Object.keys(currentRules.mappingEntries).length === 0) delete currentRules.mappingEntries;
     };
 
+    // =========================================================================
+    // AUTO-FIX STEPS
+    // =========================================================================
+
+    // Auto-fix preview: rows scanned and before/after examples shown
+    const PREVIEW_ROWS = 5000;
+    const PREVIEW_EXAMPLES = 8;
+
+    function getTemplateAutoFixSettings() {
+        return typeof window.getAutoFixSettingsFromModal === 'function' ? window.getAutoFixSettingsFromModal() : {};
+    }
+
     /**
-     * Render list values in two-column format
+     * Compile the field as it would run, with the template's auto-fix toggles
      */
-    function renderListValues(field) {
-        const container = document.getElementById('modal-list-values');
-        if (!container) return;
+    function compileFieldFixes(field) {
+        return RuleCompiler.compileColumn(field, -1, { validators: false, autoFixSettings: getTemplateAutoFixSettings() }, currentRules);
+    }
 
-        const values = field.allowedValues || [];
-        const altLabels = field.alternativeLabels || {};
+    /**
+     * Render the field's auto-fix steps: its own ordered list (field.autoFixes), or
+     * the steps it inherits from the template's Auto-Fix Rules tab
+     */
+    function renderFieldAutoFixes(field) {
+        const container = document.getElementById('modal-rule-autofixes');
+        if (!container || !window.AutoFixEngine) return;
 
-        if (values.length === 0) {
-            container.innerHTML = `<p class="text-sm text-slate-500 col-span-2">No values defined.</p>`;
+        const column = compileFieldFixes(field);
+        const { steps, inherited } = AutoFixEngine.getColumnSteps(column, getTemplateAutoFixSettings());
+        const labelOf = type => AutoFixEngine.FIX_STEPS[type]?.label || type;
+
+        renderAutoFixPreview(field, column);
+
+        if (inherited) {
+            container.innerHTML = `
+                <div class="flex flex-wrap gap-1.5 mb-3">
+                    ${steps.length > 0
+                        ? steps.map(step => `<span class="px-2 py-0.5 text-xs bg-white border border-slate-200 text-slate-600 rounded">${escapeHtml(labelOf(step.type))}</span>`).join('')
+                        : '<span class="text-sm text-slate-400">No fixes apply</span>'}
+                </div>
+                <button onclick="customizeFieldAutoFixes()"
+                    class="text-sm font-medium text-isw-blue-600 hover:text-isw-blue-700">Customize for this field</button>
+            `;
             return;
         }
 
-        container.innerHTML = values.map((val, idx) => {
-            // Get alternative labels for this value
-            const alternatives = Object.entries(altLabels)
-                .filter(([alt, target]) => target === val)
-                .map(([alt]) => alt);
+        const options = Object.entries(AutoFixEngine.FIX_STEPS).map(([type, step]) =>
+            `<option value="${type}">${escapeHtml(step.label)}</option>`
+        ).join('');
 
-            const altPillsHtml = alternatives.length > 0
-                ? alternatives.map(alt => `
-                    <span class="inline-flex items-center gap-1 px-2 py-1 bg-green-100 text-green-800 text-xs rounded-full">
-                        ${escapeHtml(alt)}
-                        <button onclick="removeAlternativeLabel('${escapeHtml(alt)}')" class="hover:text-red-600">
-                            <svg class="w-3 h-3" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2">
-                                <path stroke-linecap="round" stroke-linejoin="round" d="M6 18L18 6M6 6l12 12"/>
-                            </svg>
-                        </button>
-                    </span>
-                `).join(' ')
-                : '<span class="text-xs text-slate-400">No alternatives</span>';
+        container.innerHTML = `
+            <div class="space-y-2 mb-3">
+                ${steps.length > 0 ? steps.map((step, idx) => renderAutoFixStep(step, idx, steps.length)).join('')
+                    : '<p class="text-sm text-slate-400">No fixes - values are left as uploaded</p>'}
+            </div>
+            <div class="flex items-center gap-2">
+                <select id="modal-autofix-add" class="flex-1 px-2 py-1 text-sm border border-slate-300 rounded-lg bg-white focus:border-isw-blue-500 focus:outline-none">
+                    ${options}
+                </select>
+                <button onclick="addFieldAutoFix(document.getElementById('modal-autofix-add').value)"
+                    class="px-3 py-1 text-sm font-medium text-isw-blue-600 border border-isw-blue-300 rounded-lg hover:bg-isw-blue-50">Add Step</button>
+            </div>
+            <button onclick="resetFieldAutoFixes()"
+                class="mt-3 text-sm text-slate-500 hover:text-slate-700">Use template defaults</button>
+        `;
+    }
 
+    /**
+     * One step row with its parameters and move/remove buttons
+     */
+    function renderAutoFixStep(step, idx, count) {
+        const definition = AutoFixEngine.FIX_STEPS[step.type];
+        const params = Object.entries(definition?.params || {}).map(([param, label]) => {
+            const value = Array.isArray(step[param]) ? step[param].join(', ') : (step[param] ?? '');
             return `
-                <div class="grid grid-cols-2 gap-4 items-center p-3 bg-white border border-slate-200 rounded-lg hover:border-slate-300 transition-colors">
-                    <!-- Allowed Value Column -->
-                    <div class="flex items-center gap-2">
-                        <input type="text" value="${escapeHtml(val)}" 
-                            class="flex-1 px-2 py-1 text-sm border border-slate-300 rounded-md focus:border-isw-blue-500 focus:ring-1 focus:ring-isw-blue-100 focus:outline-none"
-                            onchange="updateListValueInModal(${idx}, this.value)">
-                        <button onclick="removeListValueInModal(${idx})" class="p-1 text-slate-400 hover:text-error-600" title="Remove value">
-                            <svg class="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2">
-                                <path stroke-linecap="round" stroke-linejoin="round" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"/>
-                            </svg>
-                        </button>
-                    </div>
-                    
-                    <!-- Alternative Labels Column -->
-                    <div class="flex items-center gap-2 flex-wrap">
-                        ${altPillsHtml}
-                        <button onclick="openAddAlternativeModal('${escapeHtml(val)}')" 
-                            class="inline-flex items-center gap-1 px-2 py-1 bg-slate-100 hover:bg-green-100 text-slate-600 hover:text-green-700 text-xs rounded-full transition-colors">
-                            <svg class="w-3 h-3" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2">
-                                <path stroke-linecap="round" stroke-linejoin="round" d="M12 4v16m8-8H4"/>
-                            </svg>
-                            Add Alt
-                        </button>
-                    </div>
-                </div>
+                <input type="text" value="${escapeHtml(value)}" placeholder="${escapeHtml(label)}"
+                    class="w-full mt-1 px-2 py-1 text-sm border border-slate-300 rounded-lg bg-white focus:border-isw-blue-500 focus:outline-none"
+                    oninput="updateFieldAutoFixParam(${idx}, '${param}', this.value)">
             `;
         }).join('');
-    }
 
-    // Helper function to escape HTML
-    function escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return `
+            <div class="p-2 bg-white border border-slate-200 rounded-lg">
+                <div class="flex items-center gap-2">
+                    <span class="text-xs text-slate-400 w-4">${idx + 1}.</span>
+                    <span class="flex-1 text-sm text-slate-700">${escapeHtml(definition?.label || step.type)}</span>
+                    <button onclick="moveFieldAutoFix(${idx}, -1)" ${idx === 0 ? 'disabled' : ''}
+                        class="px-1 text-slate-400 hover:text-slate-700 disabled:opacity-30" title="Move up">↑</button>
+                    <button onclick="moveFieldAutoFix(${idx}, 1)" ${idx === count - 1 ? 'disabled' : ''}
+                        class="px-1 text-slate-400 hover:text-slate-700 disabled:opacity-30" title="Move down">↓</button>
+                    <button onclick="removeFieldAutoFix(${idx})"
+                        class="px-1 text-slate-400 hover:text-error-600" title="Remove">✕</button>
+                </div>
+                ${params}
+            </div>
+        `;
     }
 
     /**
-     * Add a list value
+     * Show what the field's steps would change in the data loaded in the grid
+     * @param {Object} [column] - Compiled field (compiled here when not given)
      */
-    window.addListValueInModal = function () {
-        if (selectedFieldIndex === null) return;
+    function renderAutoFixPreview(field, column) {
+        const container = document.getElementById('modal-rule-autofix-preview');
+        if (!container) return;
 
-        const input = document.getElementById('modal-new-list-value');
-        const value = input?.value?.trim();
-        if (!value) return;
+        const data = window.HandsontableGrid?.getData() || window.currentValidationData;
+        const key = String(field.fieldName || '').toLowerCase();
+        const header = data?.rows?.length
+            ? (data.headers || Object.keys(data.rows[0].data || {})).find(h => String(h).toLowerCase() === key)
+            : null;
 
-        const field = currentRules.columns[selectedFieldIndex];
-        if (!field.allowedValues) field.allowedValues = [];
+        if (!header) {
+            container.innerHTML = `<p class="text-xs text-slate-400">${data?.rows?.length
+                ? 'This field is not in the loaded data.'
+                : 'Upload a data file to preview these fixes against it.'}</p>`;
+            return;
+        }
 
-        field.allowedValues.push(value);
-        input.value = '';
+        const compiled = column || compileFieldFixes(field);
+        const rows = data.rows.slice(0, PREVIEW_ROWS);
+        const examples = new Map();
+        let changed = 0;
 
-        renderListValues(field);
-    };
+        rows.forEach(row => {
+            const value = row.data?.[header];
+            if (value === null || value === undefined || value === '') return;
+
+            const before = String(value);
+            const after = RuleCompiler.runFixers(compiled, before);
+            if (after === before) return;
+
+            changed++;
+            if (examples.size < PREVIEW_EXAMPLES && !examples.has(before)) examples.set(before, after);
+        });
+
+        const scanned = data.rows.length > PREVIEW_ROWS ? ` (first ${PREVIEW_ROWS.toLocaleString()} rows)` : '';
+        container.innerHTML = `
+            <p class="text-xs font-medium text-slate-600 mb-1">Preview: ${changed.toLocaleString()} of
+                ${rows.length.toLocaleString()} values would change${scanned}</p>
+            ${examples.size > 0 ? `
+                <table class="w-full text-xs font-mono">
+                    ${Array.from(examples).map(([before, after]) => `
+                        <tr>
+                            <td class="py-0.5 pr-2 text-slate-500 break-all">${escapeHtml(before)}</td>
+                            <td class="py-0.5 px-1 text-slate-400">→</td>
+                            <td class="py-0.5 pl-2 text-slate-900 break-all">${escapeHtml(after)}</td>
+                        </tr>
+                    `).join('')}
+                </table>
+            ` : ''}
+        `;
+    }
+
+    function getSelectedField() {
+        return selectedFieldIndex === null ? null : currentRules?.columns?.[selectedFieldIndex];
+    }
 
     /**
-     * Update a list value
+     * Give the field its own steps, starting from the ones it inherits
      */
-    window.updateListValueInModal = function (idx, value) {
-        if (selectedFieldIndex === null) return;
-        const field = currentRules.columns[selectedFieldIndex];
-        if (field.allowedValues) {
-            field.allowedValues[idx] = value;
-        }
+    window.customizeFieldAutoFixes = function () {
+        const field = getSelectedField();
+        if (!field) return;
+
+        field.autoFixes = AutoFixEngine.getInheritedSteps(compileFieldFixes(field), getTemplateAutoFixSettings());
+        renderFieldAutoFixes(field);
     };
 
     /**
-     * Remove a list value
+     * Drop the field's own steps so it inherits the template defaults again
      */
-    window.removeListValueInModal = function (idx) {
-        if (selectedFieldIndex === null) return;
-        const field = currentRules.columns[selectedFieldIndex];
-        if (field.allowedValues) {
-            field.allowedValues.splice(idx, 1);
-            renderListValues(field);
-        }
+    window.resetFieldAutoFixes = function () {
+        const field = getSelectedField();
+        if (!field) return;
+
+        delete field.autoFixes;
+        renderFieldAutoFixes(field);
     };
 
-    /**
-     * Open prompt to add an alternative label
-     */
-    window.openAddAlternativeModal = function (targetValue) {
-        const altLabel = prompt(`Enter alternative label that should convert to "${targetValue}":`);
-        if (!altLabel || !altLabel.trim()) return;
+    window.addFieldAutoFix = function (type) {
+        const field = getSelectedField();
+        if (!field || !AutoFixEngine.FIX_STEPS[type]) return;
 
-        if (selectedFieldIndex === null) return;
-        const field = currentRules.columns[selectedFieldIndex];
+        field.autoFixes = [...(field.autoFixes || []), { type }];
+        renderFieldAutoFixes(field);
+    };
 
-        if (!field.alternativeLabels) {
-            field.alternativeLabels = {};
-        }
+    window.moveFieldAutoFix = function (idx, delta) {
+        const field = getSelectedField();
+        const steps = field?.autoFixes;
+        const target = idx + delta;
+        if (!steps || target < 0 || target >= steps.length) return;
 
-        // Add the mapping
+        [steps[idx], steps[target]] = [steps[target], steps[idx]];
+        renderFieldAutoFixes(field);
+    };
+
+    window.removeFieldAutoFix = function (idx) {
+        const field = getSelectedField();
+        if (!field?.autoFixes) return;
+
+        field.autoFixes.splice(idx, 1);
+        renderFieldAutoFixes(field);
+    };
+
+    /**
+     * Set (or clear, with '') a step parameter as it is typed. Mapping lists are
+     * comma separated. Only lists and length are trimmed - spaces in find/replace
+     * text, prefixes, suffixes and pad characters are part of the value.
+     */
+    window.updateFieldAutoFixParam = function (idx, param, value) {
+        const step = getSelectedField()?.autoFixes?.[idx];
+        if (!step) return;
+
+        const text = param === 'lists' || param === 'length' ? String(value ?? '').trim() : String(value ?? '');
+        if (!text) {
+            delete step[param];
+        } else if (param === 'lists') {
+            step[param] = text.split(',').map(name => name.trim()).filter(Boolean);
+        } else {
+            step[param] = text;
+        }
+
+        renderAutoFixPreview(getSelectedField());
+    };
+
+    // =========================================================================
+    // INPUT PROMPT & ERROR TEXT
+    // =========================================================================
+
+    // Data-validation text fields -> editor inputs
+    const FIELD_HELP_INPUTS = {
+        promptTitle: 'modal-rule-prompt-title',
+        promptMessage: 'modal-rule-prompt-message',
+        errorTitle: 'modal-rule-error-title',
+        errorMessage: 'modal-rule-error-message'
+    };
+
+    /**
+     * Fill the input prompt / error text inputs for a field
+     */
+    function renderFieldHelp(field) {
+        Object.entries(FIELD_HELP_INPUTS).forEach(([prop, id]) => {
+            const input = document.getElementById(id);
+            if (input) input.value = field[prop] || '';
+        });
+    }
+
+    /**
+     * Set (or clear, with '') the selected field's prompt or error text
+     */
+    window.updateFieldHelp = function (prop, value) {
+        if (selectedFieldIndex === null || !FIELD_HELP_INPUTS[prop]) return;
+        const field = currentRules.columns[selectedFieldIndex];
+
+        const text = String(value ?? '').trim();
+        if (text) {
+            field[prop] = text;
+        } else {
+            delete field[prop];
+        }
+    };
+
+    // =========================================================================
+    // MESSAGES
+    // =========================================================================
+
+    /**
+     * Render the template's message overrides (rules.messages), one input per
+     * catalog code with the shared text as placeholder
+     */
+    function renderDefaultMessages() {
+        const container = document.getElementById('modal-default-messages');
+        if (!container || !currentRules || !window.ValidationMessages) return;
+
+        container.innerHTML = Object.entries(ValidationMessages.getCatalog()).map(([code, text]) => `
+            <div>
+                <label class="block text-xs font-mono text-slate-500 mb-0.5">${escapeHtml(code)}</label>
+                <input type="text" value="${escapeHtml(currentRules.messages?.[code] ?? '')}" placeholder="${escapeHtml(text)}"
+                    class="w-full px-2 py-1 text-sm border border-slate-300 rounded-lg bg-white focus:border-isw-blue-500 focus:outline-none"
+                    onchange="updateDefaultMessage('${code}', this.value)">
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Set (or clear, with '') the template's text for a message code
+     */
+    window.updateDefaultMessage = function (code, text) {
+        if (!currentRules) return;
+
+        if (!currentRules.messages) currentRules.messages = {};
+        if (String(text).trim()) {
+            currentRules.messages[code] = text.trim();
+        } else {
+            delete currentRules.messages[code];
+        }
+        if (Object.keys(currentRules.messages).length === 0) delete currentRules.messages;
+    };
+
+    // =========================================================================
+    // LENGTH & VALUE LIMITS
+    // =========================================================================
+
+    // Excel data-validation types that carry an operator + formula limit
+    const LIMIT_KINDS = ['whole', 'decimal', 'date', 'textLength'];
+
+    /**
+     * Map a field type to the data-validation type used for its limit
+     * @returns {string|null} Null for types that don't support limits
+     */
+    function getLimitKind(type) {
+        switch (type) {
+            case 'integer': return 'whole';
+            case 'decimal': return 'decimal';
+            case 'date':
+            case 'datetime': return 'date';
+            case 'time':
+            case 'list':
+            case 'boolean': return null;
+            default: return 'textLength';
+        }
+    }
+
+    /**
+     * Get the field's operator limit, if it has one
+     */
+    function getLimitValidation(field) {
+        return field.validation && LIMIT_KINDS.includes(field.validation.type) ? field.validation : null;
+    }
+
+    /**
+     * Keep an existing limit in step with the field type (drop it if the type can't have one)
+     */
+    function syncValidationLimitType(field) {
+        const limit = getLimitValidation(field);
+        if (!limit) return;
+
+        const kind = getLimitKind(field.type);
+        if (kind) {
+            limit.type = kind;
+        } else {
+            field.validation = null;
+        }
+    }
+
+    /**
+     * Show the Date Format select for date fields
+     */
+    function renderDateFormat(field) {
+        const row = document.getElementById('modal-rule-dateformat-row');
+        const select = document.getElementById('modal-rule-dateformat');
+        if (!row || !select) return;
+
+        const isDate = field.type === 'date' || field.type === 'datetime';
+        row.classList.toggle('hidden', !isDate);
+        if (!isDate) return;
+
+        const current = field.dateFormat || DateUtils.DEFAULT_FORMAT;
+        const formats = DateUtils.FORMATS.includes(current) ? DateUtils.FORMATS : [...DateUtils.FORMATS, current];
+        select.innerHTML = formats.map(format =>
+            `<option value="${escapeHtml(format)}" ${format === current ? 'selected' : ''}>${escapeHtml(format)}</option>`
+        ).join('');
+    }
+
+    /**
+     * Update the field's date format (limits are re-shown in the new format)
+     */
+    window.updateDateFormatInModal = function (format) {
+        if (selectedFieldIndex === null) return;
+        const field = currentRules.columns[selectedFieldIndex];
+
+        field.dateFormat = format;
+        renderValidationLimits(field);
+    };
+
+    /**
+     * Show the Percent Values select for number fields
+     */
+    function renderPercentFormat(field) {
+        const row = document.getElementById('modal-rule-percent-row');
+        const select = document.getElementById('modal-rule-percent');
+        if (!row || !select) return;
+
+        const isNumber = ['integer', 'decimal', 'number', 'whole', 'currency'].includes(field.type);
+        row.classList.toggle('hidden', !isNumber);
+        select.value = field.percentFormat === 'fraction' ? 'fraction' : 'whole';
+    }
+
+    /**
+     * Show the template's decimal separator
+     */
+    function renderDecimalSeparator() {
+        const select = document.getElementById('modal-decimal-separator');
+        if (select) select.value = currentRules?.decimalSeparator === ',' ? ',' : '.';
+    }
+
+    /**
+     * Set the template's decimal separator ('.' is the default and isn't stored)
+     */
+    window.updateDecimalSeparator = function (separator) {
+        if (!currentRules) return;
+
+        if (separator === ',') {
+            currentRules.decimalSeparator = ',';
+        } else {
+            delete currentRules.decimalSeparator;
+        }
+    };
+
+    /**
+     * Fill the Maximum Length and limit inputs for a field
+     */
+    function renderValidationLimits(field) {
+        const maxLenCheck = document.getElementById('modal-rule-maxlen');
+        const maxLenInput = document.getElementById('modal-rule-maxlen-val');
+        if (maxLenCheck && maxLenInput) {
+            maxLenCheck.checked = !!field.maxLength;
+            maxLenInput.value = field.maxLength || '';
+        }
+
+        const row = document.getElementById('modal-rule-limit-row');
+        const opSelect = document.getElementById('modal-rule-limit-op');
+        if (!row || !opSelect) return;
+
+        const kind = getLimitKind(field.type);
+        row.classList.toggle('hidden', !kind);
+        if (!kind) return;
+
+        const labels = { whole: 'Value Limit', decimal: 'Value Limit', date: 'Date Limit', textLength: 'Length Limit' };
+        document.getElementById('modal-rule-limit-label').textContent = labels[kind];
+
+        const limit = getLimitValidation(field);
+        // Excel omits the operator when it is the default "between"
+        opSelect.value = limit ? (limit.operator || 'between') : '';
+
+        const val1 = document.getElementById('modal-rule-limit-val1');
+        const val2 = document.getElementById('modal-rule-limit-val2');
+        const dateFormat = field.dateFormat || DateUtils.DEFAULT_FORMAT;
+        const display = (formula) => {
+            if (formula === null || formula === undefined) return '';
+            // Limits are stored as ISO dates (or Excel serials) and shown in the column's format
+            return kind === 'date'
+                ? DateUtils.formatDate(DateUtils.fromSerialText(formula), dateFormat, DateUtils.DEFAULT_FORMAT)
+                : String(formula);
+        };
+        val1.value = display(limit?.formula1);
+        val2.value = display(limit?.formula2);
+        const isRange = opSelect.value === 'between' || opSelect.value === 'notBetween';
+        val1.placeholder = kind === 'date' ? dateFormat : (isRange ? 'Min' : 'Value');
+        val2.placeholder = kind === 'date' ? dateFormat : 'Max';
+
+        updateLimitInputsVisibility(opSelect.value);
+    }
+
+    /**
+     * Show the value inputs needed for the selected operator
+     */
+    function updateLimitInputsVisibility(operator) {
+        const needsSecond = operator === 'between' || operator === 'notBetween';
+        document.getElementById('modal-rule-limit-values')?.classList.toggle('hidden', !operator);
+        document.getElementById('modal-rule-limit-val2')?.classList.toggle('hidden', !needsSecond);
+        document.getElementById('modal-rule-limit-and')?.classList.toggle('hidden', !needsSecond);
+    }
+
+    /**
+     * Update the field's maximum length from the editor inputs
+     */
+    window.updateMaxLengthInModal = function () {
+        if (selectedFieldIndex === null) return;
+        const field = currentRules.columns[selectedFieldIndex];
+
+        const checked = document.getElementById('modal-rule-maxlen')?.checked;
+        const value = parseInt(document.getElementById('modal-rule-maxlen-val')?.value, 10);
+
+        field.maxLength = checked && value > 0 ? value : null;
+    };
+
+    /**
+     * Update the field's operator limit (column.validation) from the editor inputs
+     */
+    window.updateValidationLimitInModal = function () {
+        if (selectedFieldIndex === null) return;
+        const field = currentRules.columns[selectedFieldIndex];
+        const kind = getLimitKind(field.type);
+        if (!kind) return;
+
+        const operator = document.getElementById('modal-rule-limit-op')?.value || '';
+        updateLimitInputsVisibility(operator);
+
+        if (!operator) {
+            if (getLimitValidation(field)) field.validation = null;
+            return;
+        }
+
+        const needsSecond = operator === 'between' || operator === 'notBetween';
+        const readInput = (id) => {
+            const text = document.getElementById(id)?.value.trim() || null;
+            // Dates are typed in the column's format; store them unambiguously
+            return text && kind === 'date' ? DateUtils.formatDate(text, 'YYYY-MM-DD', field.dateFormat) : text;
+        };
+        const formula1 = readInput('modal-rule-limit-val1');
+        const formula2 = readInput('modal-rule-limit-val2');
+        const existing = getLimitValidation(field);
+
+        field.validation = {
+            ...(existing || {}),
+            type: kind,
+            operator,
+            formula1,
+            formula2: needsSecond ? formula2 : null,
+            allowBlank: existing ? existing.allowBlank : true
+        };
+    };
+
+    // Condition operators available in the builder
+    const CONDITION_OPERATORS = [
+        { value: 'equals', label: 'equals' },
+        { value: 'not_equals', label: 'does not equal' },
+        { value: 'contains', label: 'contains' },
+        { value: 'is_empty', label: 'is empty', noValue: true },
+        { value: 'is_not_empty', label: 'is not empty', noValue: true },
+        { value: 'greater_than', label: '>' },
+        { value: 'greater_or_equal', label: '>=' },
+        { value: 'less_than', label: '<' },
+        { value: 'less_or_equal', label: '<=' },
+        { value: 'between', label: 'is between', range: true },
+        { value: 'in_list', label: 'is one of', placeholder: 'A, B, C' },
+        { value: 'not_in_list', label: 'is not one of', placeholder: 'A, B, C' },
+        { value: 'matches_regex', label: 'matches regex', placeholder: '^RSU' }
+    ];
+
+    /**
+     * Render conditions for conditional requirement
+     */
+    function renderConditions(field) {
+        const container = document.getElementById('modal-condition-builder');
+        if (!container) return;
+
+        const conditions = field.conditionalRequirement?.conditions || [];
+        const operator = field.conditionalRequirement?.operator || 'AND';
+
+        // Update operator toggle buttons
+        updateOperatorToggle(operator);
+
+        if (conditions.length === 0) {
+            container.innerHTML = `
+                <p class="text-sm text-red-600">No conditions defined yet.</p>
+            `;
+            return;
+        }
+
+        container.innerHTML = renderConditionList(conditions, '');
+    }
+
+    /**
+     * Render a list of conditions and nested groups
+     * @param {Array} conditions - Conditions at this level
+     * @param {string} parentPath - Dot-separated index path of the parent group ('' = root)
+     */
+    function renderConditionList(conditions, parentPath) {
+        return conditions.map((cond, idx) => {
+            const path = parentPath === '' ? String(idx) : `${parentPath}.${idx}`;
+            return Array.isArray(cond.conditions)
+                ? renderConditionGroup(cond, path)
+                : renderConditionRow(cond, path);
+        }).join('');
+    }
+
+    /**
+     * Render a nested condition group with its own ALL/ANY operator
+     */
+    function renderConditionGroup(group, path) {
+        const isOr = group.operator === 'OR';
+        const activeClass = 'bg-blue-600 text-white';
+        const inactiveClass = 'text-blue-700 hover:bg-blue-100';
+
+        return `
+            <div class="p-3 bg-blue-100/50 border border-blue-300 rounded-lg space-y-2">
+                <div class="flex items-center justify-between">
+                    <div class="flex items-center gap-2 text-xs">
+                        <span class="text-blue-700">Group - match:</span>
+                        <div class="inline-flex bg-white border border-blue-300 rounded-lg p-0.5">
+                            <button onclick="setConditionGroupOperator('${path}', 'AND')"
+                                class="px-2 py-0.5 rounded-md text-xs font-medium ${isOr ? inactiveClass : activeClass}">ALL</button>
+                            <button onclick="setConditionGroupOperator('${path}', 'OR')"
+                                class="px-2 py-0.5 rounded-md text-xs font-medium ${isOr ? activeClass : inactiveClass}">ANY</button>
+                        </div>
+                    </div>
+                    <button onclick="removeConditionInModal('${path}')" class="text-xs text-slate-400 hover:text-error-600">Remove group</button>
+                </div>
+                ${group.conditions.length > 0
+                    ? renderConditionList(group.conditions, path)
+                    : '<p class="text-xs text-red-600">Empty group.</p>'}
+                <div class="flex gap-3">
+                    <button onclick="addConditionInModal('${path}')" class="text-xs text-blue-600 hover:text-blue-800 font-medium">+ Condition</button>
+                    <button onclick="addConditionGroupInModal('${path}')" class="text-xs text-blue-600 hover:text-blue-800 font-medium">+ Group</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render a single condition row
+     */
+    function renderConditionRow(cond, path) {
+        const opDef = CONDITION_OPERATORS.find(op => op.value === cond.operator) || CONDITION_OPERATORS[0];
+        const inputClass = 'flex-1 min-w-0 px-2 py-1.5 text-sm border border-slate-300 rounded-lg bg-slate-50 focus:bg-white focus:border-warning-400 focus:outline-none';
+
+        let valueHtml = '';
+        if (opDef.range) {
+            valueHtml = `
+                <input type="text" value="${escapeHtml(cond.value ?? '')}" placeholder="From"
+                    class="${inputClass}" onchange="updateCondition('${path}', 'value', this.value)">
+                <span class="text-xs text-slate-500">and</span>
+                <input type="text" value="${escapeHtml(cond.value2 ?? '')}" placeholder="To"
+                    class="${inputClass}" onchange="updateCondition('${path}', 'value2', this.value)">
+            `;
+        } else if (!opDef.noValue) {
+            valueHtml = `
+                <input type="text" value="${escapeHtml(cond.value ?? '')}" placeholder="${opDef.placeholder || 'Value'}"
+                    class="${inputClass}" onchange="updateCondition('${path}', 'value', this.value)">
+            `;
+        }
+
+        return `
+            <div class="flex items-center gap-2 bg-white p-3 rounded-lg border border-warning-200 shadow-sm">
+                <select class="flex-1 min-w-0 px-2 py-1.5 text-sm border border-slate-300 rounded-lg bg-slate-50 focus:bg-white focus:border-warning-400 focus:outline-none" 
+                    onchange="updateCondition('${path}', 'field', this.value)">
+                    ${getFieldOptions(cond.field)}
+                </select>
+                <select class="px-2 py-1.5 text-sm border border-slate-300 rounded-lg bg-slate-50 focus:bg-white focus:border-warning-400 focus:outline-none"
+                    onchange="updateConditionOperator('${path}', this.value)">
+                    ${CONDITION_OPERATORS.map(op =>
+                        `<option value="${op.value}" ${op.value === opDef.value ? 'selected' : ''}>${op.label}</option>`
+                    ).join('')}
+                </select>
+                ${valueHtml}
+                <button onclick="removeConditionInModal('${path}')" class="p-1.5 text-slate-400 hover:text-error-600 hover:bg-error-50 rounded-lg transition-colors">
+                    <svg class="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2">
+                        <path stroke-linecap="round" stroke-linejoin="round" d="M6 18L18 6M6 6l12 12"/>
+                    </svg>
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Look up a condition (or group) in the selected field's tree by path
+     * @returns {Object|null} { node, parent, index } - parent is the containing array
+     */
+    function getConditionByPath(path) {
+        if (selectedFieldIndex === null) return null;
+        const field = currentRules.columns[selectedFieldIndex];
+        let list = field.conditionalRequirement?.conditions;
+        if (!list) return null;
+
+        const indices = String(path).split('.').map(Number);
+        let node = null;
+        for (let i = 0; i < indices.length; i++) {
+            node = list[indices[i]];
+            if (!node) return null;
+            if (i < indices.length - 1) {
+                list = node.conditions;
+                if (!list) return null;
+            }
+        }
+
+        return { node, parent: list, index: indices[indices.length - 1] };
+    }
+
+    /**
+     * Get the condition array a new entry should be added to ('' = root)
+     */
+    function getConditionListForPath(path) {
+        const field = currentRules.columns[selectedFieldIndex];
+        if (!field.conditionalRequirement) {
+            field.conditionalRequirement = { operator: 'AND', conditions: [] };
+        }
+        if (!path) return field.conditionalRequirement.conditions;
+
+        const found = getConditionByPath(path);
+        return found && Array.isArray(found.node.conditions) ? found.node.conditions : null;
+    }
+
+    /**
+     * Get field options for condition dropdown
+     */
+    function getFieldOptions(selectedField) {
+        if (!currentRules?.columns) return '';
+        return currentRules.columns.map(col =>
+            `<option value="${col.fieldName}" ${col.fieldName === selectedField ? 'selected' : ''}>${col.fieldName}</option>`
+        ).join('');
+    }
+
+    /**
+     * Update the AND/OR toggle buttons to reflect current state
+     */
+    function updateOperatorToggle(operator) {
+        const andBtn = document.getElementById('operator-and-btn');
+        const orBtn = document.getElementById('operator-or-btn');
+        const description = document.getElementById('operator-description');
+
+        if (andBtn && orBtn) {
+            if (operator === 'OR') {
+                // OR is active
+                andBtn.classList.remove('bg-blue-600', 'text-white');
+                andBtn.classList.add('text-blue-700', 'hover:bg-blue-100');
+                orBtn.classList.remove('text-blue-700', 'hover:bg-blue-100');
+                orBtn.classList.add('bg-blue-600', 'text-white');
+            } else {
+                // AND is active (default)
+                orBtn.classList.remove('bg-blue-600', 'text-white');
+                orBtn.classList.add('text-blue-700', 'hover:bg-blue-100');
+                andBtn.classList.remove('text-blue-700', 'hover:bg-blue-100');
+                andBtn.classList.add('bg-blue-600', 'text-white');
+            }
+        }
+
+        if (description) {
+            if (operator === 'OR') {
+                description.innerHTML = 'Field is required when <strong>any</strong> condition below is met.';
+            } else {
+                description.innerHTML = 'Field is required when <strong>all</strong> conditions below are met.';
+            }
+        }
+    }
+
+    /**
+     * Set the condition operator (AND/OR)
+     */
+    window.setConditionOperator = function (operator) {
+        if (selectedFieldIndex === null) return;
+
+        const field = currentRules.columns[selectedFieldIndex];
+        if (!field.conditionalRequirement) {
+            field.conditionalRequirement = { operator: operator, conditions: [] };
+        } else {
+            field.conditionalRequirement.operator = operator;
+        }
+
+        updateOperatorToggle(operator);
+    };
+
+    /**
+     * Add a condition to the root list or to the group at `path`
+     */
+    window.addConditionInModal = function (path = '') {
+        if (selectedFieldIndex === null) return;
+
+        const list = getConditionListForPath(path);
+        if (!list) return;
+
+        list.push({
+            field: currentRules.columns[0]?.fieldName || '',
+            operator: 'equals',
+            value: ''
+        });
+
+        renderConditions(currentRules.columns[selectedFieldIndex]);
+    };
+
+    /**
+     * Add a nested condition group to the root list or to the group at `path`
+     */
+    window.addConditionGroupInModal = function (path = '') {
+        if (selectedFieldIndex === null) return;
+
+        const list = getConditionListForPath(path);
+        if (!list) return;
+
+        list.push({
+            operator: 'OR',
+            conditions: [{
+                field: currentRules.columns[0]?.fieldName || '',
+                operator: 'equals',
+                value: ''
+            }]
+        });
+
+        renderConditions(currentRules.columns[selectedFieldIndex]);
+    };
+
+    /**
+     * Set a nested group's AND/OR operator
+     */
+    window.setConditionGroupOperator = function (path, operator) {
+        const found = getConditionByPath(path);
+        if (!found || !Array.isArray(found.node.conditions)) return;
+        found.node.operator = operator;
+        renderConditions(currentRules.columns[selectedFieldIndex]);
+    };
+
+    /**
+     * Update a condition property
+     */
+    window.updateCondition = function (path, prop, value) {
+        const found = getConditionByPath(path);
+        if (found) {
+            found.node[prop] = value;
+        }
+    };
+
+    /**
+     * Update condition operator (triggers re-render to show/hide value fields)
+     */
+    window.updateConditionOperator = function (path, value) {
+        const found = getConditionByPath(path);
+        if (!found) return;
+
+        const cond = found.node;
+        cond.operator = value;
+        // Clear values that no longer apply to the new operator
+        if (value === 'is_empty' || value === 'is_not_empty') {
+            cond.value = '';
+        }
+        if (value !== 'between') {
+            delete cond.value2;
+        }
+        renderConditions(currentRules.columns[selectedFieldIndex]);
+    };
+
+    /**
+     * Remove a condition or group
+     */
+    window.removeConditionInModal = function (path) {
+        const found = getConditionByPath(path);
+        if (!found) return;
+        found.parent.splice(found.index, 1);
+        renderConditions(currentRules.columns[selectedFieldIndex]);
+    };
+
+    /**
+     * Render list values in two-column format
+     */
+    function renderListValues(field) {
+        const container = document.getElementById('modal-list-values');
+        if (!container) return;
+
+        const values = field.allowedValues || [];
+        const altLabels = field.alternativeLabels || {};
+
+        if (values.length === 0) {
+            container.innerHTML = `<p class="text-sm text-slate-500 col-span-2">No values defined.</p>`;
+            return;
+        }
+
+        container.innerHTML = values.map((val, idx) => {
+            // Get alternative labels for this value
+            const alternatives = Object.entries(altLabels)
+                .filter(([alt, target]) => target === val)
+                .map(([alt]) => alt);
+
+            const altPillsHtml = alternatives.length > 0
+                ? alternatives.map(alt => `
+                    <span class="inline-flex items-center gap-1 px-2 py-1 bg-green-100 text-green-800 text-xs rounded-full">
+                        ${escapeHtml(alt)}
+                        <button onclick="removeAlternativeLabel('${escapeHtml(alt)}')" class="hover:text-red-600">
+                            <svg class="w-3 h-3" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2">
+                                <path stroke-linecap="round" stroke-linejoin="round" d="M6 18L18 6M6 6l12 12"/>
+                            </svg>
+                        </button>
+                    </span>
+                `).join(' ')
+                : '<span class="text-xs text-slate-400">No alternatives</span>';
+
+            return `
+                <div class="grid grid-cols-2 gap-4 items-center p-3 bg-white border border-slate-200 rounded-lg hover:border-slate-300 transition-colors">
+                    <!-- Allowed Value Column -->
+                    <div class="flex items-center gap-2">
+                        <input type="text" value="${escapeHtml(val)}" 
+                            class="flex-1 px-2 py-1 text-sm border border-slate-300 rounded-md focus:border-isw-blue-500 focus:ring-1 focus:ring-isw-blue-100 focus:outline-none"
+                            onchange="updateListValueInModal(${idx}, this.value)">
+                        <button onclick="removeListValueInModal(${idx})" class="p-1 text-slate-400 hover:text-error-600" title="Remove value">
+                            <svg class="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2">
+                                <path stroke-linecap="round" stroke-linejoin="round" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"/>
+                            </svg>
+                        </button>
+                    </div>
+                    
+                    <!-- Alternative Labels Column -->
+                    <div class="flex items-center gap-2 flex-wrap">
+                        ${altPillsHtml}
+                        <button onclick="openAddAlternativeModal('${escapeHtml(val)}')" 
+                            class="inline-flex items-center gap-1 px-2 py-1 bg-slate-100 hover:bg-green-100 text-slate-600 hover:text-green-700 text-xs rounded-full transition-colors">
+                            <svg class="w-3 h-3" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2">
+                                <path stroke-linecap="round" stroke-linejoin="round" d="M12 4v16m8-8H4"/>
+                            </svg>
+                            Add Alt
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Helper function to escape HTML
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Add a list value
+     */
+    window.addListValueInModal = function () {
+        if (selectedFieldIndex === null) return;
+
+        const input = document.getElementById('modal-new-list-value');
+        const value = input?.value?.trim();
+        if (!value) return;
+
+        const field = currentRules.columns[selectedFieldIndex];
+        if (!field.allowedValues) field.allowedValues = [];
+
+        field.allowedValues.push(value);
+        input.value = '';
+
+        renderListValues(field);
+    };
+
+    /**
+     * Update a list value
+     */
+    window.updateListValueInModal = function (idx, value) {
+        if (selectedFieldIndex === null) return;
+        const field = currentRules.columns[selectedFieldIndex];
+        if (field.allowedValues) {
+            field.allowedValues[idx] = value;
+        }
+    };
+
+    /**
+     * Remove a list value
+     */
+    window.removeListValueInModal = function (idx) {
+        if (selectedFieldIndex === null) return;
+        const field = currentRules.columns[selectedFieldIndex];
+        if (field.allowedValues) {
+            field.allowedValues.splice(idx, 1);
+            renderListValues(field);
+        }
+    };
+
+    /**
+     * Open prompt to add an alternative label
+     */
+    window.openAddAlternativeModal = function (targetValue) {
+        const altLabel = prompt(`Enter alternative label that should convert to "${targetValue}":`);
+        if (!altLabel || !altLabel.trim()) return;
+
+        if (selectedFieldIndex === null) return;
+        const field = currentRules.columns[selectedFieldIndex];
+
+        if (!field.alternativeLabels) {
+            field.alternativeLabels = {};
+        }
+
+        // Add the mapping
         field.alternativeLabels[altLabel.trim()] = targetValue;
         renderListValues(field);
     };
@@ -586,6 +1481,559 @@
     };
 
 
+    // =========================================================================
+    // CROSS-FIELD (COMPLEX) RULES
+    // =========================================================================
+
+    const COMPLEX_RULE_TYPES = {
+        either_or: 'Either / Or',
+        dependent: 'Dependent Field',
+        unique_key: 'Unique Key',
+        date_compare: 'Date Comparison',
+        formula: 'Formula'
+    };
+
+    // date_compare operators (keys match ValidationEngine)
+    const DATE_COMPARE_OPERATORS = {
+        before: 'before',
+        on_or_before: 'on or before',
+        after: 'after',
+        on_or_after: 'on or after',
+        same_day: 'on',
+        between: 'between'
+    };
+
+    /**
+     * Resolve a rule field reference (column letter or field name) to a field name
+     */
+    function refToFieldName(ref) {
+        if (!ref || !currentRules?.columns) return ref || '';
+        const byLetter = currentRules.columns.find(c => c.columnLetter === ref);
+        if (byLetter) return byLetter.fieldName;
+        const byName = currentRules.columns.find(c => (c.fieldName || '').toLowerCase() === String(ref).toLowerCase());
+        return byName ? byName.fieldName : ref;
+    }
+
+    /**
+     * Keep complex rule references in sync when a field is renamed
+     */
+    function renameComplexRuleField(oldName, newName) {
+        if (!oldName || !currentRules?.complexRules) return;
+        const rename = ref => (ref === oldName ? newName : ref);
+
+        currentRules.complexRules.forEach(rule => {
+            if (rule.groups) rule.groups = rule.groups.map(group => group.map(rename));
+            if (rule.trigger) rule.trigger = rename(rule.trigger);
+            if (rule.dependent) rule.dependent = rename(rule.dependent);
+            if (rule.fields) rule.fields = rule.fields.map(rename);
+            if (rule.field) rule.field = rename(rule.field);
+            [rule.bound, rule.bound2].forEach(bound => {
+                if (bound?.field) bound.field = rename(bound.field);
+            });
+            if (rule.expression) rule.expression = FormulaEvaluator.renameField(rule.expression, oldName, newName);
+            if (rule.when) rule.when = FormulaEvaluator.renameField(rule.when, oldName, newName);
+        });
+        renderComplexRules();
+    }
+
+    /**
+     * Render the cross-field rules list
+     */
+    function renderComplexRules() {
+        const container = document.getElementById('modal-complex-rules');
+        if (!container) return;
+
+        const rules = currentRules?.complexRules || [];
+
+        if (rules.length === 0) {
+            container.innerHTML = `
+                <div class="p-6 text-center text-slate-500 text-sm bg-slate-50 rounded-xl border border-dashed border-slate-300">
+                    No cross-field rules defined. Click "Add Rule" to create one.
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = rules.map((rule, idx) => `
+            <div class="bg-slate-50 rounded-xl p-5 border border-slate-200">
+                <div class="flex items-center gap-3 mb-4">
+                    <input type="text" value="${escapeHtml(rule.name || '')}" placeholder="Rule name"
+                        class="flex-1 px-3 py-2 text-sm font-medium border border-slate-300 rounded-lg focus:border-isw-blue-500 focus:outline-none"
+                        onchange="updateComplexRule(${idx}, 'name', this.value)">
+                    <select class="px-3 py-2 text-sm border border-slate-300 rounded-lg bg-white focus:border-isw-blue-500 focus:outline-none"
+                        onchange="updateComplexRuleType(${idx}, this.value)">
+                        ${Object.entries(COMPLEX_RULE_TYPES).map(([type, label]) =>
+                            `<option value="${type}" ${rule.type === type ? 'selected' : ''}>${label}</option>`
+                        ).join('')}
+                    </select>
+                    <select class="px-3 py-2 text-sm border border-slate-300 rounded-lg bg-white focus:border-isw-blue-500 focus:outline-none"
+                        onchange="updateComplexRule(${idx}, 'severity', this.value)">
+                        <option value="error" ${!['warning', 'info'].includes(rule.severity) ? 'selected' : ''}>Error</option>
+                        <option value="warning" ${rule.severity === 'warning' ? 'selected' : ''}>Warning</option>
+                        <option value="info" ${rule.severity === 'info' ? 'selected' : ''}>Info</option>
+                    </select>
+                    <button onclick="removeComplexRuleInModal(${idx})" class="p-1.5 text-slate-400 hover:text-error-600 hover:bg-error-50 rounded-lg transition-colors" title="Delete rule">
+                        <svg class="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2">
+                            <path stroke-linecap="round" stroke-linejoin="round" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"/>
+                        </svg>
+                    </button>
+                </div>
+                <input type="text" value="${escapeHtml(rule.description || '')}" placeholder="Description (optional)"
+                    class="w-full mb-4 px-3 py-2 text-sm border border-slate-300 rounded-lg focus:border-isw-blue-500 focus:outline-none"
+                    onchange="updateComplexRule(${idx}, 'description', this.value)">
+                ${renderComplexRuleBody(rule, idx)}
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Render the type-specific part of a cross-field rule
+     */
+    function renderComplexRuleBody(rule, idx) {
+        switch (rule.type) {
+            case 'dependent': return renderDependentRule(rule, idx);
+            case 'unique_key': return renderUniqueKeyRule(rule, idx);
+            case 'date_compare': return renderDateCompareRule(rule, idx);
+            case 'formula': return renderFormulaRule(rule, idx);
+            default: return renderEitherOrRule(rule, idx);
+        }
+    }
+
+    /**
+     * Render the group editor for an either/or rule
+     */
+    function renderEitherOrRule(rule, idx) {
+        const groups = rule.groups || [];
+
+        const groupsHtml = groups.map((group, groupIdx) => `
+            ${groupIdx > 0 ? '<p class="text-xs font-semibold text-blue-700 uppercase tracking-wide">or</p>' : ''}
+            <div class="bg-white p-3 rounded-lg border border-blue-200">
+                <div class="flex items-center justify-between mb-2">
+                    <span class="text-xs font-medium text-slate-600">All of these fields:</span>
+                    <button onclick="removeComplexRuleGroup(${idx}, ${groupIdx})" class="text-xs text-slate-400 hover:text-error-600">Remove group</button>
+                </div>
+                <div class="flex flex-wrap items-center gap-2">
+                    ${group.map((ref, fieldIdx) => `
+                        <span class="inline-flex items-center gap-1">
+                            <select class="px-2 py-1.5 text-sm border border-slate-300 rounded-lg bg-slate-50 focus:bg-white focus:outline-none"
+                                onchange="updateComplexRuleGroupField(${idx}, ${groupIdx}, ${fieldIdx}, this.value)">
+                                ${getFieldOptions(refToFieldName(ref))}
+                            </select>
+                            <button onclick="removeComplexRuleGroupField(${idx}, ${groupIdx}, ${fieldIdx})" class="p-1 text-slate-400 hover:text-error-600" title="Remove field">
+                                <svg class="w-3 h-3" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2">
+                                    <path stroke-linecap="round" stroke-linejoin="round" d="M6 18L18 6M6 6l12 12"/>
+                                </svg>
+                            </button>
+                        </span>
+                    `).join('<span class="text-slate-400">+</span>')}
+                    <button onclick="addComplexRuleGroupField(${idx}, ${groupIdx})" class="text-xs text-blue-600 hover:text-blue-800 font-medium">+ Field</button>
+                </div>
+            </div>
+        `).join('');
+
+        return `
+            <div class="p-4 bg-blue-50 border border-blue-200 rounded-lg space-y-2">
+                <p class="text-xs text-blue-600">At least one group must be completely filled in.</p>
+                ${groupsHtml}
+                <button onclick="addComplexRuleGroup(${idx})" class="text-sm text-blue-600 hover:text-blue-800 font-medium">+ Add Group</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the trigger/dependent editor for a dependent rule
+     */
+    function renderDependentRule(rule, idx) {
+        const isEquals = rule.condition === 'equals';
+
+        return `
+            <div class="p-4 bg-blue-50 border border-blue-200 rounded-lg flex flex-wrap items-center gap-2 text-sm">
+                <select class="px-2 py-1.5 border border-slate-300 rounded-lg bg-white focus:outline-none"
+                    onchange="updateComplexRule(${idx}, 'dependent', this.value)">
+                    ${getFieldOptions(refToFieldName(rule.dependent))}
+                </select>
+                <span class="text-blue-800">is required when</span>
+                <select class="px-2 py-1.5 border border-slate-300 rounded-lg bg-white focus:outline-none"
+                    onchange="updateComplexRule(${idx}, 'trigger', this.value)">
+                    ${getFieldOptions(refToFieldName(rule.trigger))}
+                </select>
+                <select class="px-2 py-1.5 border border-slate-300 rounded-lg bg-white focus:outline-none"
+                    onchange="updateComplexRuleCondition(${idx}, this.value)">
+                    <option value="not_empty" ${!isEquals ? 'selected' : ''}>is not empty</option>
+                    <option value="equals" ${isEquals ? 'selected' : ''}>equals</option>
+                </select>
+                ${isEquals ? `
+                <input type="text" value="${escapeHtml(rule.value || '')}" placeholder="Value"
+                    class="w-32 px-2 py-1.5 border border-slate-300 rounded-lg bg-white focus:outline-none"
+                    onchange="updateComplexRule(${idx}, 'value', this.value)">
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the key field list for a unique key rule
+     */
+    function renderUniqueKeyRule(rule, idx) {
+        const fields = rule.fields || [];
+
+        return `
+            <div class="p-4 bg-blue-50 border border-blue-200 rounded-lg space-y-2">
+                <p class="text-xs text-blue-600">No two rows may share the same combination of these fields.</p>
+                <div class="flex flex-wrap items-center gap-2">
+                    ${fields.map((ref, fieldIdx) => `
+                        <span class="inline-flex items-center gap-1">
+                            <select class="px-2 py-1.5 text-sm border border-slate-300 rounded-lg bg-white focus:outline-none"
+                                onchange="updateComplexRuleKeyField(${idx}, ${fieldIdx}, this.value)">
+                                ${getFieldOptions(refToFieldName(ref))}
+                            </select>
+                            <button onclick="removeComplexRuleKeyField(${idx}, ${fieldIdx})" class="p-1 text-slate-400 hover:text-error-600" title="Remove field">
+                                <svg class="w-3 h-3" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2">
+                                    <path stroke-linecap="round" stroke-linejoin="round" d="M6 18L18 6M6 6l12 12"/>
+                                </svg>
+                            </button>
+                        </span>
+                    `).join('<span class="text-slate-400">+</span>')}
+                    <button onclick="addComplexRuleKeyField(${idx})" class="text-xs text-blue-600 hover:text-blue-800 font-medium">+ Field</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the field / operator / bound editor for a date comparison rule
+     */
+    function renderDateCompareRule(rule, idx) {
+        const isBetween = rule.operator === 'between';
+
+        return `
+            <div class="p-4 bg-blue-50 border border-blue-200 rounded-lg space-y-2 text-sm">
+                <div class="flex flex-wrap items-center gap-2">
+                    <select class="px-2 py-1.5 border border-slate-300 rounded-lg bg-white focus:outline-none"
+                        onchange="updateComplexRule(${idx}, 'field', this.value)">
+                        ${getFieldOptions(refToFieldName(rule.field))}
+                    </select>
+                    <span class="text-blue-800">must be</span>
+                    <select class="px-2 py-1.5 border border-slate-300 rounded-lg bg-white focus:outline-none"
+                        onchange="updateDateCompareOperator(${idx}, this.value)">
+                        ${Object.entries(DATE_COMPARE_OPERATORS).map(([op, label]) =>
+                            `<option value="${op}" ${rule.operator === op ? 'selected' : ''}>${label}</option>`
+                        ).join('')}
+                    </select>
+                    ${renderDateBound(rule.bound, idx, 'bound')}
+                </div>
+                ${isBetween ? `
+                <div class="flex flex-wrap items-center gap-2">
+                    <span class="text-blue-800">and</span>
+                    ${renderDateBound(rule.bound2, idx, 'bound2')}
+                </div>
+                ` : ''}
+                <p class="text-xs text-blue-600">Rows where either date is empty or invalid are skipped. Use a negative
+                    offset to go back in time (e.g. today - 10 years).</p>
+            </div>
+        `;
+    }
+
+    /**
+     * Render one bound of a date comparison: another field, today, or a fixed date, plus an offset
+     */
+    function renderDateBound(bound, idx, key) {
+        const current = bound || { kind: 'today' };
+        const select = 'px-2 py-1.5 border border-slate-300 rounded-lg bg-white focus:outline-none';
+
+        let target = '';
+        if (current.kind === 'field') {
+            target = `
+                <select class="${select}" onchange="updateDateCompareBound(${idx}, '${key}', 'field', this.value)">
+                    ${getFieldOptions(refToFieldName(current.field))}
+                </select>`;
+        } else if (current.kind === 'date') {
+            target = `
+                <input type="date" value="${escapeHtml(current.date || '')}" class="${select}"
+                    onchange="updateDateCompareBound(${idx}, '${key}', 'date', this.value)">`;
+        }
+
+        return `
+            <select class="${select}" onchange="updateDateCompareBound(${idx}, '${key}', 'kind', this.value)">
+                <option value="field" ${current.kind === 'field' ? 'selected' : ''}>field</option>
+                <option value="today" ${current.kind === 'today' ? 'selected' : ''}>today</option>
+                <option value="date" ${current.kind === 'date' ? 'selected' : ''}>a fixed date</option>
+            </select>
+            ${target}
+            <input type="number" step="1" value="${Number(current.offset) || 0}" title="Offset (may be negative)"
+                class="w-20 px-2 py-1.5 border border-slate-300 rounded-lg bg-white focus:outline-none"
+                onchange="updateDateCompareBound(${idx}, '${key}', 'offset', this.value)">
+            <select class="${select}" onchange="updateDateCompareBound(${idx}, '${key}', 'unit', this.value)">
+                ${['days', 'months', 'years'].map(unit =>
+                    `<option value="${unit}" ${(current.unit || 'days') === unit ? 'selected' : ''}>${unit}</option>`
+                ).join('')}
+            </select>
+        `;
+    }
+
+    /**
+     * Check a formula for syntax errors and unknown fields
+     * @returns {string|null} Error message
+     */
+    function getFormulaError(expression, allowEmpty) {
+        if (allowEmpty && !String(expression ?? '').trim()) return null;
+        try {
+            const { fields } = FormulaEvaluator.compile(expression);
+            const known = new Set((currentRules?.columns || []).map(c => (c.fieldName || '').toLowerCase()));
+            const unknown = fields.filter(field => !known.has(field.toLowerCase()));
+            return unknown.length > 0 ? `Unknown field: ${unknown.join(', ')}` : null;
+        } catch (err) {
+            return err.message;
+        }
+    }
+
+    /**
+     * Render the formula / condition / tolerance editor for a formula rule
+     */
+    function renderFormulaRule(rule, idx) {
+        const input = 'w-full px-3 py-2 font-mono text-sm border border-slate-300 rounded-lg bg-white focus:border-isw-blue-500 focus:outline-none';
+        const formulaError = getFormulaError(rule.expression, false);
+        const whenError = getFormulaError(rule.when, true);
+        const errorHtml = (message) => message ? `<p class="text-xs text-error-600 mt-1">${escapeHtml(message)}</p>` : '';
+
+        return `
+            <div class="p-4 bg-blue-50 border border-blue-200 rounded-lg space-y-3 text-sm">
+                <div>
+                    <label class="block text-xs font-medium text-blue-800 mb-1">Formula</label>
+                    <input type="text" value="${escapeHtml(rule.expression || '')}" class="${input}"
+                        placeholder="[Shares Vested] + [Shares Unvested] = [Shares Granted]"
+                        onchange="updateFormulaRule(${idx}, 'expression', this.value)">
+                    ${errorHtml(formulaError)}
+                </div>
+                <div class="flex flex-wrap items-start gap-3">
+                    <div class="flex-1 min-w-[16rem]">
+                        <label class="block text-xs font-medium text-blue-800 mb-1">Only when <span class="font-normal text-blue-600">(optional)</span></label>
+                        <input type="text" value="${escapeHtml(rule.when || '')}" class="${input}"
+                            placeholder='[Award Type] = "ISO"'
+                            onchange="updateFormulaRule(${idx}, 'when', this.value)">
+                        ${errorHtml(whenError)}
+                    </div>
+                    <div>
+                        <label class="block text-xs font-medium text-blue-800 mb-1">Tolerance (±)</label>
+                        <input type="number" min="0" step="any" value="${Number(rule.tolerance) || 0}"
+                            class="w-28 px-3 py-2 text-sm border border-slate-300 rounded-lg bg-white focus:border-isw-blue-500 focus:outline-none"
+                            onchange="updateFormulaRule(${idx}, 'tolerance', this.value)">
+                    </div>
+                </div>
+                <p class="text-xs text-blue-600">Fields go in [brackets]. Use + - * / ( ), = != &lt; &lt;= &gt; &gt;=, and / or / not,
+                    min(), max(), abs(), round(x, digits), percentages (85%) and "text". Rows with an empty or
+                    non-numeric input are skipped.</p>
+            </div>
+        `;
+    }
+
+    /**
+     * Add a new cross-field rule
+     */
+    window.addComplexRuleInModal = function () {
+        if (!currentRules) return;
+        if (!currentRules.complexRules) currentRules.complexRules = [];
+
+        const firstField = currentRules.columns?.[0]?.fieldName || '';
+        currentRules.complexRules.push({
+            type: 'either_or',
+            name: `Rule ${currentRules.complexRules.length + 1}`,
+            description: '',
+            groups: [[firstField], [firstField]],
+            severity: 'error'
+        });
+
+        renderComplexRules();
+    };
+
+    /**
+     * Update a cross-field rule property
+     */
+    window.updateComplexRule = function (idx, prop, value) {
+        const rule = currentRules?.complexRules?.[idx];
+        if (rule) rule[prop] = value;
+    };
+
+    /**
+     * Update a dependent rule's trigger condition (re-renders to show/hide value field)
+     */
+    window.updateComplexRuleCondition = function (idx, condition) {
+        const rule = currentRules?.complexRules?.[idx];
+        if (!rule) return;
+        rule.condition = condition;
+        if (condition !== 'equals') delete rule.value;
+        renderComplexRules();
+    };
+
+    /**
+     * Change a rule's type, resetting the type-specific properties
+     */
+    window.updateComplexRuleType = function (idx, type) {
+        const rule = currentRules?.complexRules?.[idx];
+        if (!rule) return;
+
+        const firstField = currentRules.columns?.[0]?.fieldName || '';
+        rule.type = type;
+        delete rule.groups;
+        delete rule.trigger;
+        delete rule.dependent;
+        delete rule.condition;
+        delete rule.value;
+        delete rule.fields;
+        delete rule.field;
+        delete rule.operator;
+        delete rule.bound;
+        delete rule.bound2;
+        delete rule.expression;
+        delete rule.when;
+        delete rule.tolerance;
+
+        if (type === 'dependent') {
+            rule.trigger = firstField;
+            rule.dependent = firstField;
+            rule.condition = 'not_empty';
+        } else if (type === 'unique_key') {
+            rule.fields = [firstField];
+        } else if (type === 'date_compare') {
+            const dateField = currentRules.columns?.find(c => c.type === 'date' || c.type === 'datetime');
+            rule.field = dateField?.fieldName || firstField;
+            rule.operator = 'on_or_before';
+            rule.bound = { kind: 'today', offset: 0, unit: 'days' };
+        } else if (type === 'formula') {
+            rule.expression = '';
+            rule.tolerance = 0;
+        } else {
+            rule.groups = [[firstField], [firstField]];
+        }
+
+        renderComplexRules();
+    };
+
+    /**
+     * Update a formula rule's expression, condition or tolerance (re-renders to show errors)
+     */
+    window.updateFormulaRule = function (idx, prop, value) {
+        const rule = currentRules?.complexRules?.[idx];
+        if (!rule) return;
+
+        if (prop === 'tolerance') {
+            rule.tolerance = Math.max(parseFloat(value) || 0, 0);
+            return;
+        }
+
+        const text = String(value || '').trim();
+        if (prop === 'when' && !text) {
+            delete rule.when;
+        } else {
+            rule[prop] = text;
+        }
+        renderComplexRules();
+    };
+
+    /**
+     * Change a date comparison's operator (between needs a second bound)
+     */
+    window.updateDateCompareOperator = function (idx, operator) {
+        const rule = currentRules?.complexRules?.[idx];
+        if (!rule) return;
+
+        rule.operator = operator;
+        if (operator === 'between') {
+            if (!rule.bound2) rule.bound2 = { kind: 'today', offset: 0, unit: 'days' };
+        } else {
+            delete rule.bound2;
+        }
+        renderComplexRules();
+    };
+
+    /**
+     * Update one property of a date comparison bound
+     * @param {string} key - 'bound' or 'bound2'
+     * @param {string} prop - 'kind', 'field', 'date', 'offset' or 'unit'
+     */
+    window.updateDateCompareBound = function (idx, key, prop, value) {
+        const rule = currentRules?.complexRules?.[idx];
+        if (!rule) return;
+        if (!rule[key]) rule[key] = { kind: 'today', offset: 0, unit: 'days' };
+        const bound = rule[key];
+
+        if (prop === 'offset') {
+            bound.offset = parseInt(value, 10) || 0;
+            return;
+        }
+
+        bound[prop] = value;
+        if (prop === 'kind') {
+            delete bound.field;
+            delete bound.date;
+            if (value === 'field') bound.field = currentRules.columns?.[0]?.fieldName || '';
+            renderComplexRules();
+        }
+    };
+
+    /**
+     * Remove a cross-field rule
+     */
+    window.removeComplexRuleInModal = function (idx) {
+        if (!currentRules?.complexRules) return;
+        currentRules.complexRules.splice(idx, 1);
+        renderComplexRules();
+    };
+
+    window.addComplexRuleGroup = function (idx) {
+        const rule = currentRules?.complexRules?.[idx];
+        if (!rule) return;
+        if (!rule.groups) rule.groups = [];
+        rule.groups.push([currentRules.columns?.[0]?.fieldName || '']);
+        renderComplexRules();
+    };
+
+    window.removeComplexRuleGroup = function (idx, groupIdx) {
+        const rule = currentRules?.complexRules?.[idx];
+        if (!rule?.groups) return;
+        rule.groups.splice(groupIdx, 1);
+        renderComplexRules();
+    };
+
+    window.addComplexRuleGroupField = function (idx, groupIdx) {
+        const group = currentRules?.complexRules?.[idx]?.groups?.[groupIdx];
+        if (!group) return;
+        group.push(currentRules.columns?.[0]?.fieldName || '');
+        renderComplexRules();
+    };
+
+    window.updateComplexRuleGroupField = function (idx, groupIdx, fieldIdx, value) {
+        const group = currentRules?.complexRules?.[idx]?.groups?.[groupIdx];
+        if (group) group[fieldIdx] = value;
+    };
+
+    window.removeComplexRuleGroupField = function (idx, groupIdx, fieldIdx) {
+        const group = currentRules?.complexRules?.[idx]?.groups?.[groupIdx];
+        if (!group) return;
+        group.splice(fieldIdx, 1);
+        renderComplexRules();
+    };
+
+    window.addComplexRuleKeyField = function (idx) {
+        const rule = currentRules?.complexRules?.[idx];
+        if (!rule) return;
+        if (!rule.fields) rule.fields = [];
+        rule.fields.push(currentRules.columns?.[0]?.fieldName || '');
+        renderComplexRules();
+    };
+
+    window.updateComplexRuleKeyField = function (idx, fieldIdx, value) {
+        const fields = currentRules?.complexRules?.[idx]?.fields;
+        if (fields) fields[fieldIdx] = value;
+    };
+
+    window.removeComplexRuleKeyField = function (idx, fieldIdx) {
+        const fields = currentRules?.complexRules?.[idx]?.fields;
+        if (!fields) return;
+        fields.splice(fieldIdx, 1);
+        renderComplexRules();
+    };
+
     /**
      * Add a new field
      */
@@ -624,6 +2072,85 @@
         showEmptyState();
     };
 
+    // =========================================================================
+    // CLIENT SCRIPT
+    // =========================================================================
+
+    /**
+     * Fill the Client-Specific Logic editor from rules.clientScript
+     */
+    function renderClientScript() {
+        const editor = document.getElementById('client-script-editor');
+        const timeout = document.getElementById('client-script-timeout');
+        const output = document.getElementById('client-script-output');
+
+        if (editor) editor.value = currentRules?.clientScript?.code || '';
+        if (timeout) timeout.value = currentRules?.clientScript?.timeoutMs || '';
+        if (output) output.classList.add('hidden');
+    }
+
+    /**
+     * Store the script editor contents on the rules (removed when empty)
+     */
+    window.updateClientScriptInModal = function () {
+        if (!currentRules) return;
+
+        const code = document.getElementById('client-script-editor')?.value || '';
+        const timeoutMs = parseInt(document.getElementById('client-script-timeout')?.value, 10);
+
+        if (!code.trim()) {
+            delete currentRules.clientScript;
+            return;
+        }
+
+        currentRules.clientScript = { code };
+        if (timeoutMs > 0) currentRules.clientScript.timeoutMs = timeoutMs;
+    };
+
+    /**
+     * Run the script against the data currently in the grid and show the outcome
+     */
+    window.testClientScriptInModal = async function () {
+        const output = document.getElementById('client-script-output');
+        if (!output || !window.ClientScriptRunner) return;
+
+        const show = (text, ok) => {
+            output.textContent = text;
+            output.classList.remove('hidden', 'bg-success-50', 'text-success-700', 'bg-error-50', 'text-error-700');
+            output.classList.add(ok ? 'bg-success-50' : 'bg-error-50', ok ? 'text-success-700' : 'text-error-700');
+        };
+
+        window.updateClientScriptInModal();
+        const script = ClientScriptRunner.getScript(currentRules);
+        if (!script) {
+            show('No script to run.', false);
+            return;
+        }
+
+        const data = window.HandsontableGrid?.getData() || window.currentValidationData;
+        if (!data?.rows?.length) {
+            show('Upload a data file first - the script is tested against the rows in the grid.', false);
+            return;
+        }
+
+        show('Running...', true);
+        try {
+            const result = await ClientScriptRunner.run(data, script);
+            const count = (severity) => result.issues.filter(issue => issue.severity === severity).length;
+            const lines = [
+                `✓ Ran on ${data.rows.length.toLocaleString()} rows in ${result.durationMs} ms: ` +
+                `${count('error')} errors, ${count('warning')} warnings, ${count('info')} info` +
+                (result.truncated ? ' (truncated)' : ''),
+                ...result.issues.slice(0, 5).map(issue =>
+                    `  Row ${issue.row + 1}, ${issue.field}: [${issue.severity}] ${issue.message}`),
+                ...result.logs.map(line => `log: ${line}`)
+            ];
+            show(lines.join('\n'), true);
+        } catch (error) {
+            show(`✗ ${error.message}`, false);
+        }
+    };
+
     /**
      * Get current edited rules (for saving)
      */
@@ -32,6 +32,14 @@ async function loadTemplatesFromCloud() {
         console.log('📡 Loading templates from cloud...');
         const templates = await TemplateAPI.getTemplatesForUI();
 
+        // Templates saved before per-column auto-fix steps keep their country-code uppercasing
+        templates.forEach(t => {
+            const migrated = window.AutoFixEngine ? AutoFixEngine.migrateCountryCodeColumns(t) : [];
+            if (migrated.length > 0) {
+                console.log(`🔁 ${t.name}: uppercase step written out for ${migrated.join(', ')} (saved with the template's next change)`);
+            }
+        });
+
         // Clear and repopulate cache
         templateStore.clear();
         templates.forEach(t => templateStore.set(t.id, t));
@@ -294,6 +302,7 @@ function openTemplateSettings(templateId, activeTab = 'rules') {
     document.getElementById('autofix-currency').checked = autoFix.removeCurrencySymbols || false;
     document.getElementById('autofix-dates').checked = autoFix.standardizeDates || false;
     document.getElementById('autofix-thousand-sep').checked = autoFix.removeThousandSeparators || false;
+    document.getElementById('autofix-numbers').checked = autoFix.normalizeNumbers || false;
 
     // Open modal
     openModal('settings');
@@ -366,6 +375,24 @@ function switchSettingsTab(tabName) {
 // SAVE RULES FROM JSON EDITOR
 // ============================================================
 
+/**
+ * Read the template-wide auto-fix toggles from the Auto-Fix Rules tab.
+ * Fields without their own auto-fix steps inherit these.
+ */
+function getAutoFixSettingsFromModal() {
+    return {
+        trimWhitespace: document.getElementById('autofix-trim')?.checked || false,
+        normalizeLineBreaks: document.getElementById('autofix-linebreaks')?.checked || false,
+        removeSpecialChars: document.getElementById('autofix-special-chars')?.checked || false,
+        uppercaseCountryCodes: document.getElementById('autofix-uppercase-country')?.checked || false,
+        removeCurrencySymbols: document.getElementById('autofix-currency')?.checked || false,
+        standardizeDates: document.getElementById('autofix-dates')?.checked || false,
+        removeThousandSeparators: document.getElementById('autofix-thousand-sep')?.checked || false,
+        normalizeNumbers: document.getElementById('autofix-numbers')?.checked || false,
+        version: window.AutoFixEngine?.SETTINGS_VERSION
+    };
+}
+
 async function saveRulesFromJSON() {
     const templateId = window.currentSettingsTemplateId;
     const template = templateStore.get(templateId);
@@ -403,15 +430,7 @@ async function saveRulesFromJSON() {
 
 
         // Save auto-fix settings from Auto-Fix Rules tab
-        template.autoFixSettings = {
-            trimWhitespace: document.getElementById('autofix-trim')?.checked || false,
-            normalizeLineBreaks: document.getElementById('autofix-linebreaks')?.checked || false,
-            removeSpecialChars: document.getElementById('autofix-special-chars')?.checked || false,
-            uppercaseCountryCodes: document.getElementById('autofix-uppercase-country')?.checked || false,
-            removeCurrencySymbols: document.getElementById('autofix-currency')?.checked || false,
-            standardizeDates: document.getElementById('autofix-dates')?.checked || false,
-            removeThousandSeparators: document.getElementById('autofix-thousand-sep')?.checked || false
-        };
+        template.autoFixSettings = getAutoFixSettingsFromModal();
 
         // Update local cache
         templateStore.set(templateId, template);
@@ -453,6 +472,11 @@ async function saveRulesFromJSON() {
             HandsontableGrid.updateRules(updatedRules);
         }
 
+        // The client script may have changed too
+        if (typeof window.scheduleClientScript === 'function') {
+            window.scheduleClientScript();
+        }
+
     } catch (e) {
         showToast('Invalid JSON: ' + e.message, 'error');
     }
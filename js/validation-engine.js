@@ -1,6 +1,9 @@
 /**
  * Validation Engine
  * Core logic for validating data against template rules
+ *
+ * Each problem is a structured issue { code, severity, rule, params, message } kept in
+ * cellMeta.errors / warnings / info by severity; messages come from ValidationMessages.
  */
 
 const ValidationEngine = (function () {
@@ -15,128 +18,189 @@ const ValidationEngine = (function () {
     function validateDataset(data, rules) {
         console.time('Validation');
 
-        // Create a map of column rules for faster lookup
-        const columnRules = {};
-        rules.columns.forEach(col => {
-            // Map by field name (normalized)
-            columnRules[col.fieldName.toLowerCase()] = col;
-        });
+        const context = prepareDataset(data, rules);
+        validateRows(data, context, 0, data.rows.length);
+        finalizeDataset(data);
+
+        console.timeEnd('Validation');
+        return data;
+    }
+
+    /**
+     * Build the per-dataset validation context (compiled column rules, resolved cross-field rules).
+     * Needs the whole dataset because unique keys compare rows against each other.
+     * @param {Object} data - The structured data object
+     * @param {Object} rules - The template rules object
+     * @returns {Object} Context for validateRows
+     */
+    function prepareDataset(data, rules) {
+        // Column lookups, list sets and limits are built once here, not per cell
+        const compiled = RuleCompiler.compile(rules);
+
+        // Resolve cross-field rules (column letters / field names) once per dataset
+        const rowRules = resolveComplexRules(rules.complexRules, rules.columns, rules.messages);
+
+        // Unique keys need every row's key before any single row can be checked
+        indexUniqueKeys(data.rows, rowRules);
+
+        return { compiled, rowRules, headerMap: data.headerMap };
+    }
+
+    /**
+     * Validate a range of rows, updating each row's metadata and status
+     * @param {Object} data - The structured data object
+     * @param {Object} context - From prepareDataset
+     * @param {number} start - First row index (inclusive)
+     * @param {number} end - Last row index (exclusive)
+     */
+    function validateRows(data, context, start, end) {
+        for (let i = start; i < Math.min(end, data.rows.length); i++) {
+            const row = data.rows[i];
+            const rowResult = validateRow(row, context.compiled, context.headerMap, context.rowRules);
+            row.rowStatus = rowResult.status;
+        }
+    }
+
+    /**
+     * Stamp the dataset with validation time and summary stats
+     */
+    function finalizeDataset(data) {
+        data.validatedAt = new Date().toISOString();
+        data.stats = computeStats(data.rows);
+        return data;
+    }
+
+    /**
+     * Re-validate after cell edits, touching only the rows that can be affected:
+     * the edited rows plus rows whose unique keys collide(d) with them.
+     * data.stats is updated by difference instead of being recounted.
+     * @param {Object} data - The structured data object
+     * @param {Object} context - From prepareDataset, kept by the caller between edits
+     * @param {Array<number>} rowIndices - Indices of the edited rows
+     * @param {Array<string>} changedFields - Field names that were edited
+     * @returns {Array<number>} Indices of every row that was re-validated
+     */
+    function revalidateRows(data, context, rowIndices, changedFields) {
+        const affected = updateUniqueKeys(data, context.rowRules, rowIndices, changedFields);
+        rowIndices.forEach(idx => affected.add(idx));
 
-        let totalErrors = 0;
-        let totalWarnings = 0;
+        const stats = data.stats || computeStats(data.rows);
+        const indices = Array.from(affected).filter(idx => data.rows[idx]).sort((a, b) => a - b);
 
-        // Validate each row
-        data.rows.forEach(row => {
-            const rowResult = validateRow(row, columnRules, data.headerMap);
+        indices.forEach(idx => {
+            const row = data.rows[idx];
+            const before = computeStats([row]);
 
-            // Update row status
+            const rowResult = validateRow(row, context.compiled, context.headerMap, context.rowRules);
             row.rowStatus = rowResult.status;
 
-            // Update totals
-            totalErrors += rowResult.errorCount;
-            totalWarnings += rowResult.warningCount;
+            const after = computeStats([row]);
+            ['validRows', 'errorRows', 'warningRows', 'totalErrors', 'totalWarnings', 'totalInfo'].forEach(key => {
+                stats[key] = (stats[key] || 0) + after[key] - before[key];
+            });
+            stats.byCode = stats.byCode || {};
+            new Set([...Object.keys(before.byCode), ...Object.keys(after.byCode)]).forEach(code => {
+                const count = (stats.byCode[code] || 0) + (after.byCode[code] || 0) - (before.byCode[code] || 0);
+                if (count > 0) stats.byCode[code] = count;
+                else delete stats.byCode[code];
+            });
         });
 
+        stats.totalRows = data.rows.length;
+        data.stats = stats;
         data.validatedAt = new Date().toISOString();
-        data.stats = {
-            totalRows: data.rows.length,
-            validRows: data.rows.filter(r => r.rowStatus === 'valid').length,
-            errorRows: data.rows.filter(r => r.rowStatus === 'error').length,
-            warningRows: data.rows.filter(r => r.rowStatus === 'warning').length,
-            totalErrors: totalErrors,
-            totalWarnings: totalWarnings
+
+        return indices;
+    }
+
+    /**
+     * Summarize row statuses and cell error/warning counts
+     * @param {Array} rows - data.rows
+     * @returns {Object} { totalRows, validRows, errorRows, warningRows, totalErrors, totalWarnings, totalInfo, byCode }
+     *                   Info messages never change a row's status; totalInfo counts cells carrying them.
+     *                   byCode counts issues by code ({ required: 12, invalidValue: 3, ... }).
+     */
+    function computeStats(rows) {
+        const stats = {
+            totalRows: rows.length,
+            validRows: 0,
+            errorRows: 0,
+            warningRows: 0,
+            totalErrors: 0,
+            totalWarnings: 0,
+            totalInfo: 0,
+            byCode: {}
         };
 
-        console.timeEnd('Validation');
-        return data;
+        rows.forEach(row => {
+            if (row.rowStatus === 'valid') stats.validRows++;
+            else if (row.rowStatus === 'error') stats.errorRows++;
+            else if (row.rowStatus === 'warning') stats.warningRows++;
+
+            Object.values(row.metadata || {}).forEach(cellMeta => {
+                if (cellMeta.validationStatus === 'error') stats.totalErrors++;
+                else if (cellMeta.validationStatus === 'warning') stats.totalWarnings++;
+                if (cellMeta.info?.length > 0) stats.totalInfo++;
+                getCellIssues(cellMeta).forEach(issue => {
+                    stats.byCode[issue.code] = (stats.byCode[issue.code] || 0) + 1;
+                });
+            });
+        });
+
+        return stats;
     }
 
     /**
      * Validate a single row
      * @param {Object} row - The row object
-     * @param {Object} columnRules - Map of column rules
+     * @param {Object} compiled - Compiled column rules (RuleCompiler.compile)
      * @param {Object} headerMap - Map of header names to indices
+     * @param {Array} [rowRules] - Resolved cross-field rules (from resolveComplexRules)
      * @returns {Object} Row validation result
      */
-    function validateRow(row, columnRules, headerMap) {
+    function validateRow(row, compiled, headerMap, rowRules) {
         let errorCount = 0;
         let warningCount = 0;
 
-        // DEBUG: Log what we're working with
-        if (Object.keys(row.metadata).length > 0) {
-            const firstHeader = Object.keys(row.metadata)[0];
-            const ruleKeys = Object.keys(columnRules).slice(0, 5);
-            console.log('🔍 ValidationEngine Debug:');
-            console.log('  Sample Header:', firstHeader);
-            console.log('  Available Rule Keys:', ruleKeys);
-            console.log('  First Rule Key Detail:', ruleKeys[0], '=>', columnRules[ruleKeys[0]]?.fieldName);
-            console.log('  Looking for:', firstHeader.toLowerCase());
-        }
-
         // Iterate through each cell in the row
         Object.keys(row.metadata).forEach(header => {
             const cellMeta = row.metadata[header];
-            const value = cellMeta.currentValue;
-            const rule = columnRules[header.toLowerCase()];
-
-            // DEBUG: Log if rule not found
-            if (!rule) {
-                console.warn(`⚠️ No rule found for header: "${header}" (lowercase: "${header.toLowerCase()}")`);
-            }
+            const column = compiled.getColumn(header);
 
             // Reset validation status
             cellMeta.errors = [];
             cellMeta.warnings = [];
+            cellMeta.info = [];
             cellMeta.validationStatus = 'valid';
             cellMeta.canAutoFix = false;
             cellMeta.conditionalTriggered = false;  // Track if conditional became required
 
-            if (rule) {
-                // 1. Check Required - including conditional requirements
-                if (rule.requirement === 'required') {
-                    if (isEmpty(value)) {
-                        addError(cellMeta, 'Required field is missing');
-                    }
-                } else if (rule.requirement === 'conditional') {
-                    // Check if conditional requirement is defined
-                    if (rule.conditionalRequirement && rule.conditionalRequirement.conditions?.length > 0) {
-                        // Evaluate conditional requirement against row data
-                        const isTriggered = evaluateConditions(
-                            rule.conditionalRequirement.conditions,
-                            rule.conditionalRequirement.operator || 'AND',
-                            row.data
-                        );
-
-                        cellMeta.conditionalTriggered = isTriggered;
-
-                        if (isTriggered && isEmpty(value)) {
-                            addError(cellMeta, 'Conditionally required field is missing');
-                        }
-                    } else {
-                        // No conditions defined - log for debugging
-                        console.log(`⚠️ Conditional column "${header}" has no conditions defined. Use Template Settings to add conditions.`);
-                    }
-                }
-
-                // 2. Check Data Type & Format (only if value exists)
-                if (!isEmpty(value)) {
-                    validateType(value, rule, cellMeta);
+            if (column) {
+                const value = cellMeta.currentValue;
+                for (const check of column.validators) {
+                    check(value, cellMeta, row);
                 }
+            }
+        });
 
-                // 3. Check Allowed Values (List)
-                if (rule.type === 'list' && rule.allowedValues && !isEmpty(value)) {
-                    validateList(value, rule.allowedValues, cellMeta, rule);
-                }
+        // 6. Cross-field rules (either/or, dependent, ...)
+        if (rowRules && rowRules.length > 0) {
+            validateComplexRules(row, rowRules);
+        }
 
-                // 4. Check Max Length
-                if (rule.maxLength && !isEmpty(value)) {
-                    if (String(value).length > rule.maxLength) {
-                        addError(cellMeta, `Exceeds max length of ${rule.maxLength}`);
-                    }
+        // 7. Client script issues (ClientScriptRunner) - kept until the script runs again
+        if (row.scriptIssues) {
+            row.scriptIssues.forEach(issue => {
+                const cellMeta = row.metadata[issue.field];
+                if (cellMeta) {
+                    addIssue(cellMeta, createIssue(issue.severity, 'clientScript', { kind: 'script' }, { field: issue.field, message: issue.message }));
                 }
-            }
+            });
+        }
 
-            // Update counts
+        // Update counts
+        Object.keys(row.metadata).forEach(header => {
+            const cellMeta = row.metadata[header];
             if (cellMeta.errors.length > 0) {
                 cellMeta.validationStatus = 'error';
                 errorCount++;
@@ -154,32 +218,222 @@ const ValidationEngine = (function () {
         return { status, errorCount, warningCount };
     }
 
+    // Severity of each column check unless the template (rules.severities) or the
+    // column (column.severities) overrides it. 'info' never affects row status.
+    const DEFAULT_SEVERITIES = {
+        required: 'error',   // missing required / conditionally required value
+        type: 'error',       // wrong data type
+        list: 'error',       // value not in the allowed list
+        maxLength: 'error',
+        limit: 'error',      // data-validation limit (between, greaterThan, ...)
+        fixable: 'warning'   // type or list mismatch that auto-fix can correct
+    };
+
+    const SEVERITIES = ['error', 'warning', 'info'];
+
+    /**
+     * Resolve a column's check severities: column > template > defaults
+     * @param {Object} column - Column rule
+     * @param {Object} [rules] - Template rules
+     * @returns {Object} Check name -> severity
+     */
+    function resolveSeverities(column, rules) {
+        const resolved = { ...DEFAULT_SEVERITIES };
+        [rules?.severities, column?.severities].forEach(overrides => {
+            Object.entries(overrides || {}).forEach(([check, severity]) => {
+                if (check in resolved && SEVERITIES.includes(severity)) resolved[check] = severity;
+            });
+        });
+        return resolved;
+    }
+
+    // Types validateType knows how to check
+    const TYPE_CHECKED = new Set(['date', 'datetime', 'time', 'integer', 'whole', 'decimal', 'number', 'boolean']);
+
+    /**
+     * Build the checks for a compiled column (called by RuleCompiler).
+     * Each check is (value, cellMeta, row); they run in order: required,
+     * type, allowed values, max length, data-validation limits.
+     * @param {Object} column - Compiled column
+     * @param {Object} [rules] - Template rules (for template-level severities and messages)
+     * @returns {Array<Function>} Checks
+     */
+    function buildValidators(column, rules) {
+        const rule = column.rule;
+        const severities = resolveSeverities(rule, rules);
+        const report = createReporter(column, severities, rules);
+        const checks = [];
+
+        // 1. Check Required - including conditional requirements
+        if (rule.requirement === 'required') {
+            checks.push((value, cellMeta) => {
+                if (isEmpty(value)) {
+                    report(cellMeta, 'required', 'required');
+                }
+            });
+        } else if (rule.requirement === 'conditional') {
+            const conditional = rule.conditionalRequirement;
+            if (conditional && conditional.conditions?.length > 0) {
+                const operator = conditional.operator || 'AND';
+                const dateFormats = getDateFormats(rules);
+                const conditions = compileConditions(conditional.conditions, column.fieldName);
+                checks.push((value, cellMeta, row) => {
+                    // Evaluate conditional requirement against row data
+                    const isTriggered = evaluateConditions(conditions, operator, row.data, dateFormats);
+                    cellMeta.conditionalTriggered = isTriggered;
+
+                    if (isTriggered && isEmpty(value)) {
+                        report(cellMeta, 'required', 'conditionalRequired');
+                    }
+                });
+            } else {
+                console.log(`⚠️ Conditional column "${column.fieldName}" has no conditions defined. Use Template Settings to add conditions.`);
+            }
+        }
+
+        // 2. Check Data Type & Format (only if value exists)
+        if (TYPE_CHECKED.has(rule.type)) {
+            checks.push((value, cellMeta) => {
+                if (!isEmpty(value)) validateType(value, column, cellMeta, report);
+            });
+        }
+
+        // 3. Check Allowed Values (List)
+        if (rule.type === 'list' && column.allowedLookup) {
+            checks.push((value, cellMeta) => {
+                if (!isEmpty(value)) validateList(value, column, cellMeta, report);
+            });
+        }
+
+        // 4. Check Max Length
+        if (rule.maxLength) {
+            checks.push((value, cellMeta) => {
+                if (!isEmpty(value) && String(value).length > rule.maxLength) {
+                    report(cellMeta, 'maxLength', 'maxLength', { value, max: rule.maxLength });
+                }
+            });
+        }
+
+        // 5. Check Excel data-validation limits (between, greaterThan, textLength, ...)
+        const limit = rule.validation ? compileOperator(rule.validation, column.dateFormat) : null;
+        if (limit) {
+            checks.push((value, cellMeta) => {
+                if (!isEmpty(value)) validateOperator(value, limit, cellMeta, report);
+            });
+        }
+
+        return checks;
+    }
+
+    /**
+     * Create a column's issue reporter: report(cellMeta, check, code, params)
+     * adds an issue at the check's severity, with the message rendered from
+     * column.messages > the column's data-validation error text > rules.messages > the shared catalog
+     * @param {Object} column - Compiled column
+     * @param {Object} severities - From resolveSeverities
+     * @param {Object} [rules] - Template rules
+     * @returns {Function}
+     */
+    function createReporter(column, severities, rules) {
+        const field = column.fieldName;
+        const overrides = [column.rule.messages, getDataValidationMessages(column.rule), rules?.messages];
+
+        return (cellMeta, check, code, params = {}) => {
+            const issue = createIssue(severities[check], code, { kind: 'column', field, check }, { field, ...params }, overrides);
+            addIssue(cellMeta, issue);
+            return issue;
+        };
+    }
+
+    // Issue codes that stand for a failed Excel data-validation check
+    const DATA_VALIDATION_CODES = [
+        'invalidValue', 'outOfRange', 'lengthOutOfRange',
+        'invalidType', 'invalidNumber', 'invalidDate', 'invalidDateTime', 'invalidTime'
+    ];
+
+    /**
+     * The template author's data-validation error text (column.errorTitle / errorMessage)
+     * as message overrides for every data-validation code
+     * @returns {Object|null} Code -> message
+     */
+    function getDataValidationMessages(rule) {
+        const message = String(rule.errorMessage ?? '').trim();
+        if (!message) return null;
+
+        const title = String(rule.errorTitle ?? '').trim();
+        const text = title ? `${title}: ${message}` : message;
+        return Object.fromEntries(DATA_VALIDATION_CODES.map(code => [code, text]));
+    }
+
+    /**
+     * Report a fixable type/list problem at the 'fixable' severity, naming the fix
+     */
+    function reportFixable(report, cellMeta, code, params, fixedValue) {
+        const issue = report(cellMeta, 'fixable', code, { ...params, fix: fixedValue });
+        issue.fixable = true;
+        if (fixedValue !== undefined && fixedValue !== null) {
+            issue.message += ` (${ValidationMessages.render('autoFixAvailable', { fix: fixedValue })})`;
+        }
+        cellMeta.canAutoFix = true;
+    }
+
+    /**
+     * Name the closest allowed values on an issue that could not be fixed automatically
+     * @param {Array<Object>} suggestions - AutoFixEngine.findFuzzyMatches() entries, best first
+     */
+    function addSuggestions(issue, suggestions) {
+        const [best] = suggestions;
+        issue.suggestions = suggestions;
+        issue.message += ` (${ValidationMessages.render('didYouMean', {
+            suggestion: best.display,
+            confidence: Math.round(best.confidence * 100)
+        })})`;
+    }
+
     /**
      * Validate data type
+     * @param {Object} column - Compiled column
+     * @param {Function} report - From createReporter
      */
-    function validateType(value, rule, cellMeta) {
+    function validateType(value, column, cellMeta, report) {
+        const rule = column.rule;
         let isValid = true;
-        let errorMsg = '';
+        let code = 'invalidType';
+        const params = { value };
 
         switch (rule.type) {
             case 'date':
-                if (!DateUtils.isValidDate(value)) {
+                if (!DateUtils.isValidDate(value, rule.dateFormat)) {
                     isValid = false;
-                    errorMsg = 'Invalid date format';
+                    code = 'invalidDate';
+                    params.format = rule.dateFormat || DateUtils.DEFAULT_FORMAT;
+                }
+                break;
+            case 'datetime':
+                if (!DateUtils.isValidDateTime(value, rule.dateFormat)) {
+                    isValid = false;
+                    code = 'invalidDateTime';
+                    params.format = rule.dateFormat || DateUtils.DEFAULT_FORMAT;
+                }
+                break;
+            case 'time':
+                if (!DateUtils.isValidTime(value)) {
+                    isValid = false;
+                    code = 'invalidTime';
                 }
                 break;
             case 'integer':
             case 'whole':
                 if (!isInteger(value)) {
                     isValid = false;
-                    errorMsg = 'Must be a whole number';
+                    params.type = 'whole number';
                 }
                 break;
             case 'decimal':
             case 'number':
                 if (!isNumber(value)) {
                     isValid = false;
-                    errorMsg = 'Must be a number';
+                    code = 'invalidNumber';
                 }
                 break;
             case 'boolean':
@@ -187,13 +441,11 @@ const ValidationEngine = (function () {
                 const valUpper = String(value).trim().toUpperCase();
                 if (valUpper !== 'Y' && valUpper !== 'N') {
                     isValid = false;
-                    // Check if it's "Yes" or "No" which can be auto-fixed
+                    code = 'invalidBoolean';
+                    // "Yes" or "No" can be auto-fixed
                     const valLower = String(value).trim().toLowerCase();
                     if (valLower === 'yes' || valLower === 'no') {
-                        errorMsg = `Boolean must be Y or N (found "${value}")`;
                         cellMeta.canAutoFix = true;
-                    } else {
-                        errorMsg = 'Boolean must be Y or N';
                     }
                 }
                 break;
@@ -201,34 +453,144 @@ const ValidationEngine = (function () {
 
         if (!isValid) {
             // Check if it's fixable
-            const fixCheck = window.AutoFixEngine ? AutoFixEngine.checkFixability(value, rule) : { canFix: false };
+            const fixCheck = window.AutoFixEngine ? AutoFixEngine.checkFixability(value, rule, column) : { canFix: false };
 
             if (fixCheck.canFix) {
-                addWarning(cellMeta, `${errorMsg} (Auto-fix available)`);
-                cellMeta.canAutoFix = true;
+                reportFixable(report, cellMeta, code, params, fixCheck.fixedValue);
+            } else if (fixCheck.ambiguous) {
+                // Could be read more than one way - flagged, not guessed
+                report(cellMeta, 'type', fixCheck.ambiguous.code, { ...params, ...fixCheck.ambiguous.params });
             } else {
-                addError(cellMeta, errorMsg);
+                report(cellMeta, 'type', code, params);
+            }
+        }
+    }
+
+    // Excel data-validation operators -> readable descriptions
+    const OPERATOR_LABELS = {
+        between: 'between {1} and {2}',
+        notBetween: 'not between {1} and {2}',
+        equal: 'equal to {1}',
+        notEqual: 'not equal to {1}',
+        greaterThan: 'greater than {1}',
+        lessThan: 'less than {1}',
+        greaterThanOrEqual: 'greater than or equal to {1}',
+        lessThanOrEqual: 'less than or equal to {1}'
+    };
+
+    /**
+     * Pre-parse an Excel data-validation limit (whole, decimal, date and textLength)
+     * @param {Object} validation - column.validation { type, operator, formula1, formula2 }
+     * @param {string} [dateFormat] - Column date format, used to read cell values and show date bounds
+     * @returns {Object|null} { kind, operator, bound1, bound2, code, condition }, or null when
+     *                        there is nothing checkable
+     */
+    function compileOperator(validation, dateFormat) {
+        const kind = validation.type;
+        if (!['whole', 'decimal', 'date', 'textLength'].includes(kind)) return null;
+
+        // Excel omits the operator when it is the default "between"
+        const operator = validation.operator || 'between';
+        if (!OPERATOR_LABELS[operator]) return null;
+
+        const needsSecond = operator === 'between' || operator === 'notBetween';
+        const bound1 = parseFormulaBound(validation.formula1, kind);
+        const bound2 = needsSecond ? parseFormulaBound(validation.formula2, kind) : null;
+
+        // Bounds that reference cells or other formulas can't be resolved here
+        if (bound1 === null || (needsSecond && bound2 === null)) return null;
+
+        const format = (bound) => kind === 'date' ? DateUtils.formatTimestamp(bound, dateFormat) : String(bound);
+        const condition = OPERATOR_LABELS[operator]
+            .replace('{1}', format(bound1))
+            .replace('{2}', format(bound2));
+
+        const code = kind === 'textLength' ? 'lengthOutOfRange' : 'outOfRange';
+
+        return { kind, operator, bound1, bound2, code, condition, dateFormat };
+    }
+
+    /**
+     * Validate a value against a pre-parsed data-validation limit
+     * @param {*} value - Cell value (non-empty)
+     * @param {Object} limit - From compileOperator
+     * @param {Object} cellMeta - Cell metadata
+     * @param {Function} report - From createReporter
+     */
+    function validateOperator(value, limit, cellMeta, report) {
+        let actual;
+        if (limit.kind === 'textLength') {
+            actual = String(value).length;
+        } else if (limit.kind === 'date') {
+            actual = toTimestamp(value, limit.dateFormat);
+        } else {
+            actual = isNumber(value) ? parseFloat(value) : null;
+        }
+        // Type errors are reported by validateType
+        if (actual === null) return;
+
+        if (!compareWithOperator(actual, limit.operator, limit.bound1, limit.bound2)) {
+            report(cellMeta, 'limit', limit.code, { value, condition: limit.condition });
+        }
+    }
+
+    /**
+     * Apply an Excel comparison operator
+     */
+    function compareWithOperator(actual, operator, bound1, bound2) {
+        const low = Math.min(bound1, bound2 ?? bound1);
+        const high = Math.max(bound1, bound2 ?? bound1);
+
+        switch (operator) {
+            case 'between': return actual >= low && actual <= high;
+            case 'notBetween': return actual < low || actual > high;
+            case 'equal': return actual === bound1;
+            case 'notEqual': return actual !== bound1;
+            case 'greaterThan': return actual > bound1;
+            case 'lessThan': return actual < bound1;
+            case 'greaterThanOrEqual': return actual >= bound1;
+            case 'lessThanOrEqual': return actual <= bound1;
+            default: return true;
+        }
+    }
+
+    /**
+     * Parse a data-validation formula (e.g. "0", "=100", "45292", "DATE(2024,1,1)")
+     * into a number, or a UTC timestamp for date validations
+     * @returns {number|null} Null if the formula can't be resolved
+     */
+    function parseFormulaBound(formula, kind) {
+        if (formula === null || formula === undefined || formula === '') return null;
+
+        const text = String(formula).trim().replace(/^=/, '').replace(/^"(.*)"$/, '$1');
+
+        if (kind === 'date') {
+            const dateFn = text.match(/^DATE\(\s*(\d{4})\s*,\s*(\d{1,2})\s*,\s*(\d{1,2})\s*\)$/i);
+            if (dateFn) {
+                return Date.UTC(Number(dateFn[1]), Number(dateFn[2]) - 1, Number(dateFn[3]));
             }
+            // Excel stores date bounds as serials
+            return toTimestamp(window.DateUtils ? DateUtils.fromSerialText(text) : text);
         }
+
+        return isNumber(text) ? parseFloat(text) : null;
     }
 
     /**
-     * Validate against a list of allowed values
+     * Validate against a compiled column's allowed values (case-insensitive)
      */
-    function validateList(value, allowedValues, cellMeta, rule) {
-        // Case-insensitive check
-        const normalizedValue = String(value).trim().toLowerCase();
-        const match = allowedValues.some(v => String(v).trim().toLowerCase() === normalizedValue);
+    function validateList(value, column, cellMeta, report) {
+        const match = column.allowedLookup.has(String(value).trim().toLowerCase());
 
         if (!match) {
             // Check if it's fixable (fuzzy match, etc.)
-            const fixCheck = window.AutoFixEngine ? AutoFixEngine.checkFixability(value, rule) : { canFix: false };
+            const fixCheck = window.AutoFixEngine ? AutoFixEngine.checkFixability(value, column.rule, column) : { canFix: false };
 
             if (fixCheck.canFix) {
-                addWarning(cellMeta, `Value not in list (Auto-fix available: ${fixCheck.fixedValue})`);
-                cellMeta.canAutoFix = true;
+                reportFixable(report, cellMeta, 'invalidValue', { value }, fixCheck.fixedValue);
             } else {
-                addError(cellMeta, 'Value not in allowed list');
+                const issue = report(cellMeta, 'list', 'invalidValue', { value });
+                if (fixCheck.suggestions) addSuggestions(issue, fixCheck.suggestions);
             }
         }
     }
@@ -255,32 +617,557 @@ const ValidationEngine = (function () {
     }
 
     /**
-     * Add error to cell metadata
+     * Build a structured issue with its message rendered from the catalog
+     * @param {string} severity - 'error', 'warning' or 'info'
+     * @param {string} code - Catalog code ("required", "invalidValue", ...)
+     * @param {Object} rule - Rule reference ({ kind: 'column', field, check } | { kind: 'complex', type, name, index } | { kind: 'script' })
+     * @param {Object} params - Message placeholders
+     * @param {Array<Object>} [overrides] - Message override maps, most specific first
+     * @returns {Object} { code, severity, rule, params, message }
+     */
+    function createIssue(severity, code, rule, params, overrides = []) {
+        return {
+            code,
+            severity: SEVERITIES.includes(severity) ? severity : 'error',
+            rule,
+            params,
+            message: ValidationMessages.render(code, params, ...overrides)
+        };
+    }
+
+    /**
+     * Add an issue to cell metadata, filed under errors / warnings / info by severity
+     * (info never affects status)
+     */
+    function addIssue(cellMeta, issue) {
+        const list = issue.severity === 'warning' ? 'warnings' : issue.severity === 'info' ? 'info' : 'errors';
+        if (!cellMeta[list]) cellMeta[list] = [];
+        cellMeta[list].push(issue);
+    }
+
+    /**
+     * A cell's issues, most severe first
+     * @param {Object} cellMeta - Cell metadata
+     * @returns {Array<Object>} Issues ({ code, severity, rule, params, message })
+     */
+    function getCellIssues(cellMeta) {
+        if (!cellMeta) return [];
+        return [...(cellMeta.errors || []), ...(cellMeta.warnings || []), ...(cellMeta.info || [])];
+    }
+
+    /**
+     * Every issue in a set of rows, in row then column order
+     * @param {Array} rows - data.rows
+     * @returns {Array<Object>} Issues with the row number (1-based) and field added
+     */
+    function collectIssues(rows) {
+        const issues = [];
+        rows.forEach((row, position) => {
+            const rowNumber = row.rowNumber ?? position + 1;
+            Object.entries(row.metadata || {}).forEach(([field, cellMeta]) => {
+                getCellIssues(cellMeta).forEach(issue => issues.push({ row: rowNumber, field, ...issue }));
+            });
+        });
+        return issues;
+    }
+
+    // =========================================================================
+    // CROSS-FIELD (COMPLEX) RULES
+    // =========================================================================
+
+    /**
+     * Resolve complexRules field references to the field names used as row keys.
+     * Rules detected by ExcelParser reference column letters ("B"), rules created
+     * in the rule editor reference field names - both are accepted.
+     * Columns marked `unique` are added as single-field unique keys.
+     * @param {Array} complexRules - rules.complexRules
+     * @param {Array} columns - rules.columns
+     * @param {Object} [messages] - rules.messages (template message overrides)
+     * @returns {Array} Rules with a `fields` object of resolved field names
+     */
+    function resolveComplexRules(complexRules, columns, messages) {
+        const resolve = (ref) => resolveFieldRef(ref, columns || []);
+        const resolved = [];
+        const dateFormats = getDateFormats({ columns });
+
+        (Array.isArray(complexRules) ? complexRules : []).forEach((rule, index) => {
+            if (!rule || rule.enabled === false) return;
+
+            switch (rule.type) {
+                case 'either_or': {
+                    const groups = (rule.groups || [])
+                        .map(group => (group || []).map(resolve).filter(Boolean))
+                        .filter(group => group.length > 0);
+                    if (groups.length < 2) {
+                        console.warn(`⚠️ Complex rule "${rule.name || index}" needs at least two field groups`);
+                        return;
+                    }
+                    resolved.push({ rule, index, groups });
+                    break;
+                }
+                case 'dependent': {
+                    const trigger = resolve(rule.trigger);
+                    const dependent = resolve(rule.dependent);
+                    if (!trigger || !dependent) {
+                        console.warn(`⚠️ Complex rule "${rule.name || index}" references unknown fields`);
+                        return;
+                    }
+                    resolved.push({ rule, index, trigger, dependent });
+                    break;
+                }
+                case 'unique_key': {
+                    const fields = (rule.fields || []).map(resolve).filter(Boolean);
+                    if (fields.length === 0) {
+                        console.warn(`⚠️ Complex rule "${rule.name || index}" has no key fields`);
+                        return;
+                    }
+                    resolved.push({ rule, index, fields });
+                    break;
+                }
+                case 'date_compare': {
+                    const field = resolve(rule.field);
+                    const boundDefs = rule.operator === 'between' ? [rule.bound, rule.bound2] : [rule.bound];
+                    const bounds = boundDefs.map(bound => resolveDateBound(bound, resolve));
+                    if (!field || !DATE_COMPARE_LABELS[rule.operator] || bounds.some(bound => !bound)) {
+                        console.warn(`⚠️ Complex rule "${rule.name || index}" has an unknown field, operator or bound`);
+                        return;
+                    }
+                    resolved.push({ rule, index, field, bounds, dateFormats });
+                    break;
+                }
+                case 'formula': {
+                    let formula;
+                    let when = null;
+                    try {
+                        formula = FormulaEvaluator.compile(rule.expression);
+                        if (String(rule.when ?? '').trim()) when = FormulaEvaluator.compile(rule.when);
+                    } catch (err) {
+                        console.warn(`⚠️ Complex rule "${rule.name || index}" has an invalid formula: ${err.message}`);
+                        return;
+                    }
+
+                    // Formula references -> row keys
+                    const fieldMap = {};
+                    const refs = [...formula.fields, ...(when ? when.fields : [])];
+                    const unknown = refs.filter(ref => !(fieldMap[ref] = resolve(ref)));
+                    if (unknown.length > 0) {
+                        console.warn(`⚠️ Complex rule "${rule.name || index}" references unknown fields: ${unknown.join(', ')}`);
+                        return;
+                    }
+
+                    const involved = [...new Set(formula.fields.map(ref => fieldMap[ref]))];
+                    resolved.push({ rule, index, formula, when, fieldMap, involved });
+                    break;
+                }
+                default:
+                    console.warn('Unknown complex rule type:', rule.type);
+            }
+        });
+
+        addColumnUniqueKeys(resolved, columns);
+        resolved.forEach(entry => { entry.messages = messages || null; });
+
+        return resolved;
+    }
+
+    // date_compare operators -> readable descriptions
+    const DATE_COMPARE_LABELS = {
+        before: 'before',
+        on_or_before: 'on or before',
+        after: 'after',
+        on_or_after: 'on or after',
+        same_day: 'on',
+        between: 'between'
+    };
+
+    /**
+     * Resolve a date_compare bound: another field, today, or a fixed date - each with an
+     * optional offset ({ kind: 'field', field: 'Grant Date', offset: 10, unit: 'years' })
+     * @returns {Object|null} { kind, field, timestamp, offset, unit }, null if invalid
+     */
+    function resolveDateBound(bound, resolve) {
+        if (!bound) return null;
+
+        const resolvedBound = {
+            kind: bound.kind,
+            field: null,
+            timestamp: null,
+            offset: Number(bound.offset) || 0,
+            unit: ['days', 'months', 'years'].includes(bound.unit) ? bound.unit : 'days'
+        };
+
+        switch (bound.kind) {
+            case 'field':
+                resolvedBound.field = resolve(bound.field);
+                return resolvedBound.field ? resolvedBound : null;
+            case 'today':
+                resolvedBound.timestamp = DateUtils.today();
+                return resolvedBound;
+            case 'date':
+                // Fixed dates are stored as ISO (YYYY-MM-DD)
+                resolvedBound.timestamp = toDayStamp(bound.date, 'YYYY-MM-DD');
+                return resolvedBound.timestamp === null ? null : resolvedBound;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Convert a date value to a UTC day timestamp (any time of day is dropped)
+     */
+    function toDayStamp(value, format) {
+        if (isEmpty(value)) return null;
+        const parts = DateUtils.parseDate(value, format);
+        return parts ? Date.UTC(parts.year, parts.month - 1, parts.day) : null;
+    }
+
+    /**
+     * Get a resolved bound's day timestamp for a row (null if its field has no valid date)
+     */
+    function getBoundStamp(row, bound, dateFormats) {
+        const base = bound.kind === 'field'
+            ? toDayStamp(getRowValue(row, bound.field), dateFormats.get(bound.field.toLowerCase()))
+            : bound.timestamp;
+        return base === null ? null : DateUtils.addInterval(base, bound.offset, bound.unit);
+    }
+
+    /**
+     * Describe a resolved bound ("Grant Date + 10 years", "today", "01/01/2020")
+     */
+    function describeDateBound(bound, format) {
+        let text;
+        if (bound.kind === 'field') text = bound.field;
+        else if (bound.kind === 'today') text = 'today';
+        else text = DateUtils.formatTimestamp(bound.timestamp, format);
+
+        if (!bound.offset) return text;
+        const amount = Math.abs(bound.offset);
+        const unit = amount === 1 ? bound.unit.replace(/s$/, '') : bound.unit;
+        return `${text} ${bound.offset > 0 ? '+' : '-'} ${amount} ${unit}`;
+    }
+
+    /**
+     * Check a day timestamp against date_compare bounds
+     */
+    function compareDates(value, operator, limits) {
+        const [first, second] = limits;
+        switch (operator) {
+            case 'before': return value < first;
+            case 'on_or_before': return value <= first;
+            case 'after': return value > first;
+            case 'on_or_after': return value >= first;
+            case 'same_day': return value === first;
+            case 'between': return value >= Math.min(first, second) && value <= Math.max(first, second);
+            default: return true;
+        }
+    }
+
+    /**
+     * Message params for a failed formula with its computed values, rendering as e.g.
+     * "Shares add up: 90 = 100 does not hold (Shares Vested = 60, Shares Unvested = 30, Shares Granted = 100)"
+     */
+    function formulaFailureParams(resolved, result) {
+        const { rule, formula, fieldMap } = resolved;
+        const format = FormulaEvaluator.formatValue;
+
+        const tolerance = Number(rule.tolerance) > 0 ? ` ± ${format(Number(rule.tolerance))}` : '';
+        const computed = result.operator
+            ? `${format(result.left)} ${result.operator} ${format(result.right)}${tolerance} does not hold`
+            : 'formula is false';
+        const values = Object.entries(result.values)
+            .map(([ref, value]) => `${fieldMap[ref]} = ${format(value)}`)
+            .join(', ');
+
+        return {
+            label: rule.name || formula.expression,
+            result: computed,
+            values,
+            left: result.left === undefined ? undefined : format(result.left),
+            operator: result.operator,
+            right: result.right === undefined ? undefined : format(result.right)
+        };
+    }
+
+    /**
+     * Add column-level unique constraints (column.unique) as single-field unique keys
+     * @param {Array} resolved - Resolved complex rules (modified in place)
+     * @param {Array} columns - rules.columns
+     */
+    function addColumnUniqueKeys(resolved, columns) {
+        (columns || []).forEach(col => {
+            if (!col.unique || !col.fieldName) return;
+            resolved.push({
+                rule: { type: 'unique_key', name: `Unique ${col.fieldName}`, severity: 'error' },
+                index: null,
+                fields: [col.fieldName]
+            });
+        });
+    }
+
+    /**
+     * Group rows by each unique key so duplicates can be looked up per row.
+     * Rows with an empty key field are skipped (missing values are a "required" problem).
+     * Unique_key entries get `groups` (key -> rows), `rowKeys` (row -> key) and
+     * `positions` (row -> index), which updateUniqueKeys keeps current on edits.
+     * @param {Array} rows - data.rows
+     * @param {Array} rowRules - Resolved complex rules
+     */
+    function indexUniqueKeys(rows, rowRules) {
+        rowRules.filter(r => r.rule.type === 'unique_key').forEach(resolved => {
+            resolved.groups = new Map();
+            resolved.rowKeys = new Map();
+            resolved.positions = new Map();
+
+            rows.forEach((row, idx) => {
+                resolved.positions.set(row, idx);
+                setRowKey(resolved, row, getUniqueKey(row, resolved.fields));
+            });
+        });
+    }
+
+    /**
+     * Build a row's normalized key for a unique_key rule (null if any part is empty)
+     */
+    function getUniqueKey(row, fields) {
+        const parts = fields.map(field => getRowValue(row, field));
+        if (parts.some(isEmpty)) return null;
+        return JSON.stringify(parts.map(v => String(v).trim().toLowerCase()));
+    }
+
+    /**
+     * Move a row into the group for `key`, removing it from its previous group
+     */
+    function setRowKey(resolved, row, key) {
+        const previous = resolved.rowKeys.get(row);
+        if (previous !== undefined && previous !== null) {
+            const members = resolved.groups.get(previous);
+            const at = members ? members.indexOf(row) : -1;
+            if (at !== -1) members.splice(at, 1);
+            if (members && members.length === 0) resolved.groups.delete(previous);
+        }
+
+        resolved.rowKeys.set(row, key);
+        if (key === null) return;
+
+        if (!resolved.groups.has(key)) resolved.groups.set(key, []);
+        resolved.groups.get(key).push(row);
+    }
+
+    /**
+     * Re-key changed rows in every unique_key rule that uses a changed field
+     * @param {Object} data - The structured data object
+     * @param {Array} rowRules - Resolved complex rules (from prepareDataset)
+     * @param {Array<number>} rowIndices - Changed rows
+     * @param {Array<string>} changedFields - Changed field names
+     * @returns {Set<number>} Indices of other rows whose duplicate status may have changed
+     */
+    function updateUniqueKeys(data, rowRules, rowIndices, changedFields) {
+        const affected = new Set();
+
+        rowRules.forEach(resolved => {
+            if (resolved.rule.type !== 'unique_key' || !resolved.groups) return;
+            if (!resolved.fields.some(field => changedFields.includes(field))) return;
+
+            rowIndices.forEach(idx => {
+                const row = data.rows[idx];
+                if (!row) return;
+
+                const oldKey = resolved.rowKeys.get(row) ?? null;
+                const newKey = getUniqueKey(row, resolved.fields);
+                if (oldKey === newKey) return;
+
+                // Rows that shared the old key or share the new one need a fresh check
+                [oldKey, newKey].forEach(key => {
+                    (resolved.groups.get(key) || []).forEach(member => affected.add(resolved.positions.get(member)));
+                });
+                setRowKey(resolved, row, newKey);
+            });
+        });
+
+        return affected;
+    }
+
+    /**
+     * Get the 1-based row numbers of the other rows sharing this row's unique key
+     */
+    function getDuplicateRows(resolved, row) {
+        const key = resolved.rowKeys?.get(row);
+        if (key === undefined || key === null) return [];
+
+        return (resolved.groups.get(key) || [])
+            .filter(other => other !== row)
+            .map(other => resolved.positions.get(other) + 1)
+            .sort((a, b) => a - b);
+    }
+
+    /**
+     * Format a list of row numbers for messages ("row 4", "rows 4, 9 and 3 more")
+     */
+    function formatRowList(rowNumbers) {
+        const MAX_LISTED = 5;
+        const listed = rowNumbers.slice(0, MAX_LISTED).join(', ');
+        const more = rowNumbers.length > MAX_LISTED ? ` and ${rowNumbers.length - MAX_LISTED} more` : '';
+        return `${rowNumbers.length === 1 ? 'row' : 'rows'} ${listed}${more}`;
+    }
+
+    /**
+     * Find the field name for a column letter or field name reference
+     */
+    function resolveFieldRef(ref, columns) {
+        if (!ref) return null;
+        const refStr = String(ref).trim();
+
+        const byLetter = columns.find(c => c.columnLetter === refStr);
+        if (byLetter) return byLetter.fieldName;
+
+        const byName = columns.find(c => (c.fieldName || '').toLowerCase() === refStr.toLowerCase());
+        return byName ? byName.fieldName : null;
+    }
+
+    /**
+     * Evaluate resolved cross-field rules against a row and flag every involved cell
+     */
+    function validateComplexRules(row, rowRules) {
+        rowRules.forEach(resolved => {
+            const { rule } = resolved;
+            let involved = [];
+            let code = null;
+            let params = {};
+
+            switch (rule.type) {
+                case 'either_or': {
+                    const satisfied = resolved.groups.some(group =>
+                        group.every(field => !isEmpty(getRowValue(row, field)))
+                    );
+                    if (!satisfied) {
+                        const labels = resolved.groups.map(g => g.join(' + '));
+                        involved = resolved.groups.flat();
+                        code = 'eitherOrRequired';
+                        params = { group1: labels[0], group2: labels.slice(1).join(' or '), groups: labels.join(' or ') };
+                    }
+                    break;
+                }
+                case 'dependent': {
+                    const triggerValue = getRowValue(row, resolved.trigger);
+                    const triggered = rule.condition === 'equals'
+                        ? !isEmpty(triggerValue) && String(triggerValue).trim().toLowerCase() === String(rule.value ?? '').trim().toLowerCase()
+                        : !isEmpty(triggerValue);
+
+                    if (triggered && isEmpty(getRowValue(row, resolved.dependent))) {
+                        involved = [resolved.trigger, resolved.dependent];
+                        code = 'dependentRequired';
+                        params = { field: resolved.dependent, trigger: resolved.trigger, value: rule.value };
+                    }
+                    break;
+                }
+                case 'unique_key': {
+                    const others = getDuplicateRows(resolved, row);
+                    if (others.length > 0) {
+                        involved = resolved.fields;
+                        code = 'duplicateKey';
+                        params = { fields: resolved.fields.join(' + '), rows: formatRowList(others), duplicateRows: others };
+                    }
+                    break;
+                }
+                case 'date_compare': {
+                    // Missing or invalid dates are reported by the required/type checks
+                    const format = resolved.dateFormats.get(resolved.field.toLowerCase());
+                    const value = toDayStamp(getRowValue(row, resolved.field), format);
+                    if (value === null) break;
+
+                    const limits = resolved.bounds.map(bound => getBoundStamp(row, bound, resolved.dateFormats));
+                    if (limits.some(limit => limit === null)) break;
+
+                    if (!compareDates(value, rule.operator, limits)) {
+                        const described = resolved.bounds.map(bound => describeDateBound(bound, format));
+                        const boundFields = resolved.bounds.filter(b => b.kind === 'field').map(b => b.field);
+                        involved = [...new Set([resolved.field, ...boundFields])];
+                        code = 'dateCompare';
+                        params = { field: resolved.field, operator: DATE_COMPARE_LABELS[rule.operator], bound: described.join(' and ') };
+                    }
+                    break;
+                }
+                case 'formula': {
+                    const getValue = (ref) => getRowValue(row, resolved.fieldMap[ref]);
+
+                    // Only rows matching the condition are checked
+                    if (resolved.when && FormulaEvaluator.evaluate(resolved.when, getValue).passed !== true) break;
+
+                    // Rows with empty or non-numeric inputs are skipped (passed === null)
+                    const result = FormulaEvaluator.evaluate(resolved.formula, getValue, { tolerance: rule.tolerance });
+                    if (result.passed === false) {
+                        involved = resolved.involved;
+                        code = 'formulaFailed';
+                        params = formulaFailureParams(resolved, result);
+                    }
+                    break;
+                }
+            }
+
+            if (!code) return;
+
+            // A rule's own message replaces the catalog text for its code
+            const overrides = [rule.message ? { [code]: rule.message } : null, resolved.messages];
+            const ref = { kind: 'complex', type: rule.type, name: rule.name || null, index: resolved.index };
+
+            involved.forEach(field => {
+                const cellMeta = row.metadata[field];
+                if (!cellMeta) return;
+                addIssue(cellMeta, createIssue(rule.severity, code, ref, params, overrides));
+            });
+        });
+    }
+
+    /**
+     * Read a field's current value from a row
      */
-    function addError(cellMeta, message) {
-        cellMeta.errors.push(message);
+    function getRowValue(row, field) {
+        const cellMeta = row.metadata?.[field];
+        return cellMeta ? cellMeta.currentValue : row.data?.[field];
     }
 
     /**
-     * Add warning to cell metadata
+     * Compile regex conditions once (copies; the template's rules are left as is).
+     * An invalid pattern is reported here and never matches.
+     * @param {Array} conditions - Condition objects and/or condition groups
+     * @param {string} fieldName - Column the conditions belong to (for the warning)
+     * @returns {Array} Conditions ready for evaluateConditions
      */
-    function addWarning(cellMeta, message) {
-        cellMeta.warnings.push(message);
+    function compileConditions(conditions, fieldName) {
+        return conditions.map(condition => {
+            if (Array.isArray(condition.conditions)) {
+                return { ...condition, conditions: compileConditions(condition.conditions, fieldName) };
+            }
+            if (condition.operator !== 'matches_regex') return condition;
+
+            try {
+                return { ...condition, regex: new RegExp(condition.value) };
+            } catch (e) {
+                console.warn(`⚠️ Invalid regex in condition on "${fieldName}": ${condition.value} (${e.message})`);
+                return { ...condition, regex: null };
+            }
+        });
     }
 
     /**
      * Evaluate conditional requirements against row data
-     * @param {Array} conditions - Array of condition objects
+     * Conditions may be nested: any entry with its own `conditions` array is a
+     * group evaluated with its own AND/OR operator.
+     * @param {Array} conditions - From compileConditions
      * @param {string} operator - 'AND' or 'OR'
      * @param {Object} rowData - The row data object (field -> value)
+     * @param {Map} [dateFormats] - Lower-case field name -> dateFormat, for date comparisons
      * @returns {boolean} - true if conditions are met (column becomes required)
      */
-    function evaluateConditions(conditions, operator, rowData) {
+    function evaluateConditions(conditions, operator, rowData, dateFormats) {
         if (!conditions || conditions.length === 0) return false;
 
-        const results = conditions.map(condition =>
-            evaluateSingleCondition(condition, rowData)
-        );
+        const results = conditions.map(condition => {
+            if (Array.isArray(condition.conditions)) {
+                return evaluateConditions(condition.conditions, condition.operator || 'AND', rowData, dateFormats);
+            }
+            return evaluateSingleCondition(condition, rowData, dateFormats);
+        });
 
         if (operator === 'OR') {
             return results.some(r => r === true);
@@ -292,19 +1179,20 @@ const ValidationEngine = (function () {
     /**
      * Evaluate a single condition against row data
      */
-    function evaluateSingleCondition(condition, rowData) {
+    function evaluateSingleCondition(condition, rowData, dateFormats) {
         // Find the value for the trigger field
         let triggerValue = null;
 
         // Try to find by field name (case-insensitive)
         for (const [key, val] of Object.entries(rowData)) {
-            if (key.toLowerCase() === condition.field.toLowerCase()) {
+            if (key.toLowerCase() === String(condition.field || '').toLowerCase()) {
                 triggerValue = val;
                 break;
             }
         }
 
         const triggerIsEmpty = isEmpty(triggerValue);
+        const dateFormat = dateFormats?.get(String(condition.field || '').toLowerCase());
 
         switch (condition.operator) {
             case 'is_empty':
@@ -325,16 +1213,110 @@ const ValidationEngine = (function () {
                 if (triggerIsEmpty) return false;
                 return String(triggerValue).toLowerCase().includes(String(condition.value).toLowerCase());
 
+            case 'greater_than':
+            case 'greater_or_equal':
+            case 'less_than':
+            case 'less_or_equal': {
+                if (triggerIsEmpty) return false;
+                const cmp = compareValues(triggerValue, condition.value, dateFormat);
+                if (cmp === null) return false;
+                if (condition.operator === 'greater_than') return cmp > 0;
+                if (condition.operator === 'greater_or_equal') return cmp >= 0;
+                if (condition.operator === 'less_than') return cmp < 0;
+                return cmp <= 0;
+            }
+
+            case 'between': {
+                if (triggerIsEmpty) return false;
+                const lower = compareValues(triggerValue, condition.value, dateFormat);
+                const upper = compareValues(triggerValue, condition.value2, dateFormat);
+                if (lower === null || upper === null) return false;
+                return lower >= 0 && upper <= 0;
+            }
+
+            case 'in_list':
+                if (triggerIsEmpty) return false;
+                return parseListValue(condition.value).includes(String(triggerValue).trim().toLowerCase());
+
+            case 'not_in_list':
+                if (triggerIsEmpty) return true;
+                return !parseListValue(condition.value).includes(String(triggerValue).trim().toLowerCase());
+
+            case 'matches_regex':
+                if (triggerIsEmpty || !condition.regex) return false;
+                return condition.regex.test(String(triggerValue));
+
             default:
                 console.warn('Unknown condition operator:', condition.operator);
                 return false;
         }
     }
 
+    /**
+     * Compare two values numerically, or as dates when either side is not a number
+     * @returns {number|null} Negative, zero or positive; null if not comparable
+     */
+    function compareValues(a, b, dateFormat) {
+        if (isEmpty(a) || isEmpty(b)) return null;
+
+        if (isNumber(a) && isNumber(b) && !looksLikeDate(b)) {
+            return parseFloat(a) - parseFloat(b);
+        }
+
+        const aTime = toTimestamp(a, dateFormat);
+        const bTime = toTimestamp(b, dateFormat);
+        if (aTime === null || bTime === null) return null;
+        return aTime - bTime;
+    }
+
+    /**
+     * Map each date column to its declared format (lower-case field name -> dateFormat)
+     */
+    function getDateFormats(rules) {
+        const formats = new Map();
+        (rules?.columns || []).forEach(col => {
+            const key = String(col.fieldName || col.name || '').toLowerCase();
+            if (col.dateFormat && !formats.has(key)) formats.set(key, col.dateFormat);
+        });
+        return formats;
+    }
+
+    /**
+     * Heuristic: a condition value written as a date (2020-01-01, 01/01/2020)
+     */
+    function looksLikeDate(value) {
+        return /^\d{4}-\d{1,2}-\d{1,2}$|^\d{1,2}\/\d{1,2}\/\d{2,4}$/.test(String(value).trim());
+    }
+
+    /**
+     * Convert a date-like value (serial, ISO, or the given format) to a UTC timestamp
+     */
+    function toTimestamp(value, format) {
+        return window.DateUtils ? DateUtils.toTimestamp(value, format) : null;
+    }
+
+    /**
+     * Parse an in_list value (array or comma-separated string) into lowercase items
+     */
+    function parseListValue(value) {
+        const items = Array.isArray(value) ? value : String(value ?? '').split(',');
+        return items.map(v => String(v).trim().toLowerCase()).filter(v => v.length > 0);
+    }
+
     // Public API
     return {
         validateDataset,
-        validateRow
+        validateRow,
+        buildValidators,
+        resolveSeverities,
+        DEFAULT_SEVERITIES,
+        prepareDataset,
+        validateRows,
+        revalidateRows,
+        finalizeDataset,
+        computeStats,
+        getCellIssues,
+        collectIssues
     };
 
 })();
@@ -0,0 +1,106 @@
+/**
+ * Validation Messages
+ * Message catalog for structured validation issues
+ *
+ * Every issue ValidationEngine reports has a code (e.g. "required", "invalidValue")
+ * and parameters; its text comes from this catalog:
+ *   template override (rules.messages) > data/auto-fix-mappings.json validationMessages > built-in defaults
+ *
+ * Placeholders are written {name} and filled from the issue's params. Unknown
+ * placeholders are left as-is so a typo in an override is easy to spot.
+ *
+ * The shared catalog is loaded by AutoFixMappings (same file) and passed to setCatalog().
+ */
+
+const ValidationMessages = (function () {
+    'use strict';
+
+    // Used until (or if) the shared catalog loads, and for codes it doesn't define
+    const DEFAULT_MESSAGES = {
+        required: '{field} is required',
+        conditionalRequired: '{field} is required when its conditions are met',
+        maxLength: '{field} exceeds maximum length of {max} characters',
+        invalidType: '{field} must be a {type}',
+        invalidValue: "'{value}' is not a valid option for {field}",
+        invalidDate: "'{value}' is not a valid date (expected {format})",
+        ambiguousDate: "'{value}' could be {first} or {second} - day and month order is unclear",
+        invalidDateTime: "'{value}' is not a valid date/time (expected {format} HH:MM:SS)",
+        invalidTime: "'{value}' is not a valid time (expected HH:MM or HH:MM:SS)",
+        invalidNumber: "'{value}' is not a valid number",
+        ambiguousNumber: "'{value}' is ambiguous: {reason}",
+        invalidBoolean: "{field} must be Y or N (found '{value}')",
+        outOfRange: '{field} must be {condition}',
+        lengthOutOfRange: '{field} length must be {condition} characters',
+        dependentRequired: '{field} is required when {trigger} is provided',
+        eitherOrRequired: 'Either {group1} or {group2} is required',
+        duplicateKey: 'Duplicate {fields} - also in {rows}',
+        dateCompare: '{field} must be {operator} {bound}',
+        formulaFailed: '{label}: {result} ({values})',
+        clientScript: '{message}',
+        autoFixAvailable: 'Auto-fix available: {fix}',
+        didYouMean: 'Did you mean {suggestion}? {confidence}% match'
+    };
+
+    let catalog = { ...DEFAULT_MESSAGES };
+
+    /**
+     * Replace the catalog (called by AutoFixMappings on the page and by the validation worker)
+     * @param {Object} messages - Code -> message template
+     */
+    function setCatalog(messages) {
+        catalog = { ...DEFAULT_MESSAGES, ...pickMessages(messages) };
+    }
+
+    /**
+     * Current catalog (defaults merged with the shared one)
+     */
+    function getCatalog() {
+        return { ...catalog };
+    }
+
+    /**
+     * Keep only non-empty string entries
+     */
+    function pickMessages(messages) {
+        const picked = {};
+        Object.entries(messages || {}).forEach(([code, text]) => {
+            if (typeof text === 'string' && text.trim()) picked[code] = text;
+        });
+        return picked;
+    }
+
+    /**
+     * Render a message
+     * @param {string} code - Issue code
+     * @param {Object} [params] - Placeholder values
+     * @param {...Object} overrides - Override maps, most specific first (e.g. column, then template)
+     * @returns {string}
+     */
+    function render(code, params, ...overrides) {
+        const source = overrides.find(map => typeof map?.[code] === 'string' && map[code].trim());
+        const text = source ? source[code] : (catalog[code] || code);
+        return fill(text, params || {});
+    }
+
+    /**
+     * Fill {name} placeholders
+     */
+    function fill(text, params) {
+        return text.replace(/\{(\w+)\}/g, (match, name) => {
+            const value = params[name];
+            return value === undefined || value === null ? match : String(value);
+        });
+    }
+
+    // Public API
+    return {
+        DEFAULT_MESSAGES,
+        setCatalog,
+        getCatalog,
+        render
+    };
+
+})();
+
+// Make available globally
+window.ValidationMessages = ValidationMessages;
@@ -0,0 +1,231 @@
+/**
+ * Validation Runner
+ * Runs ValidationEngine + AutoFixEngine detection in chunks, off the main thread
+ *
+ * Work happens in a Web Worker (js/validation-worker.js) when available, with a
+ * chunked main-thread fallback otherwise. Both paths share processChunk(), and
+ * both report progress and stream finished chunks back to the caller.
+ *
+ * Usage:
+ *   const run = ValidationRunner.run(data, rules, template, { onProgress, onChunk });
+ *   run.promise.then(data => ...);
+ *   run.cancel();
+ */
+
+const ValidationRunner = (function () {
+    'use strict';
+
+    const CONFIG = {
+        CHUNK_SIZE: 1000,
+        WORKER_URL: 'js/validation-worker.js'
+    };
+
+    // =========================================================================
+    // SHARED CHUNK PROCESSING (main thread and worker)
+    // =========================================================================
+
+    /**
+     * Create a validation job for a dataset
+     * @param {Object} data - Structured data ({ rows, headers? })
+     * @param {Object} rules - Template rules
+     * @param {Object} template - Template (autoFixSettings) - optional
+     * @returns {Object} Job state passed to processChunk
+     */
+    function createJob(data, rules, template) {
+        const rows = data.rows || [];
+        let headers = data.headers || [];
+        if (headers.length === 0 && rows.length > 0 && rows[0].data) {
+            headers = Object.keys(rows[0].data);
+        }
+
+        return {
+            data,
+            rules,
+            template,
+            headers,
+            context: ValidationEngine.prepareDataset(data, rules),
+            // Fixer pipelines are built once per run, not once per chunk
+            fixRules: template
+                ? RuleCompiler.compile(rules, { validators: false, autoFixSettings: template.autoFixSettings || {} })
+                : null
+        };
+    }
+
+    /**
+     * Validate rows [start, end) and detect auto-fixable cells in them
+     * @returns {Object} { start, end, rows, changes } - changes use the dataset-wide
+     *                   1-based row numbers of AutoFixEngine.applyAutoFixes
+     */
+    function processChunk(job, start, end) {
+        const { data, rules, template, headers } = job;
+        const chunkRows = data.rows.slice(start, end);
+
+        ValidationEngine.validateRows(data, job.context, start, end);
+
+        let changes = [];
+        if (template && headers.length > 0 && chunkRows.length > 0) {
+            const gridArray = [headers, ...chunkRows.map(r => headers.map(h => r.data?.[h] || ''))];
+            const result = AutoFixEngine.applyAutoFixes(gridArray, template, rules, job.fixRules);
+
+            changes = (result.changes || []).map(change => ({ ...change, row: change.row + start }));
+
+            changes.forEach(change => {
+                const header = change.column || headers[change.col];
+                const cellMeta = data.rows[change.row - 1]?.metadata?.[header];
+                if (cellMeta) {
+                    cellMeta.isFixable = true;
+                    cellMeta.suggestedFix = change.after;
+                }
+            });
+        }
+
+        return { start, end: start + chunkRows.length, rows: chunkRows, changes };
+    }
+
+    // =========================================================================
+    // MAIN THREAD API
+    // =========================================================================
+
+    /**
+     * Validate a dataset in the background
+     * @param {Object} data - Structured data; rows are replaced in place as chunks finish
+     * @param {Object} rules - Template rules
+     * @param {Object} template - Template (autoFixSettings) - optional
+     * @param {Object} callbacks - { onProgress(processed, total), onChunk(chunk) }
+     * @returns {Object} { promise, cancel } - promise resolves with the validated data;
+     *                   rejects with an error flagged `cancelled` when cancelled
+     */
+    function run(data, rules, template, callbacks = {}) {
+        const total = data.rows.length;
+        const state = { cancelled: false, worker: null, reject: null };
+
+        const promise = new Promise((resolve, reject) => {
+            state.reject = reject;
+
+            const handleChunk = (chunk) => {
+                // Worker chunks are copies - put them back into the dataset
+                for (let i = 0; i < chunk.rows.length; i++) {
+                    data.rows[chunk.start + i] = chunk.rows[i];
+                }
+                callbacks.onChunk?.(chunk);
+                callbacks.onProgress?.(chunk.end, total);
+            };
+
+            const finish = () => {
+                if (state.cancelled) return;
+                ValidationEngine.finalizeDataset(data);
+                resolve(data);
+            };
+
+            const fallback = () => {
+                if (state.cancelled) return;
+                runOnMainThread(data, rules, template, state, handleChunk)
+                    .then(finish)
+                    .catch(reject);
+            };
+
+            if (!supportsWorkers()) {
+                fallback();
+                return;
+            }
+
+            try {
+                state.worker = new Worker(CONFIG.WORKER_URL);
+            } catch (err) {
+                console.warn('⚠️ Validation worker unavailable, validating on main thread:', err.message);
+                fallback();
+                return;
+            }
+
+            let receivedChunk = false;
+
+            state.worker.onmessage = (event) => {
+                const message = event.data;
+                switch (message.type) {
+                    case 'chunk':
+                        receivedChunk = true;
+                        handleChunk(message.chunk);
+                        break;
+                    case 'done':
+                        state.worker.terminate();
+                        state.worker = null;
+                        finish();
+                        break;
+                    case 'error':
+                        state.worker.terminate();
+                        state.worker = null;
+                        reject(new Error(message.message));
+                        break;
+                }
+            };
+
+            state.worker.onerror = (event) => {
+                event.preventDefault?.();
+                state.worker?.terminate();
+                state.worker = null;
+
+                // The worker script couldn't start (e.g. opened from file://) - use the main thread
+                if (!receivedChunk) {
+                    console.warn('⚠️ Validation worker failed to start, validating on main thread:', event.message);
+                    fallback();
+                } else {
+                    reject(new Error(event.message || 'Validation worker failed'));
+                }
+            };
+
+            state.worker.postMessage({
+                type: 'run',
+                data: { rows: data.rows, headers: data.headers, headerMap: data.headerMap, dateSystem: data.dateSystem },
+                rules,
+                template: template ? { autoFixSettings: template.autoFixSettings } : null,
+                messages: ValidationMessages.getCatalog(),
+                mappings: AutoFixMappings.getLists(),
+                cleaning: AutoFixMappings.getCleaningRules(),
+                chunkSize: CONFIG.CHUNK_SIZE
+            });
+        });
+
+        const cancel = () => {
+            if (state.cancelled) return;
+            state.cancelled = true;
+            if (state.worker) {
+                state.worker.terminate();
+                state.worker = null;
+            }
+            const err = new Error('Validation cancelled');
+            err.cancelled = true;
+            state.reject?.(err);
+        };
+
+        return { promise, cancel };
+    }
+
+    /**
+     * Chunked main-thread fallback - yields between chunks so the page stays responsive
+     */
+    async function runOnMainThread(data, rules, template, state, onChunk) {
+        const yieldToPage = () => new Promise(resolve => setTimeout(resolve, 0));
+
+        await yieldToPage();
+        if (state.cancelled) return;
+        const job = createJob(data, rules, template);
+
+        for (let start = 0; start < data.rows.length; start += CONFIG.CHUNK_SIZE) {
+            if (state.cancelled) return;
+            onChunk(processChunk(job, start, start + CONFIG.CHUNK_SIZE));
+            await yieldToPage();
+        }
+    }
+
+    function supportsWorkers() {
+        return typeof Worker !== 'undefined' && typeof location !== 'undefined' && location.protocol !== 'file:';
+    }
+
+    return {
+        run,
+        createJob,
+        processChunk
+    };
+})();
+
+window.ValidationRunner = ValidationRunner;
